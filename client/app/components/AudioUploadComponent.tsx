@@ -2,22 +2,49 @@
 import { Mic, CheckCircle, XCircle, Loader2, AlertCircle, Volume2 } from 'lucide-react'
 import * as React from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import axios from 'axios'
 import { useAuthToast } from '@/hooks/useAuthToast'
-import sessionManager from '@/utils/session';
+import { useAuthHeaders } from '@/hooks/useAuthHeaders'
+import { useDocumentEvents, DocumentEvent, DocumentProgress, DocumentStatus } from '@/hooks/useDocumentEvents'
+import { uploadErrorMessage } from '@/utils/errors'
+import { notifyDocumentsChanged } from './document-list'
+import { formatTimestamp } from './citations'
 
-interface AudioFileStatus {
-  filename: string
-  status: 'processing' | 'ready' | 'failed'
-  transcript?: string
-  uploadedAt: number
-  updatedAt: number
+// Upload limits in MB, matching the server (videos carry far more bytes per minute of speech)
+const MAX_AUDIO_MB = 50
+const MAX_VIDEO_MB = 500
+
+interface UploadResponse {
+  message: string
+  documentId: string
+  status: DocumentStatus
+  duplicate: boolean
+}
+
+// Timestamped transcript piece from /audio/status; `speaker` is set when diarization is enabled
+interface TranscriptSegment {
+  start: number
+  end: number | null
+  text: string
+  speaker?: string
 }
 
-interface StatusResponse {
-  sessionId: string
-  files: AudioFileStatus[]
+interface AudioStatusResponse {
+  files: { id: string | null, segments: TranscriptSegment[] | null }[]
 }
 
+// Consecutive segments of the same speaker shown as one turn
+const groupTurns = (segments: TranscriptSegment[]) =>
+  segments.reduce<{ speaker?: string, start: number, text: string }[]>((turns, segment) => {
+    const last = turns[turns.length - 1]
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${segment.text}`
+    } else {
+      turns.push({ speaker: segment.speaker, start: segment.start, text: segment.text })
+    }
+    return turns
+  }, [])
+
 const AudioUploadComponent: React.FC = () => {
   const [uploadedAudio, setUploadedAudio] = React.useState<File | null>(null)
   const [isUploading, setIsUploading] = React.useState(false)
@@ -26,101 +53,81 @@ const AudioUploadComponent: React.FC = () => {
   const [isFailed, setIsFailed] = React.useState(false)
   const [progress, setProgress] = React.useState(0)
   const [errorMessage, setErrorMessage] = React.useState<string>('')
+  // Document being transcribed and indexed, with the workers' latest progress report
+  const [processingId, setProcessingId] = React.useState<string | null>(null)
+  const [processingProgress, setProcessingProgress] = React.useState<DocumentProgress | null>(null)
+  const [transcript, setTranscript] = React.useState<TranscriptSegment[] | null>(null)
   const { showAuthToast, isSignedIn } = useAuthToast()
+  const { getAuthHeaders } = useAuthHeaders()
 
-  // Get or create session ID
-  const sessionId = sessionManager.getSessionId();
-
-  // Poll backend for transcription status
-  async function waitUntilProcessed(filename: string) {
-    return new Promise<void>((resolve, reject) => {
-      const interval = setInterval(async () => {
-        try {
-          console.log('🔄 Polling audio status for session:', sessionId);
-          console.log('🔍 Looking for filename:', filename);
-          
-          const res = await fetch(
-            `${process.env.NEXT_PUBLIC_SERVER_URL}/audio/status?sessionId=${encodeURIComponent(sessionId)}`
-          );
-          
-          if (!res.ok) {
-            throw new Error(`HTTP error! status: ${res.status}`);
-          }
-          
-          const data: StatusResponse = await res.json();
-          const files: AudioFileStatus[] = data.files || [];
-          
-          console.log('📊 Full status response:', data);
-          console.log('📁 All files in session:', files);
-
-          const currentFile = files.find(f => f.filename === filename);
+  // Speaker-labelled transcript of a finished upload
+  const loadTranscript = React.useCallback(async (documentId: string) => {
+    try {
+      const { data } = await axios.get<AudioStatusResponse>(
+        `${process.env.NEXT_PUBLIC_SERVER_URL}/audio/status`,
+        { headers: await getAuthHeaders() }
+      )
+      const file = data.files.find(f => f.id === documentId)
+      setTranscript(file?.segments?.length ? file.segments : null)
+    } catch (err) {
+      console.warn('⚠️ Could not load transcript', err)
+    }
+  }, [getAuthHeaders])
 
-          if (!currentFile) {
-            console.log('❌ Audio file not found in status response');
-            return;
-          }
+  // Transcription status is pushed by the server while the upload is being processed
+  const handleDocumentEvent = React.useCallback((event: DocumentEvent) => {
+    if (!processingId) return
 
-          console.log('✅ Found file:', currentFile);
-          console.log('📋 Current file status:', currentFile.status);
+    const finish = (status: DocumentStatus) => {
+      if (status === 'processing') return
+      console.log(status === 'ready' ? '🎉 Audio processing completed!' : '💥 Audio processing failed');
+      setProcessingId(null);
+      setIsProcessing(false);
+      setIsUploaded(status === 'ready');
+      setIsFailed(status === 'failed');
+      if (status === 'ready') loadTranscript(processingId);
+      if (status === 'failed') {
+        setErrorMessage('Audio processing failed. Please try again with a different file.');
+      }
+      notifyDocumentsChanged();
+    }
 
-          if (currentFile.status === 'ready') {
-            console.log('🎉 Audio processing completed!');
-            clearInterval(interval);
-            setIsProcessing(false);
-            setIsUploaded(true);
-            setIsFailed(false);
-            resolve();
-          } else if (currentFile.status === 'failed') {
-            console.log('💥 Audio processing failed');
-            clearInterval(interval);
-            setIsProcessing(false);
-            setIsUploaded(false);
-            setIsFailed(true);
-            setErrorMessage('Audio processing failed. Please try again with a different file.');
-            reject(new Error('Audio processing failed'));
-          }
-          // Continue polling if status is 'processing'
-        } catch (err) {
-          console.error('❌ Audio status poll error', err);
-          // Don't clear interval on temporary errors
-        }
-      }, 3000);
+    if (event.event === 'snapshot') {
+      const doc = event.data.documents.find(d => d.id === processingId)
+      if (doc?.progress) setProcessingProgress(doc.progress)
+      if (doc) finish(doc.status)
+    } else if (event.data.id === processingId) {
+      if (event.event === 'progress') setProcessingProgress(event.data)
+      else finish(event.data.status)
+    }
+  }, [processingId, loadTranscript])
 
-      // Timeout after 10 minutes
-      setTimeout(() => {
-        console.log('⏰ Audio processing timeout');
-        clearInterval(interval);
-        setIsProcessing(false);
-        setIsUploaded(false);
-        setIsFailed(true);
-        setErrorMessage('Processing timeout. Please try again.');
-        reject(new Error('Processing timeout'));
-      }, 10 * 60 * 1000);
-    });
-  }
+  useDocumentEvents(handleDocumentEvent, processingId !== null)
 
   const handleFileUploadButtonClick = () => {
     if (!isSignedIn) {
-      showAuthToast('upload audio files')
+      showAuthToast('upload audio or video files')
       return
     }
     
     const el = document.createElement('input');
     el.type = 'file';
-    el.accept = 'audio/*';
+    el.accept = 'audio/*,video/*';
 
     el.addEventListener('change', async () => {
       if (el.files && el.files.length > 0) {
         const file = el.files[0];
         
         // Basic file validation
-        if (file.size > 50 * 1024 * 1024) {
-          alert('File too large. Please select a file smaller than 50MB.');
+        const isVideo = file.type.startsWith('video/');
+        if (!isVideo && !file.type.startsWith('audio/')) {
+          alert('Please select an audio or video file.');
           return;
         }
 
-        if (!file.type.startsWith('audio/')) {
-          alert('Please select an audio file.');
+        const maxMB = isVideo ? MAX_VIDEO_MB : MAX_AUDIO_MB;
+        if (file.size > maxMB * 1024 * 1024) {
+          alert(`File too large. Please select a file smaller than ${maxMB}MB.`);
           return;
         }
 
@@ -137,58 +144,44 @@ const AudioUploadComponent: React.FC = () => {
         setIsProcessing(false);
         setIsFailed(false);
         setErrorMessage('');
+        setTranscript(null);
         setUploadedAudio(file);
 
         try {
           const formData = new FormData();
           formData.append('audio', file);
 
-          // Simulate upload progress
-          const progressInterval = setInterval(() => {
-            setProgress(prev => {
-              if (prev >= 90) {
-                clearInterval(progressInterval);
-                return 90;
-              }
-              return prev + 10;
-            });
-          }, 200);
-
-          const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/upload/audio`, {
-            method: 'POST',
-            body: formData,
-            headers: {
-              'x-session-id': sessionId
+          const { data: result } = await axios.post<UploadResponse>(
+            `${process.env.NEXT_PUBLIC_SERVER_URL}/upload/audio`,
+            formData,
+            {
+              headers: await getAuthHeaders(),
+              onUploadProgress: (e) => setProgress(Math.round((e.loaded / (e.total || file.size)) * 100))
             }
-          });
-
-          clearInterval(progressInterval);
-          setProgress(100);
+          );
+          console.log('✅ Upload successful, server response:', result);
+          
+          setIsUploading(false);
 
-          if (res.ok) {
-            const result = await res.json();
-            console.log('✅ Upload successful, server response:', result);
-            
-            setIsUploading(false);
-            setIsProcessing(true);
-            
-            console.log('Audio uploaded, waiting for processing ⏳');
-            
-            await waitUntilProcessed(file.name);
-            
-            console.log('Audio processed successfully ✅');
-          } else {
-            const errorText = await res.text();
-            console.error('❌ Upload failed with status:', res.status, 'Response:', errorText);
-            setIsUploading(false);
-            setIsFailed(true);
-            setErrorMessage('Upload failed. Please try again.');
+          // Byte-identical file already transcribed in this session
+          if (result.duplicate && result.status === 'ready') {
+            console.log('♻️ Audio already uploaded, reusing existing transcript');
+            setIsUploaded(true);
+            loadTranscript(result.documentId);
+            return;
           }
+
+          setProcessingProgress(null);
+          setProcessingId(result.documentId);
+          setIsProcessing(true);
+          notifyDocumentsChanged();
+          
+          console.log('Audio uploaded, waiting for processing ⏳');
         } catch (err) {
-          console.error('❌ Error uploading or processing audio:', err);
+          console.error('❌ Error uploading audio:', err);
           setIsUploading(false);
           setIsFailed(true);
-          setErrorMessage('Upload or processing failed. Please try again.');
+          setErrorMessage(uploadErrorMessage(err));
         }
       }
     });
@@ -198,6 +191,9 @@ const AudioUploadComponent: React.FC = () => {
 
   const handleRemoveAudio = () => {
     setUploadedAudio(null);
+    setProcessingId(null);
+    setProcessingProgress(null);
+    setTranscript(null);
     setIsUploaded(false);
     setIsProcessing(false);
     setIsFailed(false);
@@ -227,14 +223,14 @@ const AudioUploadComponent: React.FC = () => {
             <Mic className="h-8 w-8 sm:h-10 sm:w-10 text-white" />
           </div>
           <div className="space-y-2">
-            <h3 className="text-lg sm:text-xl font-bold tracking-wide">Upload Audio</h3>
+            <h3 className="text-lg sm:text-xl font-bold tracking-wide">Upload Audio or Video</h3>
             <p className="text-white/70 text-sm sm:text-base max-w-xs">
-              Click to select audio file
+              Click to select a recording
             </p>
           </div>
           <div className="flex items-center gap-2 text-xs text-white/50">
             <Volume2 className="h-3 w-3" />
-            <span>MP3, WAV, etc. • Max 50MB</span>
+            <span>MP3, WAV • MP4, WebM • Max {MAX_AUDIO_MB}MB audio, {MAX_VIDEO_MB}MB video</span>
           </div>
         </motion.div>
       )}
@@ -257,7 +253,7 @@ const AudioUploadComponent: React.FC = () => {
             </div>
             <p className="text-sm font-medium">{progress}% uploaded</p>
           </div>
-          <p className="text-xs text-white/60">Uploading your audio file...</p>
+          <p className="text-xs text-white/60">Uploading your recording...</p>
         </motion.div>
       )}
 
@@ -271,15 +267,17 @@ const AudioUploadComponent: React.FC = () => {
           <Loader2 className="h-12 w-12 animate-spin text-white" />
           <div className="space-y-2">
             <h3 className="text-lg font-semibold">Transcribing Audio</h3>
-            <p className="text-white/70 text-sm">Converting speech to text...</p>
+            <p className="text-white/70 text-sm">{processingProgress?.message || 'Waiting for a worker...'}</p>
           </div>
-          <div className="w-24 h-1 bg-white/20 rounded-full overflow-hidden">
-            <motion.div 
+          <div className="w-full max-w-xs h-1.5 bg-white/20 rounded-full overflow-hidden">
+            <motion.div
               className="h-full bg-white rounded-full"
-              animate={{ x: [-50, 50] }}
-              transition={{ repeat: Infinity, duration: 1.5, ease: "easeInOut" }}
+              initial={{ width: '0%' }}
+              animate={{ width: `${processingProgress?.percent ?? 0}%` }}
+              transition={{ ease: 'easeOut', duration: 0.3 }}
             />
           </div>
+          <p className="text-xs text-white/50">{processingProgress?.percent ?? 0}%</p>
         </motion.div>
       )}
 
@@ -303,6 +301,18 @@ const AudioUploadComponent: React.FC = () => {
               </h3>
               <p className="text-white/70 text-sm">Transcribed successfully</p>
             </div>
+            {transcript && (
+              <div className="w-full max-h-48 overflow-y-auto text-left space-y-2 bg-black/20 rounded-2xl p-3 backdrop-blur-sm">
+                {groupTurns(transcript).map((turn, i) => (
+                  <div key={i} className="text-xs leading-relaxed">
+                    <span className="font-semibold text-white/90">
+                      {turn.speaker ? `${turn.speaker} · ` : ''}{formatTimestamp(turn.start)}
+                    </span>
+                    <p className="text-white/70">{turn.text}</p>
+                  </div>
+                ))}
+              </div>
+            )}
             <motion.button
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -1,21 +1,78 @@
 'use client'
-import { Send, User, Bot, Loader2, Paperclip, Mic } from 'lucide-react'
+import { Send, User, Bot, Loader2, Paperclip, Mic, Square, Plus, Trash2 } from 'lucide-react'
 import * as React from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useAuthToast } from '@/hooks/useAuthToast'
-import sessionManager from '@/utils/session';
+import { useAuthHeaders } from '@/hooks/useAuthHeaders'
+import { readEventStream } from '@/utils/sse'
+import { CitedText, SourcePreview, type Source } from './citations'
+import { notifyUsageChanged } from './usage-panel'
 interface Message {
   role: 'user' | 'bot'
   content: string
+  streaming?: boolean
+  sources?: Source[]
+  source?: ChatResult['source']
+  pdfCount?: number
+  audioCount?: number
+  documentCount?: number
+}
+
+// Payload of the final `done` event from /chat?stream=true
+interface ChatResult {
+  message: string
+  docs: unknown[]
+  sources: Source[]
+  citations: number[]
+  // 'both' means more than one kind of file was used
+  source: 'pdf' | 'audio' | 'document' | 'both' | 'none'
+  pdfCount: number
+  audioCount: number
+  documentCount: number
+  conversationId: string
+}
+
+interface StoredConversation {
+  id: string
+  title: string
+  messages: { role: 'user' | 'bot', content: string, sources?: Source[] }[]
+}
+
+// Remember the active conversation so it can be restored from the server after a reload
+const CONVERSATION_KEY = 'pdfrag_conversation_id'
+
+const loadConversationId = (): string | null => {
+  try {
+    return localStorage.getItem(CONVERSATION_KEY)
+  } catch {
+    return null
+  }
+}
+
+const saveConversationId = (id: string | null) => {
+  try {
+    if (id) localStorage.setItem(CONVERSATION_KEY, id)
+    else localStorage.removeItem(CONVERSATION_KEY)
+  } catch {
+    // Storage unavailable, the conversation just won't survive a reload
+  }
 }
 
 const ChatComponent: React.FC = () => {
   const [messages, setMessages] = React.useState<Message[]>([])
   const [input, setInput] = React.useState('')
   const [isLoading, setIsLoading] = React.useState(false)
+  const [isStreaming, setIsStreaming] = React.useState(false)
+  const [conversationId, setConversationId] = React.useState<string | null>(null)
+  // Citation chip currently expanded, per message index
+  const [activeCitation, setActiveCitation] = React.useState<{ message: number, id: number } | null>(null)
+  const abortControllerRef = React.useRef<AbortController | null>(null)
+  // Bumped by "New chat"; a reply still streaming from before it must not land in the new conversation
+  const chatResetRef = React.useRef(0)
   const messagesEndRef = React.useRef<HTMLDivElement>(null)
   const inputRef = React.useRef<HTMLInputElement>(null)
   const { showAuthToast, isSignedIn } = useAuthToast()
+  const { getAuthHeaders } = useAuthHeaders()
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -27,6 +84,34 @@ const ChatComponent: React.FC = () => {
     inputRef.current?.focus()
   }, [])
 
+  // Restore the last conversation after a reload
+  React.useEffect(() => {
+    const storedId = loadConversationId()
+    if (!storedId || !isSignedIn) return
+
+    const restore = async () => {
+      try {
+        const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/conversations/${encodeURIComponent(storedId)}`, {
+          headers: await getAuthHeaders()
+        })
+
+        if (res.status === 404) {
+          saveConversationId(null)
+          return
+        }
+        if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`)
+
+        const conversation: StoredConversation = await res.json()
+        setConversationId(conversation.id)
+        setMessages(conversation.messages.map(({ role, content, sources }) => ({ role, content, sources })))
+      } catch (error) {
+        console.error('Error restoring conversation:', error)
+      }
+    }
+
+    restore()
+  }, [isSignedIn, getAuthHeaders])
+
   const handleSend = async () => {
     if (!input.trim() || isLoading) return
   if (!isSignedIn) {
@@ -38,26 +123,117 @@ const ChatComponent: React.FC = () => {
     setInput('')
     setIsLoading(true)
 
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    const resetCount = chatResetRef.current
+    const wasReset = () => chatResetRef.current !== resetCount
+    let started = false
+
+    // The bot reply is appended on the first token and then grown in place
+    const appendToReply = (text: string, extra: Partial<Message> = {}) => {
+      if (wasReset()) return
+      if (!started) {
+        started = true
+        setIsStreaming(true)
+        setMessages(prev => [...prev, { role: 'bot', content: text, streaming: true, ...extra }])
+        return
+      }
+      setMessages(prev => {
+        const last = prev[prev.length - 1]
+        if (!last || last.role !== 'bot') return prev
+        return [...prev.slice(0, -1), { ...last, ...extra, content: last.content + text }]
+      })
+    }
+
     try  {
-      const sessionId = sessionManager.getSessionId();
-      const response = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/chat?message=${encodeURIComponent(input)}`, {
+      const params = new URLSearchParams({ message: input, stream: 'true' })
+      if (conversationId) params.set('conversationId', conversationId)
+
+      const response = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/chat?${params}`, {
         method: 'GET',
-        headers: {
-          'x-session-id': sessionId
+        headers: await getAuthHeaders(),
+        signal: controller.signal
+      })
+
+      // Rate limit or daily quota: the server says which and when it resets
+      if (response.status === 429) {
+        const { error } = await response.json().catch(() => ({ error: null }))
+        appendToReply(error ? `${error}. Please try again later.` : 'Too many requests. Please try again later.')
+        return
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      await readEventStream(response, ({ event, data }) => {
+        if (event === 'token') {
+          appendToReply((data as { text: string }).text)
+        } else if (event === 'done') {
+          const result = data as ChatResult
+          if (result.conversationId && !wasReset()) {
+            setConversationId(result.conversationId)
+            saveConversationId(result.conversationId)
+          }
+          const meta = {
+            sources: result.sources || [],
+            source: result.source,
+            pdfCount: result.pdfCount,
+            audioCount: result.audioCount,
+            documentCount: result.documentCount
+          }
+          // Early answers (no documents, nothing found) arrive without tokens
+          appendToReply(started ? '' : result.message || 'Sorry, I could not generate a response.', meta)
+        } else if (event === 'error') {
+          throw new Error((data as { error?: string }).error || 'Stream failed')
         }
       })
-      const data = await response.json()
-      const botMessage: Message = { role: 'bot', content: data.message || 'Sorry, I could not generate a response.' }
-      setMessages(prev => [...prev, botMessage])
     } catch (error) {
-      console.error('Error sending message:', error)
-      const errorMessage: Message = { role: 'bot', content: 'Sorry, something went wrong. Please try again.' }
-      setMessages(prev => [...prev, errorMessage])
+      if (controller.signal.aborted) {
+        appendToReply(started ? '\n\n(Generation stopped)' : 'Generation stopped.')
+      } else {
+        console.error('Error sending message:', error)
+        appendToReply(started ? '\n\nSorry, the response was interrupted.' : 'Sorry, something went wrong. Please try again.')
+      }
     } finally {
+      setMessages(prev => prev.map(msg => (msg.streaming ? { ...msg, streaming: false } : msg)))
+      if (abortControllerRef.current === controller) abortControllerRef.current = null
+      setIsStreaming(false)
       setIsLoading(false)
+      notifyUsageChanged()
     }
   }
 
+  const handleStop = () => {
+    abortControllerRef.current?.abort()
+  }
+
+  const handleNewChat = () => {
+    chatResetRef.current += 1
+    abortControllerRef.current?.abort()
+    setMessages([])
+    setActiveCitation(null)
+    setConversationId(null)
+    saveConversationId(null)
+    inputRef.current?.focus()
+  }
+
+  const handleClearHistory = async () => {
+    if (conversationId) {
+      try {
+        await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/conversations/${encodeURIComponent(conversationId)}`, {
+          method: 'DELETE',
+          headers: await getAuthHeaders()
+        })
+      } catch (error) {
+        console.error('Error clearing conversation:', error)
+      }
+    }
+    handleNewChat()
+  }
+
+  // Cancel any in-flight generation when the chat unmounts
+  React.useEffect(() => () => abortControllerRef.current?.abort(), [])
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -86,9 +262,23 @@ const ChatComponent: React.FC = () => {
             <p className="text-white/60 text-sm">Ask about your uploaded files</p>
           </div>
         </div>
-        <div className="flex items-center gap-2 text-white/40">
-          <Paperclip className="h-4 w-4" />
-          <Mic className="h-4 w-4" />
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleNewChat}
+            disabled={messages.length === 0}
+            title="New chat"
+            className="text-white/60 hover:text-white hover:bg-white/10 p-2 rounded-full transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed"
+          >
+            <Plus className="h-4 w-4" />
+          </button>
+          <button
+            onClick={handleClearHistory}
+            disabled={!conversationId || isLoading}
+            title="Delete this conversation"
+            className="text-white/60 hover:text-white hover:bg-white/10 p-2 rounded-full transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
         </div>
       </motion.header>
 
@@ -109,7 +299,7 @@ const ChatComponent: React.FC = () => {
                   Hello! I&apos;m your AI Assistant
                 </h2>
                 <p className="text-gray-400 text-sm sm:text-base">
-                  Upload PDFs or audio files, then ask me anything about their content
+                  Upload PDFs, documents or audio files, then ask me anything about their content
                 </p>
               </div>
               <div className="flex gap-4 text-xs text-gray-500">
@@ -144,9 +334,34 @@ const ChatComponent: React.FC = () => {
                       <Bot className="h-4 w-4 text-white" />
                     </div>
                   )}
-                  <p className="text-sm sm:text-base leading-relaxed whitespace-pre-wrap flex-1">
-                    {msg.content}
-                  </p>
+                  <div className="flex-1">
+                    <p className="text-sm sm:text-base leading-relaxed whitespace-pre-wrap">
+                      {msg.role === 'bot' && msg.sources?.length ? (
+                        <CitedText
+                          content={msg.content}
+                          sources={msg.sources}
+                          activeId={activeCitation?.message === index ? activeCitation.id : null}
+                          onSelect={(id) => setActiveCitation(id === null ? null : { message: index, id })}
+                        />
+                      ) : (
+                        msg.content
+                      )}
+                      {msg.streaming && (
+                        <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-purple-300 animate-pulse" />
+                      )}
+                    </p>
+                    {activeCitation?.message === index && msg.sources && (() => {
+                      const source = msg.sources.find(s => s.id === activeCitation.id)
+                      return source ? (
+                        <SourcePreview source={source} onClose={() => setActiveCitation(null)} />
+                      ) : null
+                    })()}
+                    {!msg.streaming && msg.source && msg.source !== 'none' && (
+                      <p className="text-white/40 text-xs mt-2">
+                        Sources: {msg.pdfCount ?? 0} PDF • {msg.documentCount ?? 0} documents • {msg.audioCount ?? 0} audio
+                      </p>
+                    )}
+                  </div>
                   {msg.role === 'user' && (
                     <div className="bg-white/20 p-1 rounded-full flex-shrink-0">
                       <User className="h-4 w-4 text-white" />
@@ -156,7 +371,7 @@ const ChatComponent: React.FC = () => {
               </div>
             </motion.div>
           ))}
-          {isLoading && (
+          {isLoading && !isStreaming && (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
@@ -214,19 +429,27 @@ const ChatComponent: React.FC = () => {
               disabled={isLoading}
             />
           </div>
-          <motion.button
-            whileHover={{ scale: input.trim() && !isLoading ? 1.05 : 1 }}
-            whileTap={{ scale: input.trim() && !isLoading ? 0.95 : 1 }}
-            onClick={handleSend}
-            disabled={!input.trim() || isLoading}
-            className="bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white p-3 sm:p-4 rounded-2xl disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center shadow-lg shadow-purple-500/25"
-          >
-            {isLoading ? (
-              <Loader2 className="h-5 w-5 animate-spin" />
-            ) : (
+          {isLoading ? (
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={handleStop}
+              title="Stop generating"
+              className="bg-white/10 hover:bg-white/20 border border-white/20 text-white p-3 sm:p-4 rounded-2xl transition-all duration-200 flex items-center justify-center"
+            >
+              <Square className="h-5 w-5 fill-current" />
+            </motion.button>
+          ) : (
+            <motion.button
+              whileHover={{ scale: input.trim() ? 1.05 : 1 }}
+              whileTap={{ scale: input.trim() ? 0.95 : 1 }}
+              onClick={handleSend}
+              disabled={!input.trim()}
+              className="bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white p-3 sm:p-4 rounded-2xl disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center shadow-lg shadow-purple-500/25"
+            >
               <Send className="h-5 w-5" />
-            )}
-          </motion.button>
+            </motion.button>
+          )}
         </div>
         <div className="text-center mt-3">
           <p className="text-white/40 text-xs">
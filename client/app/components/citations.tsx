@@ -0,0 +1,119 @@
+'use client'
+import { FileText, FileType, Mic, X } from 'lucide-react'
+import * as React from 'react'
+import { motion } from 'framer-motion'
+
+// A numbered chunk returned by /chat; answers cite it as [id]
+export interface Source {
+  id: number
+  type: 'pdf' | 'audio' | 'document'
+  documentId: string | null
+  filename: string
+  page: number | null
+  // Heading, chapter or CSV rows of a 'document' chunk (missing on answers saved before documents existed)
+  section?: string | null
+  startTime: number | null
+  endTime: number | null
+  // Diarized speakers heard in an audio chunk (missing on answers saved before diarization)
+  speakers?: string[]
+  snippet: string
+}
+
+export const formatTimestamp = (seconds: number): string => {
+  const total = Math.max(0, Math.floor(seconds))
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = String(total % 60).padStart(2, '0')
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
+
+export const describeLocation = (source: Source): string | null => {
+  if (source.type === 'pdf') {
+    return [source.page && `Page ${source.page}`, source.section].filter(Boolean).join(' • ') || null
+  }
+  if (source.type === 'document') return source.section || null
+  const parts: string[] = []
+  if (source.startTime !== null && source.endTime !== null) {
+    parts.push(`${formatTimestamp(source.startTime)}–${formatTimestamp(source.endTime)}`)
+  }
+  if (source.speakers?.length) parts.push(source.speakers.join(' & '))
+  return parts.length > 0 ? parts.join(' • ') : null
+}
+
+interface CitedTextProps {
+  content: string
+  sources: Source[]
+  activeId: number | null
+  onSelect: (id: number | null) => void
+}
+
+// Renders answer text with every valid [n] turned into a clickable chip
+export const CitedText: React.FC<CitedTextProps> = ({ content, sources, activeId, onSelect }) => {
+  const byId = new Map(sources.map(source => [source.id, source]))
+  const parts = content.split(/(\[\d+\])/g)
+
+  return (
+    <>
+      {parts.map((part, i) => {
+        const match = part.match(/^\[(\d+)\]$/)
+        const source = match ? byId.get(Number(match[1])) : undefined
+        if (!source) return <React.Fragment key={i}>{part}</React.Fragment>
+
+        const isActive = activeId === source.id
+        return (
+          <button
+            key={i}
+            type="button"
+            onClick={() => onSelect(isActive ? null : source.id)}
+            title={[source.filename, describeLocation(source)].filter(Boolean).join(' • ')}
+            className={`inline-flex items-center justify-center align-super text-[10px] font-semibold min-w-[1.25rem] h-4 px-1 mx-0.5 rounded-full transition-all duration-200 ${
+              isActive
+                ? 'bg-pink-500 text-white'
+                : 'bg-purple-500/40 text-purple-100 hover:bg-purple-500/70'
+            }`}
+          >
+            {source.id}
+          </button>
+        )
+      })}
+    </>
+  )
+}
+
+interface SourcePreviewProps {
+  source: Source
+  onClose: () => void
+}
+
+// Quoted chunk with filename and page/timestamp for the selected citation
+export const SourcePreview: React.FC<SourcePreviewProps> = ({ source, onClose }) => {
+  const location = describeLocation(source)
+  const Icon = { pdf: FileText, audio: Mic, document: FileType }[source.type] ?? FileText
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -5 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mt-3 bg-black/20 border border-white/10 rounded-2xl p-3 text-left"
+    >
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2 min-w-0 text-xs text-white/70">
+          <span className="bg-purple-500/40 text-purple-100 font-semibold rounded-full px-1.5">{source.id}</span>
+          <Icon className="h-3 w-3 flex-shrink-0" />
+          <span className="truncate">{source.filename}</span>
+          {location && <span className="text-white/40 flex-shrink-0">• {location}</span>}
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-white/40 hover:text-white flex-shrink-0"
+        >
+          <X className="h-3 w-3" />
+        </button>
+      </div>
+      <blockquote className="text-xs sm:text-sm text-white/80 leading-relaxed whitespace-pre-wrap border-l-2 border-purple-400/50 pl-3">
+        {source.snippet}
+      </blockquote>
+    </motion.div>
+  )
+}
@@ -0,0 +1,251 @@
+'use client'
+import { FileText, FileType, Mic, Trash2, RefreshCw, Loader2, CheckCircle, AlertCircle, FolderOpen } from 'lucide-react'
+import * as React from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { toast } from 'sonner'
+import { useAuthToast } from '@/hooks/useAuthToast'
+import { useAuthHeaders } from '@/hooks/useAuthHeaders'
+import { useDocumentEvents, DocumentEvent, DocumentProgress, DocumentType } from '@/hooks/useDocumentEvents'
+
+// Upload components dispatch this on window so the list refreshes right away
+export const DOCUMENTS_CHANGED_EVENT = 'documentsChanged'
+
+export const notifyDocumentsChanged = () => {
+  window.dispatchEvent(new Event(DOCUMENTS_CHANGED_EVENT))
+}
+
+interface DocumentInfo {
+  id: string | null
+  type: DocumentType
+  filename: string
+  mimetype: string | null
+  size: number | null
+  status: 'processing' | 'ready' | 'failed'
+  chunkCount: number | null
+  progress: DocumentProgress | null
+  // Set while a failed attempt is being retried
+  retry: { attempt: number, maxAttempts: number, error: string | null } | null
+  error: string | null
+  uploadedAt: number | null
+  updatedAt: number | null
+}
+
+const TYPE_ICONS = { pdf: FileText, audio: Mic, document: FileType }
+
+const formatSize = (bytes: number | null): string => {
+  if (bytes === null) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const DocumentListComponent: React.FC = () => {
+  const [documents, setDocuments] = React.useState<DocumentInfo[]>([])
+  const [isLoading, setIsLoading] = React.useState(true)
+  const [busyId, setBusyId] = React.useState<string | null>(null)
+  const { showAuthToast, isSignedIn } = useAuthToast()
+
+  const { getAuthHeaders } = useAuthHeaders()
+
+  const fetchDocuments = React.useCallback(async () => {
+    // Documents belong to the signed-in user; nothing to list before sign-in
+    if (!isSignedIn) {
+      setDocuments([])
+      setIsLoading(false)
+      return
+    }
+
+    try {
+      const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/documents`, {
+        headers: await getAuthHeaders()
+      })
+
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`)
+      }
+
+      const data = await res.json()
+      setDocuments(data.documents || [])
+    } catch (err) {
+      console.error('❌ Failed to load documents', err)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [isSignedIn, getAuthHeaders])
+
+  React.useEffect(() => {
+    fetchDocuments()
+    window.addEventListener(DOCUMENTS_CHANGED_EVENT, fetchDocuments)
+    return () => window.removeEventListener(DOCUMENTS_CHANGED_EVENT, fetchDocuments)
+  }, [fetchDocuments])
+
+  // Follow worker progress while anything is still being processed; reload once a document finishes
+  const hasProcessing = documents.some(d => d.status === 'processing')
+  const handleDocumentEvent = React.useCallback((event: DocumentEvent) => {
+    if (event.event === 'progress') {
+      const { id, stage, percent, message } = event.data
+      setDocuments(prev => prev.map(doc => doc.id === id ? { ...doc, progress: { stage, percent, message } } : doc))
+    } else if (event.event === 'document') {
+      fetchDocuments()
+    } else if (event.data.documents.some(d => d.status !== 'processing' && documents.some(doc => doc.id === d.id && doc.status === 'processing'))) {
+      // Finished between the last fetch and connecting
+      fetchDocuments()
+    }
+  }, [documents, fetchDocuments])
+
+  useDocumentEvents(handleDocumentEvent, hasProcessing)
+
+  const handleDelete = async (doc: DocumentInfo) => {
+    if (!doc.id) return
+    if (!isSignedIn) {
+      showAuthToast('manage documents')
+      return
+    }
+
+    setBusyId(doc.id)
+    try {
+      const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/documents/${encodeURIComponent(doc.id)}`, {
+        method: 'DELETE',
+        headers: await getAuthHeaders()
+      })
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || `HTTP error! status: ${res.status}`)
+      }
+
+      toast.success(`${doc.filename} deleted`)
+      await fetchDocuments()
+    } catch (err) {
+      console.error('❌ Failed to delete document', err)
+      toast.error('Could not delete document', { description: (err as Error).message })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleReindex = async (doc: DocumentInfo) => {
+    if (!doc.id) return
+    if (!isSignedIn) {
+      showAuthToast('manage documents')
+      return
+    }
+
+    setBusyId(doc.id)
+    try {
+      const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/documents/${encodeURIComponent(doc.id)}/reindex`, {
+        method: 'POST',
+        headers: await getAuthHeaders()
+      })
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.error || `HTTP error! status: ${res.status}`)
+      }
+
+      toast.success(`Re-indexing ${doc.filename}`)
+      await fetchDocuments()
+    } catch (err) {
+      console.error('❌ Failed to re-index document', err)
+      toast.error('Could not re-index document', { description: (err as Error).message })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div className="bg-white/5 backdrop-blur-md border border-white/10 rounded-2xl p-4 lg:p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-white font-semibold text-sm lg:text-base">📁 Your Documents</h3>
+        <button
+          onClick={fetchDocuments}
+          title="Refresh"
+          className="text-white/50 hover:text-white p-1 rounded-full hover:bg-white/10 transition-all duration-200"
+        >
+          <RefreshCw className="h-4 w-4" />
+        </button>
+      </div>
+
+      {isLoading && (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-white/60" />
+        </div>
+      )}
+
+      {!isLoading && documents.length === 0 && (
+        <div className="flex flex-col items-center gap-2 py-4 text-white/40 text-xs lg:text-sm">
+          <FolderOpen className="h-6 w-6" />
+          <p>No documents uploaded yet</p>
+        </div>
+      )}
+
+      <ul className="space-y-2">
+        <AnimatePresence>
+          {documents.map(doc => {
+            const Icon = TYPE_ICONS[doc.type] ?? FileText
+            const isBusy = busyId !== null && busyId === doc.id
+
+            return (
+              <motion.li
+                key={doc.id || `${doc.type}-${doc.filename}`}
+                initial={{ opacity: 0, y: 5 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, x: -20 }}
+                className="flex items-center gap-3 bg-white/5 border border-white/10 rounded-xl p-3"
+              >
+                <div className="bg-white/10 p-2 rounded-lg flex-shrink-0">
+                  <Icon className="h-4 w-4 text-white" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-white text-sm font-medium truncate">{doc.filename}</p>
+                  <div className="flex items-center gap-2 text-white/50 text-xs">
+                    {doc.status === 'processing' && (
+                      <span className="flex items-center gap-1 text-purple-300">
+                        <Loader2 className="h-3 w-3 animate-spin" />
+                        {doc.progress
+                          ? `${doc.progress.percent}% • ${doc.progress.message || doc.progress.stage}`
+                          : doc.retry ? `Retrying (${doc.retry.attempt + 1}/${doc.retry.maxAttempts})` : 'Processing'}
+                      </span>
+                    )}
+                    {doc.status === 'ready' && (
+                      <span className="flex items-center gap-1 text-green-400">
+                        <CheckCircle className="h-3 w-3" /> Ready
+                      </span>
+                    )}
+                    {doc.status === 'failed' && (
+                      <span className="flex items-center gap-1 text-red-400" title={doc.error ?? undefined}>
+                        <AlertCircle className="h-3 w-3" /> Failed
+                      </span>
+                    )}
+                    {doc.size !== null && <span>• {formatSize(doc.size)}</span>}
+                    {doc.chunkCount !== null && <span>• {doc.chunkCount} chunks</span>}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => handleReindex(doc)}
+                    disabled={!doc.id || isBusy || doc.status === 'processing'}
+                    title="Re-index"
+                    className="text-white/60 hover:text-white p-1.5 rounded-full hover:bg-white/10 transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed"
+                  >
+                    <RefreshCw className={`h-4 w-4 ${isBusy ? 'animate-spin' : ''}`} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(doc)}
+                    disabled={!doc.id || isBusy}
+                    title="Delete"
+                    className="text-white/60 hover:text-red-400 p-1.5 rounded-full hover:bg-white/10 transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </motion.li>
+            )
+          })}
+        </AnimatePresence>
+      </ul>
+    </div>
+  )
+}
+
+export default DocumentListComponent
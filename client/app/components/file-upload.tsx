@@ -1,101 +1,76 @@
 'use client'
-import { Upload, CheckCircle, XCircle, Loader2, FileText } from 'lucide-react'
+import { Upload, Loader2, FileText } from 'lucide-react'
 import * as React from 'react'
-import { motion, AnimatePresence } from 'framer-motion'
+import { motion } from 'framer-motion'
+import { toast } from 'sonner'
+import axios from 'axios'
 import { useAuthToast } from '@/hooks/useAuthToast'
-import sessionManager from '@/utils/session';
-
-interface PdfFileStatus {
-  filename: string
-  status: 'processing' | 'ready' | 'failed'
+import { useAuthHeaders } from '@/hooks/useAuthHeaders'
+import { useDocumentEvents, DocumentEvent, DocumentProgress, DocumentStatus } from '@/hooks/useDocumentEvents'
+import { uploadErrorMessage } from '@/utils/errors'
+import { notifyDocumentsChanged } from './document-list'
+
+// Everything /upload/document accepts: PDFs plus the formats of the server's document loaders
+const ACCEPTED_FILES = [
+  '.pdf', '.docx', '.pptx', '.txt', '.md', '.markdown', '.html', '.htm', '.csv', '.epub',
+  'application/pdf', 'text/plain', 'text/markdown', 'text/html', 'text/csv', 'application/epub+zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+].join(',')
+
+interface UploadResponse {
+  message: string
+  documentId: string
+  status: DocumentStatus
+  duplicate: boolean
 }
 
+// Uploaded files are listed (and deleted/re-indexed) in DocumentListComponent;
+// this component only tracks the upload currently in flight
 const FileUploadComponent: React.FC = () => {
-  const [uploadedFile, setUploadedFile] = React.useState<File | null>(null)
   const [isUploading, setIsUploading] = React.useState(false)
-  const [isUploaded, setIsUploaded] = React.useState(false)
-  const [isProcessing, setIsProcessing] = React.useState(false)
+  const [uploadProgress, setUploadProgress] = React.useState(0)
+  // Document the workers are processing, and their latest progress report
+  const [processing, setProcessing] = React.useState<{ documentId: string, filename: string } | null>(null)
+  const [progress, setProgress] = React.useState<DocumentProgress | null>(null)
+  const isProcessing = processing !== null
   const { showAuthToast, isSignedIn } = useAuthToast()
-  
-  // Get or create session ID
-  
-
-  const sessionId = sessionManager.getSessionId();
-
-  // Poll backend for PDF processing status - FIXED: Accept filename as parameter
-  async function waitUntilProcessed(filename: string) {
-    return new Promise<void>((resolve, reject) => {
-      const interval = setInterval(async () => {
-        try {
-          console.log('🔄 Polling PDF status for session:', sessionId);
-          console.log('🔍 Looking for filename:', filename); // Use the parameter
-          
-          const res = await fetch(
-            `${process.env.NEXT_PUBLIC_SERVER_URL}/pdf/status?sessionId=${encodeURIComponent(sessionId)}`
-          );
-          
-          if (!res.ok) {
-            throw new Error(`HTTP error! status: ${res.status}`);
-          }
-          
-          const data = await res.json();
-          const files: PdfFileStatus[] = data.files || [];
-          
-          console.log('📊 Full status response:', data);
-          console.log('📁 All files in session:', files);
-
-          // FIXED: Use the filename parameter instead of uploadedFile?.name
-          const currentFile = files.find(f => f.filename === filename);
-
-          console.log('✅ Found file:', currentFile);
-
-          if (!currentFile) {
-            console.log('❌ PDF file not found in status response. Available files:', files.map(f => f.filename));
-            return; // Continue polling
-          }
-
-          console.log('📋 Current file status:', currentFile.status);
+  const { getAuthHeaders } = useAuthHeaders()
+
+  // Processing status is pushed by the server while a document is in flight
+  const handleDocumentEvent = React.useCallback((event: DocumentEvent) => {
+    if (!processing) return
+
+    const finish = (status: DocumentStatus) => {
+      if (status === 'processing') return
+      console.log(status === 'ready' ? '🎉 Document processing completed!' : '💥 Document processing failed');
+      setProcessing(null)
+      setProgress(null)
+      notifyDocumentsChanged()
+      if (status === 'ready') toast.success(`${processing.filename} is ready for chatting`)
+      else toast.error(`${processing.filename} could not be processed`)
+    }
 
-          if (currentFile.status === 'ready') {
-            console.log('🎉 PDF processing completed!');
-            clearInterval(interval);
-            setIsProcessing(false);
-            setIsUploaded(true);
-            resolve();
-          } else if (currentFile.status === 'failed') {
-            console.log('💥 PDF processing failed');
-            clearInterval(interval);
-            setIsProcessing(false);
-            setIsUploaded(false);
-            reject(new Error('PDF processing failed'));
-          } else {
-            console.log('⏳ PDF still processing...');
-          }
-        } catch (err) {
-          console.error('❌ PDF status poll error', err);
-          // Don't clear interval on temporary errors, keep polling
-        }
-      }, 2000); // Check every 2 seconds
+    if (event.event === 'snapshot') {
+      const doc = event.data.documents.find(d => d.id === processing.documentId)
+      if (doc?.progress) setProgress(doc.progress)
+      if (doc) finish(doc.status)
+    } else if (event.data.id === processing.documentId) {
+      if (event.event === 'progress') setProgress(event.data)
+      else finish(event.data.status)
+    }
+  }, [processing])
 
-      // Timeout after 5 minutes
-      setTimeout(() => {
-        console.log('⏰ PDF processing timeout');
-        clearInterval(interval);
-        setIsProcessing(false);
-        setIsUploaded(false);
-        reject(new Error('PDF processing timeout'));
-      }, 5 * 60 * 1000);
-    });
-  }
+  useDocumentEvents(handleDocumentEvent, isProcessing)
 
   const handleFileUploadButtonClick = () => {
     if (!isSignedIn) {
-      showAuthToast('upload PDF files')
+      showAuthToast('upload documents')
       return
     }
     const el = document.createElement('input')
     el.setAttribute('type', 'file')
-    el.setAttribute('accept', 'application/pdf')
+    el.setAttribute('accept', ACCEPTED_FILES)
 
     el.addEventListener('change', async () => {
       if (el.files && el.files.length > 0) {
@@ -109,41 +84,38 @@ const FileUploadComponent: React.FC = () => {
           });
           
           setIsUploading(true)
-          setIsUploaded(false)
-          setIsProcessing(false)
+          setUploadProgress(0)
           const formData = new FormData()
-          formData.append('pdf', file)
+          formData.append('document', file)
 
           try {
-            const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/upload/pdf`, {
-              method: 'POST',
-              body: formData,
-              headers: {
-                'x-session-id': sessionId
+            const { data: result } = await axios.post<UploadResponse>(
+              `${process.env.NEXT_PUBLIC_SERVER_URL}/upload/document`,
+              formData,
+              {
+                headers: await getAuthHeaders(),
+                onUploadProgress: (e) => setUploadProgress(Math.round((e.loaded / (e.total || file.size)) * 100))
               }
-            })
+            )
+            console.log('✅ Upload successful, server response:', result);
+            setIsUploading(false)
 
-            if (res.ok) {
-              const result = await res.json();
-              console.log('✅ Upload successful, server response:', result);
-              setUploadedFile(file)
-              setIsUploading(false)
-              setIsProcessing(true)
-              
-              console.log('PDF uploaded, waiting for processing ⏳')
-              
-              // FIXED: Pass the filename directly to waitUntilProcessed
-              await waitUntilProcessed(file.name)
-              
-              console.log('PDF processed successfully ✅')
-            } else {
-              const errorText = await res.text();
-              console.error('❌ Upload failed with status:', res.status, 'Response:', errorText);
-              setIsUploading(false)
+            // Byte-identical file already indexed in this session
+            if (result.duplicate && result.status === 'ready') {
+              toast.info(`${file.name} was already uploaded`, {
+                description: 'The existing copy is ready for chatting.'
+              })
+              return
             }
+
+            setProgress(null)
+            setProcessing({ documentId: result.documentId, filename: file.name })
+            notifyDocumentsChanged()
+            console.log('Document uploaded, waiting for processing ⏳')
           } catch (err) {
             console.error('❌ Error uploading file:', err)
             setIsUploading(false)
+            toast.error(uploadErrorMessage(err))
           }
         }
       }
@@ -152,25 +124,19 @@ const FileUploadComponent: React.FC = () => {
     el.click()
   }
 
-  const handleRemoveFile = () => {
-    setUploadedFile(null)
-    setIsUploaded(false)
-    setIsProcessing(false)
-  }
-
   return (
     <motion.div
-      whileHover={{ scale: !isUploaded && !isUploading && !isProcessing ? 1.02 : 1 }}
-      whileTap={{ scale: !isUploaded && !isUploading && !isProcessing ? 0.98 : 1 }}
+      whileHover={{ scale: !isUploading && !isProcessing ? 1.02 : 1 }}
+      whileTap={{ scale: !isUploading && !isProcessing ? 0.98 : 1 }}
       className={`relative bg-gradient-to-br from-indigo-600 via-purple-600 to-pink-500 text-white shadow-2xl shadow-purple-500/20 
         flex justify-center items-center p-6 rounded-3xl border-2 border-white/20 transition-all duration-300 
         backdrop-blur-sm hover:shadow-purple-500/30 ${
-        isUploaded || isUploading || isProcessing ? 'cursor-default' : 'cursor-pointer hover:bg-gradient-to-br hover:from-indigo-700 hover:via-purple-700 hover:to-pink-600'
+        isUploading || isProcessing ? 'cursor-default' : 'cursor-pointer hover:bg-gradient-to-br hover:from-indigo-700 hover:via-purple-700 hover:to-pink-600'
       }`}
-      onClick={!isUploaded && !isUploading && !isProcessing ? handleFileUploadButtonClick : undefined}
+      onClick={!isUploading && !isProcessing ? handleFileUploadButtonClick : undefined}
     >
       {/* File Upload Idle State */}
-      {!isUploaded && !isUploading && !isProcessing && (
+      {!isUploading && !isProcessing && (
         <motion.div
           initial={{ opacity: 0, scale: 0.9 }}
           animate={{ opacity: 1, scale: 1 }}
@@ -180,14 +146,14 @@ const FileUploadComponent: React.FC = () => {
             <Upload className="h-8 w-8 sm:h-10 sm:w-10 text-white" />
           </div>
           <div className="space-y-2">
-            <h3 className="text-lg sm:text-xl font-bold tracking-wide">Upload PDF</h3>
+            <h3 className="text-lg sm:text-xl font-bold tracking-wide">Upload Document</h3>
             <p className="text-white/70 text-sm sm:text-base max-w-xs">
-              Click to select a PDF document
+              Click to select a PDF, Word, PowerPoint or text file
             </p>
           </div>
           <div className="flex items-center gap-2 text-xs text-white/50">
             <FileText className="h-3 w-3" />
-            <span>PDF files only</span>
+            <span>PDF, DOCX, PPTX, TXT, MD, HTML, CSV, EPUB</span>
           </div>
         </motion.div>
       )}
@@ -199,18 +165,25 @@ const FileUploadComponent: React.FC = () => {
           animate={{ opacity: 1 }}
           className="text-center text-white/90 space-y-4 w-full"
         >
-          <div className="relative">
-            <div className="animate-spin border-4 border-white/30 border-t-white rounded-full h-12 w-12 mx-auto"></div>
+          <div className="space-y-2 max-w-xs mx-auto">
+            <div className="bg-white/20 rounded-full h-3 w-full overflow-hidden backdrop-blur-sm">
+              <motion.div
+                className="bg-white rounded-full h-3"
+                initial={{ width: '0%' }}
+                animate={{ width: `${uploadProgress}%` }}
+                transition={{ ease: 'easeOut', duration: 0.2 }}
+              />
+            </div>
           </div>
           <div className="space-y-1">
-            <p className="text-sm font-medium">Uploading PDF...</p>
+            <p className="text-sm font-medium">Uploading document... {uploadProgress}%</p>
             <p className="text-xs text-white/60">Please wait</p>
           </div>
         </motion.div>
       )}
 
       {/* Processing State */}
-      {isProcessing && !isUploaded && (
+      {isProcessing && (
         <motion.div
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
@@ -218,50 +191,20 @@ const FileUploadComponent: React.FC = () => {
         >
           <Loader2 className="h-12 w-12 animate-spin text-white" />
           <div className="space-y-2">
-            <h3 className="text-lg font-semibold">Processing PDF</h3>
-            <p className="text-white/70 text-sm">Extracting text content...</p>
+            <h3 className="text-lg font-semibold">Processing Document</h3>
+            <p className="text-white/70 text-sm">{progress?.message || 'Waiting for a worker...'}</p>
           </div>
-          <div className="w-24 h-1 bg-white/20 rounded-full overflow-hidden">
-            <motion.div 
+          <div className="w-full max-w-xs h-1.5 bg-white/20 rounded-full overflow-hidden">
+            <motion.div
               className="h-full bg-white rounded-full"
-              animate={{ x: [-50, 50] }}
-              transition={{ repeat: Infinity, duration: 1.5, ease: "easeInOut" }}
+              initial={{ width: '0%' }}
+              animate={{ width: `${progress?.percent ?? 0}%` }}
+              transition={{ ease: 'easeOut', duration: 0.3 }}
             />
           </div>
+          <p className="text-xs text-white/50">{progress?.percent ?? 0}%</p>
         </motion.div>
       )}
-
-      {/* Uploaded State */}
-      <AnimatePresence>
-        {isUploaded && uploadedFile && (
-          <motion.div
-            key="uploaded"
-            initial={{ opacity: 0, scale: 0.9 }}
-            animate={{ opacity: 1, scale: 1 }}
-            exit={{ opacity: 0 }}
-            className="flex flex-col justify-center items-center space-y-4 text-center w-full"
-          >
-            <div className="relative">
-              <CheckCircle className="h-12 w-12 text-green-400" />
-              <div className="absolute -top-1 -right-1 w-4 h-4 bg-green-400 rounded-full animate-ping"></div>
-            </div>
-            <div className="space-y-2">
-              <h3 className="text-lg font-semibold truncate max-w-[200px] sm:max-w-[250px]">
-                {uploadedFile.name}
-              </h3>
-              <p className="text-white/70 text-sm">Ready for chatting</p>
-            </div>
-            <motion.button
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              onClick={handleRemoveFile}
-              className="mt-2 bg-white/20 hover:bg-white/30 text-sm px-4 py-2 rounded-full flex items-center gap-2 transition-all duration-200 backdrop-blur-sm"
-            >
-              <XCircle className="h-4 w-4" /> Upload New
-            </motion.button>
-          </motion.div>
-        )}
-      </AnimatePresence>
     </motion.div>
   )
 }
@@ -0,0 +1,113 @@
+'use client'
+import { Gauge } from 'lucide-react'
+import * as React from 'react'
+import { motion } from 'framer-motion'
+import { useAuthToast } from '@/hooks/useAuthToast'
+import { useAuthHeaders } from '@/hooks/useAuthHeaders'
+import { DOCUMENTS_CHANGED_EVENT } from './document-list'
+
+// Dispatched on window after a chat answer so the token count refreshes
+export const USAGE_CHANGED_EVENT = 'usageChanged'
+
+export const notifyUsageChanged = () => {
+  window.dispatchEvent(new Event(USAGE_CHANGED_EVENT))
+}
+
+// GET /usage; a limit of 0 means unlimited
+interface UsageInfo {
+  limits: {
+    chatPerMinute: number
+    uploadsPerMinute: number
+    uploadMbPerDay: number
+    storedChunks: number
+    llmTokensPerDay: number
+  }
+  usage: {
+    chatThisMinute: number
+    uploadsThisMinute: number
+    uploadMbToday: number
+    storedChunks: number
+    llmTokensToday: number
+  }
+}
+
+const REFRESH_INTERVAL = 60000
+
+const UsageBar: React.FC<{ label: string, used: number, limit: number, unit?: string }> = ({ label, used, limit, unit = '' }) => {
+  const percent = limit > 0 ? Math.min((used / limit) * 100, 100) : 0
+  const color = percent >= 90 ? 'bg-red-400' : percent >= 70 ? 'bg-amber-400' : 'bg-purple-400'
+
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-xs text-white/60">
+        <span>{label}</span>
+        <span>
+          {used.toLocaleString()}{unit}
+          {limit > 0 ? ` / ${limit.toLocaleString()}${unit}` : ' (unlimited)'}
+        </span>
+      </div>
+      {limit > 0 && (
+        <div className="h-1.5 bg-white/10 rounded-full overflow-hidden">
+          <motion.div
+            className={`h-full ${color}`}
+            initial={{ width: 0 }}
+            animate={{ width: `${percent}%` }}
+            transition={{ duration: 0.4 }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+const UsagePanel: React.FC = () => {
+  const [usage, setUsage] = React.useState<UsageInfo | null>(null)
+  const { isSignedIn } = useAuthToast()
+  const { getAuthHeaders } = useAuthHeaders()
+
+  const fetchUsage = React.useCallback(async () => {
+    if (!isSignedIn) {
+      setUsage(null)
+      return
+    }
+
+    try {
+      const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/usage`, {
+        headers: await getAuthHeaders()
+      })
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`)
+      setUsage(await res.json())
+    } catch (err) {
+      console.error('❌ Failed to load usage', err)
+    }
+  }, [isSignedIn, getAuthHeaders])
+
+  React.useEffect(() => {
+    fetchUsage()
+    const timer = setInterval(fetchUsage, REFRESH_INTERVAL)
+    window.addEventListener(DOCUMENTS_CHANGED_EVENT, fetchUsage)
+    window.addEventListener(USAGE_CHANGED_EVENT, fetchUsage)
+    return () => {
+      clearInterval(timer)
+      window.removeEventListener(DOCUMENTS_CHANGED_EVENT, fetchUsage)
+      window.removeEventListener(USAGE_CHANGED_EVENT, fetchUsage)
+    }
+  }, [fetchUsage])
+
+  if (!usage) return null
+
+  return (
+    <div className="bg-white/5 backdrop-blur-md border border-white/10 rounded-2xl p-4 lg:p-6">
+      <h3 className="flex items-center gap-2 text-white font-semibold text-sm lg:text-base mb-3">
+        <Gauge className="h-4 w-4" /> Usage Today
+      </h3>
+      <div className="space-y-3">
+        <UsageBar label="Uploaded" used={usage.usage.uploadMbToday} limit={usage.limits.uploadMbPerDay} unit=" MB" />
+        <UsageBar label="Stored chunks" used={usage.usage.storedChunks} limit={usage.limits.storedChunks} />
+        <UsageBar label="AI tokens" used={usage.usage.llmTokensToday} limit={usage.limits.llmTokensPerDay} />
+      </div>
+    </div>
+  )
+}
+
+export default UsagePanel
@@ -2,6 +2,8 @@
 import FileUploadComponent from "./components/file-upload";
 import ChatComponent from "./components/chat";
 import AudioUploadComponent from "./components/AudioUploadComponent";
+import DocumentListComponent from "./components/document-list";
+import UsagePanel from "./components/usage-panel";
 
 export default function Home() {
   return (
@@ -12,6 +14,12 @@ export default function Home() {
           <FileUploadComponent />
           <AudioUploadComponent />
         </div>
+
+        {/* Uploaded files with delete / re-index */}
+        <DocumentListComponent />
+
+        {/* Uploads, storage and AI tokens against the account's limits */}
+        <UsagePanel />
         
         {/* Upload Status Info */}
         <div className="bg-white/5 backdrop-blur-md border border-white/10 rounded-2xl p-4 lg:p-6 mt-4">
@@ -0,0 +1,15 @@
+'use client'
+import { useAuth } from '@clerk/nextjs'
+import { useCallback } from 'react'
+
+// Headers for calls to the API server: the Clerk session token identifies the user
+export const useAuthHeaders = () => {
+  const { getToken } = useAuth()
+
+  const getAuthHeaders = useCallback(async (): Promise<Record<string, string>> => {
+    const token = await getToken()
+    return token ? { Authorization: `Bearer ${token}` } : {}
+  }, [getToken])
+
+  return { getAuthHeaders }
+}
@@ -0,0 +1,80 @@
+'use client'
+import * as React from 'react'
+import { readEventStream } from '@/utils/sse'
+import { useAuthHeaders } from './useAuthHeaders'
+
+export type DocumentStatus = 'processing' | 'ready' | 'failed'
+
+// 'document' covers DOCX, PPTX, TXT/Markdown, HTML, CSV and EPUB uploads
+export type DocumentType = 'pdf' | 'audio' | 'document'
+
+// Latest job.updateProgress() report of a worker
+export interface DocumentProgress {
+  stage: string
+  percent: number
+  message?: string
+}
+
+export type DocumentEvent =
+  | {
+      event: 'snapshot'
+      data: {
+        documents: {
+          id: string
+          type: DocumentType
+          filename: string
+          status: DocumentStatus
+          progress: DocumentProgress | null
+        }[]
+      }
+    }
+  | { event: 'progress', data: DocumentProgress & { id: string, type: DocumentType } }
+  | { event: 'document', data: { id: string, type: DocumentType, filename: string, status: DocumentStatus, chunkCount: number | null, error: string | null } }
+
+const RECONNECT_DELAY = 3000
+
+// Subscribes to /documents/events while `enabled`, reconnecting if the stream drops
+export const useDocumentEvents = (onEvent: (event: DocumentEvent) => void, enabled: boolean) => {
+  const { getAuthHeaders } = useAuthHeaders()
+  const onEventRef = React.useRef(onEvent)
+
+  React.useEffect(() => {
+    onEventRef.current = onEvent
+  }, [onEvent])
+
+  React.useEffect(() => {
+    if (!enabled) return
+
+    const controller = new AbortController()
+    let retryTimer: ReturnType<typeof setTimeout> | undefined
+
+    const connect = async () => {
+      try {
+        const res = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/documents/events`, {
+          headers: await getAuthHeaders(),
+          signal: controller.signal
+        })
+        if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`)
+
+        await readEventStream(res, ({ event, data }) => {
+          if (event === 'snapshot' || event === 'progress' || event === 'document') {
+            onEventRef.current({ event, data } as DocumentEvent)
+          }
+        })
+      } catch (err) {
+        if (controller.signal.aborted) return
+        console.warn('⚠️ Document events stream error', err)
+      }
+
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, RECONNECT_DELAY)
+      }
+    }
+
+    connect()
+    return () => {
+      controller.abort()
+      clearTimeout(retryTimer)
+    }
+  }, [enabled, getAuthHeaders])
+}
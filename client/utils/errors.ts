@@ -0,0 +1,13 @@
+// utils/errors.ts
+
+import axios from 'axios'
+
+// User-facing message for a failed upload: rate limits, quotas and size errors come with the server's reason
+export const uploadErrorMessage = (err: unknown): string => {
+  if (axios.isAxiosError(err)) {
+    const status = err.response?.status
+    const message = (err.response?.data as { error?: string } | undefined)?.error
+    if (message && (status === 413 || status === 415 || status === 429)) return message
+  }
+  return 'Upload failed. Please try again.'
+}
@@ -0,0 +1,57 @@
+// utils/sse.ts
+
+export interface ServerEvent {
+  event: string
+  data: unknown
+}
+
+/**
+ * Reads a text/event-stream response body and calls `onEvent` for every
+ * complete event. Works with fetch() so custom headers and AbortController
+ * can be used (EventSource supports neither).
+ */
+export async function readEventStream(
+  response: Response,
+  onEvent: (event: ServerEvent) => void
+): Promise<void> {
+  if (!response.body) throw new Error('Response has no body to stream')
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const dispatch = (frame: string) => {
+    let event = 'message'
+    const dataLines: string[] = []
+
+    for (const line of frame.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim()
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart())
+    }
+    if (dataLines.length === 0) return
+
+    // Non-JSON data is passed on as text; errors thrown by onEvent propagate
+    const raw = dataLines.join('\n')
+    let data: unknown = raw
+    try {
+      data = JSON.parse(raw)
+    } catch {}
+    onEvent({ event, data })
+  }
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n')
+
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+      boundary = buffer.indexOf('\n\n')
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer)
+}
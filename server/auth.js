@@ -0,0 +1,104 @@
+// auth.js - verify the caller's session token; documents, conversations and chat are scoped to its user id
+//
+//   AUTH_PROVIDER=clerk (default): Clerk session JWTs. CLERK_JWT_KEY (PEM public key) verifies without network,
+//                                  otherwise CLERK_SECRET_KEY fetches the JWKS. CLERK_AUTHORIZED_PARTIES is an
+//                                  optional comma-separated list of allowed frontend origins (azp claim).
+//   AUTH_PROVIDER=local: HS256 tokens signed with AUTH_LOCAL_SECRET (see signLocalToken), for tests and offline dev
+import { verifyToken } from "@clerk/backend";
+import { createHmac, timingSafeEqual } from "crypto";
+import { logger } from "./logger.js";
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function createClerkVerifier(env) {
+  if (!env.CLERK_JWT_KEY && !env.CLERK_SECRET_KEY) {
+    throw new Error('CLERK_JWT_KEY or CLERK_SECRET_KEY is required when AUTH_PROVIDER=clerk');
+  }
+  const authorizedParties = env.CLERK_AUTHORIZED_PARTIES
+    ? env.CLERK_AUTHORIZED_PARTIES.split(',').map(s => s.trim()).filter(Boolean)
+    : undefined;
+
+  return {
+    provider: 'clerk',
+    async verify(token) {
+      // Throws TokenVerificationError for bad signatures, expired tokens or foreign azp
+      const claims = await verifyToken(token, {
+        jwtKey: env.CLERK_JWT_KEY,
+        secretKey: env.CLERK_SECRET_KEY,
+        authorizedParties
+      });
+      return { userId: claims.sub, claims };
+    }
+  };
+}
+
+function createLocalVerifier(env) {
+  const secret = env.AUTH_LOCAL_SECRET;
+  if (!secret) throw new Error('AUTH_LOCAL_SECRET is required when AUTH_PROVIDER=local');
+
+  return {
+    provider: 'local',
+    async verify(token) {
+      const [header, payload, signature] = token.split('.');
+      if (!header || !payload || !signature) throw new Error('Malformed token');
+
+      const expected = createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+      const actual = Buffer.from(signature, 'base64url');
+      if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        throw new Error('Invalid token signature');
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (claims.exp && claims.exp * 1000 < Date.now()) throw new Error('Token expired');
+      if (!claims.sub) throw new Error('Token has no subject');
+      return { userId: claims.sub, claims };
+    }
+  };
+}
+
+// Token for the local provider: signLocalToken('user_123', secret) -> "eyJ..."
+export function signLocalToken(userId, secret, { expiresInSeconds = 3600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: userId, iat: now, exp: now + expiresInSeconds }));
+  const signature = createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// { provider, verify(token) -> { userId, claims } }, throwing when the token is not valid
+export function createAuthVerifier(env = process.env) {
+  const provider = env.AUTH_PROVIDER || 'clerk';
+  if (provider === 'clerk') return createClerkVerifier(env);
+  if (provider === 'local') return createLocalVerifier(env);
+  throw new Error(`AUTH_PROVIDER=${provider} is not supported, use clerk or local`);
+}
+
+// Express middleware: rejects requests without a valid bearer token, sets req.auth = { userId, claims }
+export function requireAuth(verifier) {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      req.auth = await verifier.verify(token);
+      next();
+    } catch (err) {
+      logger.warn('Rejected unauthenticated request', { method: req.method, path: req.path, reason: err.message });
+      return res.status(401).json({ error: 'Invalid or expired session token' });
+    }
+  };
+}
+
+// Express middleware for after requireAuth: only the user ids in ADMIN_USER_IDS (comma-separated) pass
+export function requireAdmin(env = process.env) {
+  const admins = new Set((env.ADMIN_USER_IDS || '').split(',').map(s => s.trim()).filter(Boolean));
+
+  return (req, res, next) => {
+    if (!admins.has(req.auth?.userId)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,193 @@
+// blob-store.js - uploaded files live here instead of in Redis job payloads; jobs only carry the blob key
+//
+//   BLOB_STORAGE=local (default outside production): files under BLOB_DIR (default ./uploads), which the
+//                    workers must share, so only for running everything on one machine
+//   BLOB_STORAGE=s3 (default with NODE_ENV=production, where the server and each worker are separate services
+//                    without a shared disk): S3_BUCKET, S3_REGION, S3_ENDPOINT (e.g. MinIO http://localhost:9000),
+//                    S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE=true for MinIO
+//   BLOB_RETENTION=keep (default) retains blobs, which POST /documents/:id/reindex needs; delete removes a blob
+//                    once it is ingested, and such documents can only be re-indexed by uploading them again
+import { createReadStream, createWriteStream } from "fs";
+import { mkdir, mkdtemp, rename, rm, stat, readFile } from "fs/promises";
+import { tmpdir } from "os";
+import { basename, dirname, extname, join, resolve, sep } from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { createHash, randomUUID } from "crypto";
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+
+export const BLOB_RETENTION = process.env.BLOB_RETENTION === 'delete' ? 'delete' : 'keep';
+
+function createLocalBlobStore(root) {
+  // Keys are generated by us, but never let one escape the root directory
+  function pathFor(key) {
+    const path = resolve(root, key);
+    if (!path.startsWith(root + sep)) throw new Error(`Invalid blob key: ${key}`);
+    return path;
+  }
+
+  return {
+    backend: 'local',
+
+    async put(key, stream) {
+      const path = pathFor(key);
+      const partial = `${path}.${randomUUID()}.part`;
+      await mkdir(dirname(path), { recursive: true });
+      try {
+        await pipeline(stream, createWriteStream(partial));
+        await rename(partial, path);
+      } catch (err) {
+        await rm(partial, { force: true });
+        throw err;
+      }
+    },
+
+    async getStream(key) {
+      const path = pathFor(key);
+      await stat(path); // fail here rather than on the first read
+      return createReadStream(path);
+    },
+
+    async readBuffer(key) {
+      return readFile(pathFor(key));
+    },
+
+    async exists(key) {
+      try {
+        await stat(pathFor(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      await rm(pathFor(key), { force: true });
+    }
+  };
+}
+
+function createS3BlobStore({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket) throw new Error('S3_BUCKET is required when BLOB_STORAGE=s3');
+
+  const s3 = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  async function getStream(key) {
+    const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Body;
+  }
+
+  return {
+    backend: 's3',
+
+    // Multipart upload, so the file is never fully buffered in memory
+    async put(key, stream) {
+      await new Upload({
+        client: s3,
+        params: { Bucket: bucket, Key: key, Body: stream }
+      }).done();
+    },
+
+    getStream,
+
+    async readBuffer(key) {
+      const chunks = [];
+      for await (const chunk of await getStream(key)) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    },
+
+    async exists(key) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+// { backend, put(key, stream), getStream(key), readBuffer(key), exists(key), remove(key) }
+export function createBlobStore(env = process.env) {
+  const backend = env.BLOB_STORAGE || (env.NODE_ENV === 'production' ? 's3' : 'local');
+
+  if (backend === 's3') {
+    return createS3BlobStore({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  }
+  if (backend === 'local') {
+    return createLocalBlobStore(resolve(env.BLOB_DIR || 'uploads'));
+  }
+  throw new Error(`BLOB_STORAGE=${backend} is not supported, use local or s3`);
+}
+
+// Writes a stored blob to a local path (loaders such as PDFLoader need a file)
+export async function downloadBlob(store, key, path) {
+  await pipeline(await store.getStream(key), createWriteStream(path));
+}
+
+// Path for a worker's copy of an upload, in a fresh directory of its own. Only the extension of the
+// client-supplied filename is kept, so the name can't point outside the directory.
+export async function createTempPath(filename) {
+  const dir = await mkdtemp(join(tmpdir(), 'upload-'));
+  return join(dir, `upload${extname(basename(filename || ''))}`);
+}
+
+// Removes a createTempPath file together with anything written next to it
+export async function removeTempPath(path) {
+  await rm(dirname(path), { recursive: true, force: true });
+}
+
+// Multer storage engine: streams each upload straight into the blob store, hashing it on the way.
+// The file object gets blobKey, size and contentHash instead of a buffer.
+export function blobUploadStorage(store) {
+  return {
+    _handleFile(req, file, cb) {
+      const blobKey = `${file.fieldname}/${randomUUID()}${extname(file.originalname || '')}`;
+      const hash = createHash('sha256');
+      let size = 0;
+
+      const hashing = new Transform({
+        transform(chunk, _encoding, done) {
+          hash.update(chunk);
+          size += chunk.length;
+          done(null, chunk);
+        }
+      });
+
+      file.stream.on('error', err => hashing.destroy(err));
+      store.put(blobKey, file.stream.pipe(hashing))
+        .then(() => cb(null, { blobKey, size, contentHash: hash.digest('hex') }))
+        .catch(err => {
+          store.remove(blobKey).catch(() => {});
+          cb(err);
+        });
+    },
+
+    _removeFile(req, file, cb) {
+      store.remove(file.blobKey).then(() => cb(null), cb);
+    }
+  };
+}
@@ -0,0 +1,74 @@
+// bm25.js - keyword (sparse) vectors for Qdrant hybrid search
+// Documents get BM25 term-frequency weights here; Qdrant applies IDF itself (sparse vector modifier: 'idf')
+
+const K1 = 1.2;
+const B = 0.75;
+const AVG_DOC_LENGTH = 180; // ~tokens in a 1000 char chunk
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+  'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'not', 'of', 'on', 'or', 'our', 'she',
+  'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your', 'about',
+  'can', 'did', 'do', 'does', 'how', 'tell'
+]);
+
+// Words plus compound identifiers: "INV-2024-001" yields inv-2024-001, inv, 2024, 001
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const token = match[0];
+    const parts = token.split(/[-_./]/);
+    if (parts.length > 1) tokens.push(token);
+    for (const part of parts) {
+      if (part && !STOPWORDS.has(part)) tokens.push(part);
+    }
+  }
+  return tokens;
+}
+
+// FNV-1a: stable 32-bit term ids, so no vocabulary has to be stored
+function termIndex(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function toSparse(weights) {
+  const entries = [...weights.entries()].sort((a, b) => a[0] - b[0]);
+  return {
+    indices: entries.map(([index]) => index),
+    values: entries.map(([, value]) => value)
+  };
+}
+
+// Sparse vector for a stored chunk: BM25-saturated term frequencies
+export function documentSparseVector(text) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+  for (const token of tokens) {
+    const index = termIndex(token);
+    counts.set(index, (counts.get(index) || 0) + 1);
+  }
+
+  const lengthNorm = 1 - B + B * (tokens.length / AVG_DOC_LENGTH);
+  const weights = new Map();
+  for (const [index, tf] of counts) {
+    weights.set(index, (tf * (K1 + 1)) / (tf + K1 * lengthNorm));
+  }
+  return toSparse(weights);
+}
+
+// Sparse vector for a query: every distinct term counts once
+export function querySparseVector(text) {
+  const weights = new Map();
+  for (const token of tokenize(text)) {
+    weights.set(termIndex(token), 1);
+  }
+  return toSparse(weights);
+}
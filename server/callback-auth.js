@@ -0,0 +1,79 @@
+// callback-auth.js - HMAC-signed worker -> server completion callbacks
+//
+// Workers sign `${method} ${path}\n${timestamp}.${body}` with CALLBACK_SECRET; the server recomputes the signature
+// over the raw request body and rejects stale timestamps and signatures it has already accepted, so callbacks
+// can't be forged, pointed at another route or replayed.
+import { createHmac, timingSafeEqual } from "crypto";
+import { logger, currentContext } from "./logger.js";
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function sign(secret, method, path, timestamp, body) {
+  return createHmac('sha256', secret).update(`${method} ${path}\n${timestamp}.${body}`).digest('hex');
+}
+
+// Worker side: POST a JSON payload to a server callback route with signature headers. Inside a job the
+// requestId it was queued under goes along as X-Request-Id, so the server logs the callback under the same id.
+export async function sendSignedCallback(path, payload, secret = process.env.CALLBACK_SECRET) {
+  if (!secret) throw new Error('CALLBACK_SECRET is not set');
+
+  const body = JSON.stringify(payload);
+  const timestamp = String(Date.now());
+  const { requestId } = currentContext();
+  const res = await fetch(`${process.env.SERVER_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-callback-timestamp': timestamp,
+      'x-callback-signature': sign(secret, 'POST', path, timestamp, body),
+      ...(requestId && { 'x-request-id': requestId })
+    },
+    body
+  });
+
+  if (!res.ok) throw new Error(`Callback ${path} rejected with HTTP ${res.status}`);
+  return res;
+}
+
+// Pass to express.json({ verify }) so the exact signed bytes are available as req.rawBody
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Server side: Express middleware for the callback routes. Accepted signatures are remembered in Redis for as
+// long as their timestamp would pass, which is what makes a replay within that window fail.
+export function requireSignedCallback(redis, secret = process.env.CALLBACK_SECRET) {
+  if (!secret) {
+    logger.warn('CALLBACK_SECRET is not set, worker callbacks will be rejected');
+  }
+
+  return async (req, res, next) => {
+    const timestamp = req.headers['x-callback-timestamp'];
+    const signature = req.headers['x-callback-signature'];
+
+    if (!secret || !timestamp || !signature || !req.rawBody) {
+      return res.status(401).json({ error: 'Signed callback required' });
+    }
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW_MS) {
+      return res.status(401).json({ error: 'Callback timestamp out of range' });
+    }
+
+    const expected = Buffer.from(sign(secret, req.method, req.originalUrl, timestamp, req.rawBody.toString('utf8')), 'hex');
+    const actual = Buffer.from(String(signature), 'hex');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+      logger.warn('Rejected callback with an invalid signature', { path: req.path });
+      return res.status(401).json({ error: 'Invalid callback signature' });
+    }
+
+    try {
+      const first = await redis.set(`callback-signature:${expected.toString('hex')}`, '1', 'PX', 2 * MAX_CLOCK_SKEW_MS, 'NX');
+      if (!first) {
+        logger.warn('Rejected a replayed callback', { path: req.path });
+        return res.status(409).json({ error: 'Callback already received' });
+      }
+    } catch (err) {
+      return next(err);
+    }
+    next();
+  };
+}
@@ -0,0 +1,316 @@
+// chunking.js - structure-aware chunking shared by the workers
+//
+// Text is cut at paragraph, then sentence, then word boundaries and packed into chunks sized in (estimated)
+// tokens to fit the embedding model. PDF pages can additionally be split at detected headings, and
+// transcripts are packed by time window. Every chunk records its `chunkIndex` within the document and the
+// `section` it belongs to, so neighbouring chunks can be fetched back at query time.
+//
+//   CHUNK_SIZE_TOKENS (default 400, capped to what the embedding model accepts), CHUNK_OVERLAP_TOKENS
+//   (default 15% of the size), TRANSCRIPT_CHUNK_SECONDS (default 90)
+import { Document } from "@langchain/core/documents";
+import { getProviderConfig } from "./providers.js";
+import { logger } from "./logger.js";
+
+// Rough tokens-per-char ratio for English text; good enough for sizing chunks and budgeting context
+export const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Input limits of the default embedding models; anything unknown is assumed to be a 512-token BERT-style model
+const MODEL_MAX_TOKENS = {
+  'BAAI/bge-base-en-v1.5': 512,
+  'text-embedding-3-small': 8191,
+  'text-embedding-3-large': 8191,
+  'nomic-embed-text': 2048
+};
+const DEFAULT_MODEL_MAX_TOKENS = 512;
+
+export function getChunkingConfig() {
+  const { model } = getProviderConfig().embedding;
+  // Keep a margin, token counts are only estimated
+  const limit = Math.floor((MODEL_MAX_TOKENS[model] ?? DEFAULT_MODEL_MAX_TOKENS) * 0.8);
+  const requested = Number(process.env.CHUNK_SIZE_TOKENS ?? 400);
+  if (requested > limit) {
+    logger.warn(`CHUNK_SIZE_TOKENS=${requested} is more than ${model} accepts, using ${limit}`);
+  }
+
+  const chunkSize = Math.min(requested, limit);
+  const chunkOverlap = Math.min(
+    Number(process.env.CHUNK_OVERLAP_TOKENS ?? Math.round(chunkSize * 0.15)),
+    Math.floor(chunkSize / 2)
+  );
+  return {
+    chunkSize,
+    chunkOverlap,
+    // A new section only starts a fresh chunk once the current one has this much text
+    minChunkSize: Math.round(chunkSize / 4),
+    transcriptWindowSeconds: Number(process.env.TRANSCRIPT_CHUNK_SECONDS ?? 90)
+  };
+}
+
+const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+// Short standalone lines that look like "2.1 Results", "METHODOLOGY" or "Quarterly Revenue Overview"
+export function isHeading(line) {
+  const text = line.trim();
+  if (text.length < 3 || text.length > 80) return false;
+  if (/[.,;:!?]$/.test(text) || !/[A-Za-z]{2}/.test(text)) return false;
+
+  if (/^(\d{1,2}(\.\d{1,2}){0,3}\.?|[IVX]{1,4}\.)\s+[A-Z]/.test(text)) return true;
+
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 4 && letters === letters.toUpperCase()) return true;
+
+  const words = text.split(/\s+/);
+  const capitalized = words.filter(word => /^[A-Z]/.test(word)).length;
+  return words.length >= 2 && words.length <= 8 && !/\d/.test(text) && capitalized >= Math.ceil(words.length * 0.75);
+}
+
+// Oversized text is split into sentences, and oversized sentences into runs of words
+function splitToFit(text, chunkSize, joiner, section) {
+  if (estimateTokens(text) <= chunkSize) return [{ text, joiner, section }];
+
+  const units = [];
+  for (const { segment } of sentenceSegmenter.segment(text)) {
+    const sentence = segment.trim();
+    if (!sentence) continue;
+    const sentenceJoiner = units.length === 0 ? joiner : ' ';
+
+    if (estimateTokens(sentence) <= chunkSize) {
+      units.push({ text: sentence, joiner: sentenceJoiner, section });
+      continue;
+    }
+
+    let words = [];
+    for (const word of sentence.split(/\s+/)) {
+      if (words.length > 0 && estimateTokens(`${words.join(' ')} ${word}`) > chunkSize) {
+        units.push({ text: words.join(' '), joiner: units.length === 0 ? joiner : ' ', section });
+        words = [];
+      }
+      words.push(word);
+    }
+    if (words.length > 0) units.push({ text: words.join(' '), joiner: units.length === 0 ? joiner : ' ', section });
+  }
+  return units;
+}
+
+// Paragraphs (and, with detectHeadings, heading lines) as packing units -> { units, section }
+// `section` is the heading in effect at the end, so it can carry over to the next page
+function textUnits(text, { chunkSize, detectHeadings, section }) {
+  const units = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (!paragraph.trim()) continue;
+
+    if (!detectHeadings) {
+      units.push(...splitToFit(paragraph.trim(), chunkSize, '\n\n', section));
+      continue;
+    }
+
+    // Lines between headings stay together as one block
+    let block = [];
+    let joiner = '\n\n';
+    const flushBlock = () => {
+      if (block.length === 0) return;
+      units.push(...splitToFit(block.join('\n').trim(), chunkSize, joiner, section));
+      block = [];
+      joiner = '\n';
+    };
+    for (const line of paragraph.split('\n')) {
+      if (isHeading(line)) {
+        flushBlock();
+        section = line.trim();
+        units.push({ text: section, joiner, section, heading: true });
+        joiner = '\n';
+      } else if (line.trim()) {
+        block.push(line);
+      }
+    }
+    flushBlock();
+  }
+  return { units, section };
+}
+
+// Greedy packing up to chunkSize tokens; each chunk repeats up to chunkOverlap tokens of the previous one,
+// except after a heading, which starts a fresh chunk -> [{ text, section }]
+function packUnits(units, { chunkSize, chunkOverlap, minChunkSize }) {
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let firstNew = 0; // index in `current` of the first unit not carried over as overlap
+
+  const emit = (withOverlap) => {
+    chunks.push({
+      text: current.map((unit, i) => (i === 0 ? '' : unit.joiner) + unit.text).join('').trim(),
+      section: current[firstNew].section ?? null
+    });
+
+    const carried = [];
+    let carriedTokens = 0;
+    for (let i = current.length - 1; withOverlap && i > 0; i--) {
+      const unitTokens = estimateTokens(current[i].text);
+      if (carriedTokens + unitTokens > chunkOverlap) break;
+      carried.unshift(current[i]);
+      carriedTokens += unitTokens;
+    }
+    current = carried;
+    tokens = carriedTokens;
+    firstNew = carried.length;
+  };
+
+  for (const unit of units) {
+    const unitTokens = estimateTokens(unit.text);
+    const hasNew = current.length > firstNew;
+    if (hasNew && unit.heading && tokens >= minChunkSize) emit(false);
+    else if (hasNew && tokens + unitTokens > chunkSize) emit(true);
+
+    current.push(unit);
+    tokens += unitTokens;
+  }
+  if (current.length > firstNew) emit(true);
+  return chunks;
+}
+
+// Chunks one plain text -> [{ text, section }]
+export function chunkText(text, { detectHeadings = false, section = null, ...options } = {}) {
+  const config = { ...getChunkingConfig(), ...options };
+  return packUnits(textUnits(text, { chunkSize: config.chunkSize, detectHeadings, section }).units, config);
+}
+
+// Chunks the page/section Documents of one file into Documents that keep their metadata (so PDF page numbers
+// stay accurate; chunks never span two input documents) plus `section` and a running `chunkIndex`.
+// With detectHeadings the current heading carries over from one page to the next.
+export function chunkDocuments(docs, { detectHeadings = false, ...options } = {}) {
+  const config = { ...getChunkingConfig(), ...options };
+  const chunks = [];
+  let section = null;
+
+  for (const doc of docs) {
+    const result = textUnits(doc.pageContent, {
+      chunkSize: config.chunkSize,
+      detectHeadings,
+      section: doc.metadata.section ?? section
+    });
+    section = result.section;
+
+    for (const chunk of packUnits(result.units, config)) {
+      chunks.push(new Document({
+        pageContent: chunk.text,
+        metadata: { ...doc.metadata, section: chunk.section, chunkIndex: chunks.length }
+      }));
+    }
+  }
+  return chunks;
+}
+
+// Segments too long for one chunk are cut at word boundaries, times interpolated by character offset
+function splitLongSegments(segments, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const pieces = [];
+  for (const segment of segments) {
+    if (segment.text.length <= maxChars) {
+      pieces.push(segment);
+      continue;
+    }
+
+    const words = segment.text.split(/\s+/);
+    const span = segment.end !== null ? segment.end - segment.start : null;
+    let offset = 0;
+    let current = [];
+    const flush = () => {
+      const text = current.join(' ');
+      const from = offset / segment.text.length;
+      offset += text.length + 1;
+      const to = Math.min(offset / segment.text.length, 1);
+      pieces.push({
+        ...segment,
+        start: span !== null ? segment.start + span * from : segment.start,
+        end: span !== null ? segment.start + span * to : null,
+        text
+      });
+      current = [];
+    };
+    for (const word of words) {
+      if (current.length > 0 && current.join(' ').length + word.length + 1 > maxChars) flush();
+      current.push(word);
+    }
+    if (current.length > 0) flush();
+  }
+  return pieces;
+}
+
+// Chunk text; with speaker labels every change of speaker starts a "Speaker 2: ..." line
+function renderSegments(segments) {
+  let text = '';
+  let speaker = null;
+  for (const segment of segments) {
+    if (segment.speaker && segment.speaker !== speaker) {
+      text += `${text ? '\n' : ''}${segment.speaker}: ${segment.text}`;
+      speaker = segment.speaker;
+    } else {
+      text += `${text ? ' ' : ''}${segment.text}`;
+    }
+  }
+  return text;
+}
+
+// Overlap between transcript chunks is at most this fraction of the chunk size and of the time window, so a
+// chunk is mostly new speech even with long segments or a large CHUNK_OVERLAP_TOKENS
+const MAX_TRANSCRIPT_OVERLAP = 0.25;
+
+// Groups consecutive transcript segments into chunks of at most chunkSize tokens and windowSeconds of audio,
+// each repeating up to chunkOverlap tokens of the previous one; both limits count the repeated segments
+// -> [{ text, startTime, endTime, speakers, chunkIndex }], speakers being empty without diarization
+export function chunkTranscript(segments, options = {}) {
+  const { chunkSize, chunkOverlap, transcriptWindowSeconds: windowSeconds } = { ...getChunkingConfig(), ...options };
+  const overlapTokens = Math.min(chunkOverlap, Math.floor(chunkSize * MAX_TRANSCRIPT_OVERLAP));
+  const overlapSeconds = windowSeconds * MAX_TRANSCRIPT_OVERLAP;
+  const pieces = splitLongSegments(segments, Math.max(chunkSize - overlapTokens, 1));
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let firstNew = 0;
+
+  const emit = () => {
+    const endTime = current.at(-1).end;
+    chunks.push({
+      text: renderSegments(current),
+      startTime: current[0].start,
+      endTime,
+      speakers: [...new Set(current.map(s => s.speaker).filter(Boolean))],
+      chunkIndex: chunks.length
+    });
+
+    // Carry the tail over as overlap
+    const carried = [];
+    let carriedTokens = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      const pieceTokens = estimateTokens(current[i].text);
+      if (carriedTokens + pieceTokens > overlapTokens || endTime - current[i].start > overlapSeconds) break;
+      carried.unshift(current[i]);
+      carriedTokens += pieceTokens;
+    }
+    current = carried;
+    tokens = carriedTokens;
+    firstNew = carried.length;
+  };
+
+  for (const piece of pieces) {
+    const pieceTokens = estimateTokens(piece.text);
+    const pieceEnd = piece.end ?? piece.start;
+    const fits = () => tokens + pieceTokens <= chunkSize && pieceEnd - current[0].start <= windowSeconds;
+    if (current.length > firstNew && !fits()) emit();
+
+    // Overlap gives way to new speech: drop carried segments the piece doesn't fit next to
+    while (firstNew > 0 && !fits()) {
+      tokens -= estimateTokens(current.shift().text);
+      firstNew--;
+    }
+
+    current.push(piece);
+    tokens += pieceTokens;
+  }
+  if (current.length > firstNew) emit();
+  return chunks;
+}
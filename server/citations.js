@@ -0,0 +1,82 @@
+// citations.js - number retrieved chunks so answers can cite them as [1], [2], ...
+
+const SNIPPET_LENGTH = 400;
+
+// 754.2 -> "12:34", 3725 -> "1:02:05"
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Turn retrieved docs into numbered sources; the number is the citation id used in the answer
+export function buildSources(docs) {
+  return docs.map((doc, i) => {
+    const meta = doc.metadata || {};
+    const type = ['audio', 'document'].includes(meta.source) ? meta.source : 'pdf';
+    const text = doc.pageContent || '';
+
+    return {
+      id: i + 1,
+      type,
+      documentId: meta.documentId || null,
+      filename: meta.filename || 'unknown',
+      page: type === 'pdf' ? toNumber(meta.loc?.pageNumber) : null,
+      // Heading, chapter or CSV row range of office/text documents, detected heading of PDF pages
+      section: type !== 'audio' ? meta.section || null : null,
+      startTime: type === 'audio' ? toNumber(meta.startTime) : null,
+      endTime: type === 'audio' ? toNumber(meta.endTime) : null,
+      speakers: type === 'audio' && Array.isArray(meta.speakers) ? meta.speakers : [],
+      snippet: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}...` : text
+    };
+  });
+}
+
+// "meeting.mp3, 12:34–13:10, Speaker 1 & Speaker 2" / "report.pdf, page 3, Results" / "notes.docx, Budget"
+export function describeSource(source) {
+  if (source.type === 'pdf') {
+    return [source.filename, source.page && `page ${source.page}`, source.section].filter(Boolean).join(', ');
+  }
+  if (source.type === 'document') {
+    return source.section ? `${source.filename}, ${source.section}` : source.filename;
+  }
+  const parts = [source.filename];
+  if (source.startTime !== null && source.endTime !== null) {
+    parts.push(`${formatTimestamp(source.startTime)}–${formatTimestamp(source.endTime)}`);
+  }
+  if (source.speakers?.length > 0) parts.push(source.speakers.join(' & '));
+  return parts.join(', ');
+}
+
+// Context block for the prompt, each chunk headed by its citation number
+export function buildCitedContext(docs, sources) {
+  return docs
+    .map((doc, i) => {
+      const source = sources[i];
+      const label = {
+        pdf: 'FROM PDF DOCUMENT',
+        document: 'FROM DOCUMENT',
+        audio: 'FROM AUDIO TRANSCRIPT'
+      }[source.type];
+      return `[${source.id}] [${label}: ${describeSource(source)}]\n${doc.pageContent}`;
+    })
+    .join("\n\n---\n\n");
+}
+
+// Citation ids the answer actually used, ignoring numbers that don't map to a source
+export function extractCitations(answer, sources) {
+  const valid = new Set(sources.map(s => s.id));
+  const cited = new Set();
+  for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+    const id = Number(match[1]);
+    if (valid.has(id)) cited.add(id);
+  }
+  return [...cited].sort((a, b) => a - b);
+}
@@ -1,22 +1,87 @@
 import cluster from 'cluster';
 import os from 'os';
+import { logger } from './logger.js';
+
+// A process that crashes within RESTART_STABLE_MS (default 60s) of starting counts as crash-looping:
+// each such restart waits twice as long as the last, from RESTART_DELAY_MS (default 1s) up to
+// RESTART_MAX_DELAY_MS (default 60s). Staying up longer resets the delay.
+const RESTART_DELAY_MS = Number(process.env.RESTART_DELAY_MS ?? 1000);
+const RESTART_MAX_DELAY_MS = Number(process.env.RESTART_MAX_DELAY_MS ?? 60000);
+const RESTART_STABLE_MS = Number(process.env.RESTART_STABLE_MS ?? 60000);
+
+// Children get SHUTDOWN_TIMEOUT_MS to finish their own shutdown (see shutdown.js); the primary waits a
+// little longer before killing them
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS ?? 25000) + 5000;
 
 if (cluster.isPrimary) {
   const numCPUs = os.cpus().length;
-  
+  const processes = new Map(); // worker.id -> { type, startedAt }
+  const crashes = new Map(); // type -> consecutive quick crashes
+  let shuttingDown = false;
+
+  // WORKER_TYPE is passed on every fork so a restarted process comes back as the same kind
+  function start(type) {
+    const worker = cluster.fork({ WORKER_TYPE: type });
+    processes.set(worker.id, { type, startedAt: Date.now() });
+  }
+
   // Start main server
-  cluster.fork({ WORKER_TYPE: 'server' });
-  
+  start('server');
+
   // Start audio worker
-  cluster.fork({ WORKER_TYPE: 'audio' });
-  
-  // Start PDF worker  
-  cluster.fork({ WORKER_TYPE: 'pdf' });
-  
+  start('audio');
+
+  // Start PDF worker
+  start('pdf');
+
+  // Start office/text document worker
+  start('document');
+
   cluster.on('exit', (worker, code, signal) => {
-    console.log(`Worker ${worker.process.pid} died`);
-    cluster.fork();
+    const { type, startedAt } = processes.get(worker.id);
+    processes.delete(worker.id);
+
+    if (shuttingDown) {
+      logger.info('Process stopped', { type, childPid: worker.process.pid });
+      if (processes.size === 0) process.exit(0);
+      return;
+    }
+
+    const uptime = Date.now() - startedAt;
+    const quickCrashes = uptime < RESTART_STABLE_MS ? (crashes.get(type) ?? 0) + 1 : 0;
+    crashes.set(type, quickCrashes);
+    const delay = quickCrashes === 0 ? 0 : Math.min(RESTART_DELAY_MS * 2 ** (quickCrashes - 1), RESTART_MAX_DELAY_MS);
+
+    logger.error('Process died, restarting', {
+      type,
+      childPid: worker.process.pid,
+      exit: signal || code,
+      uptimeSeconds: Math.round(uptime / 1000),
+      restartDelayMs: delay
+    });
+    setTimeout(() => {
+      if (!shuttingDown) start(type);
+    }, delay);
   });
+
+  // Forward to every child and wait for them to drain; nothing is restarted from here on
+  function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Primary stopping processes', { signal, processes: processes.size });
+    if (processes.size === 0) process.exit(0);
+
+    for (const worker of Object.values(cluster.workers)) worker.process.kill('SIGTERM');
+
+    setTimeout(() => {
+      logger.error(`Processes still running after ${SHUTDOWN_TIMEOUT_MS}ms, killing them`);
+      for (const worker of Object.values(cluster.workers)) worker.process.kill('SIGKILL');
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 } else {
   switch (process.env.WORKER_TYPE) {
     case 'audio':
@@ -25,7 +90,10 @@ if (cluster.isPrimary) {
     case 'pdf':
       import('./pdf-worker.js');
       break;
+    case 'document':
+      import('./document-worker.js');
+      break;
     default:
       import('./index.js');
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,15 @@
+// concurrency.js - bounded parallelism for calls to rate-limited APIs
+
+// Runs fn over items with at most `limit` calls in flight, keeping result order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
@@ -0,0 +1,115 @@
+// conversation-store.js - per-session chat history kept in Redis next to the file registry
+import { randomUUID } from 'crypto';
+
+const MAX_MESSAGES = 100; // per conversation, oldest are dropped
+const TTL_SECONDS = 30 * 24 * 60 * 60; // conversations untouched for 30 days expire
+
+// conversations:<sessionId> is a hash of conversationId -> JSON summary,
+// conversation:<sessionId>:<conversationId> is a list of JSON messages
+function indexKey(sessionId) {
+  return `conversations:${sessionId}`;
+}
+
+function messagesKey(sessionId, conversationId) {
+  return `conversation:${sessionId}:${conversationId}`;
+}
+
+function parse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Render recent turns for a prompt, trimming long answers so history can't crowd out context
+export function formatHistory(messages, maxChars = 1000) {
+  return messages
+    .map(m => {
+      const text = m.content.length > maxChars ? `${m.content.slice(0, maxChars)}...` : m.content;
+      return `${m.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+    })
+    .join('\n');
+}
+
+export function createConversationStore(redis) {
+  async function list(sessionId) {
+    const entries = await redis.hgetall(indexKey(sessionId));
+    return Object.values(entries)
+      .map(parse)
+      .filter(Boolean)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async function getSummary(sessionId, conversationId) {
+    const raw = await redis.hget(indexKey(sessionId), conversationId);
+    return raw ? parse(raw) : null;
+  }
+
+  async function get(sessionId, conversationId) {
+    const summary = await getSummary(sessionId, conversationId);
+    if (!summary) return null;
+    const messages = await redis.lrange(messagesKey(sessionId, conversationId), 0, -1);
+    return { ...summary, messages: messages.map(parse).filter(Boolean) };
+  }
+
+  async function create(sessionId, title = 'New conversation') {
+    const now = Date.now();
+    const summary = {
+      id: randomUUID(),
+      title: title.length > 80 ? `${title.slice(0, 77)}...` : title,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0
+    };
+    await redis.hset(indexKey(sessionId), summary.id, JSON.stringify(summary));
+    await redis.expire(indexKey(sessionId), TTL_SECONDS);
+    return summary;
+  }
+
+  // Last `limit` messages, oldest first
+  async function recentMessages(sessionId, conversationId, limit = 6) {
+    const messages = await redis.lrange(messagesKey(sessionId, conversationId), -limit, -1);
+    return messages.map(parse).filter(Boolean);
+  }
+
+  async function append(sessionId, conversationId, ...messages) {
+    const summary = await getSummary(sessionId, conversationId);
+    if (!summary) throw new Error(`Conversation ${conversationId} not found`);
+
+    const key = messagesKey(sessionId, conversationId);
+    const now = Date.now();
+    await redis
+      .multi()
+      .rpush(key, ...messages.map(m => JSON.stringify({ createdAt: now, ...m })))
+      .ltrim(key, -MAX_MESSAGES, -1)
+      .expire(key, TTL_SECONDS)
+      .exec();
+
+    const next = {
+      ...summary,
+      updatedAt: now,
+      messageCount: Math.min(summary.messageCount + messages.length, MAX_MESSAGES)
+    };
+    await redis.hset(indexKey(sessionId), conversationId, JSON.stringify(next));
+    await redis.expire(indexKey(sessionId), TTL_SECONDS);
+    return next;
+  }
+
+  async function remove(sessionId, conversationId) {
+    const removed = await redis.hdel(indexKey(sessionId), conversationId);
+    await redis.del(messagesKey(sessionId, conversationId));
+    return removed > 0;
+  }
+
+  async function clear(sessionId) {
+    const ids = await redis.hkeys(indexKey(sessionId));
+    if (ids.length > 0) {
+      await redis.del(...ids.map(id => messagesKey(sessionId, id)));
+    }
+    await redis.del(indexKey(sessionId));
+    return ids.length;
+  }
+
+  return { list, get, getSummary, create, recentMessages, append, remove, clear };
+}
@@ -0,0 +1,247 @@
+// document-loaders.js - office and text formats for the document worker, keyed by MIME type and extension
+//
+// Every loader returns LangChain Documents, one per heading section, slide, chapter or group of CSV rows, with the
+// part's title in `metadata.section` (these formats have no fixed pages, so it stands in for PDF page numbers;
+// PPTX slides also keep their number in `metadata.slide`).
+// The worker adds source, sessionId and documentId on top, as for PDFs.
+import { readFile } from "fs/promises";
+import { extname } from "path";
+import { Document } from "@langchain/core/documents";
+import { CSVLoader } from "@langchain/community/document_loaders/fs/csv";
+import { EPubLoader } from "@langchain/community/document_loaders/fs/epub";
+import { convert as htmlToText } from "html-to-text";
+import mammoth from "mammoth";
+import JSZip from "jszip";
+
+// CSV rows are grouped into documents of about this many characters instead of one tiny document per row
+const CSV_GROUP_CHARS = 1000;
+
+const HTML_TO_TEXT_OPTIONS = {
+  wordwrap: false,
+  selectors: [
+    { selector: 'a', options: { ignoreHref: true } },
+    { selector: 'img', format: 'skip' },
+    ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(selector => ({ selector, options: { uppercase: false } })),
+    { selector: 'table', options: { uppercaseHeaderCells: false } }
+  ]
+};
+
+// Splits HTML at <h1>-<h3> so each part keeps the heading it sits under as `section`
+function htmlSections(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+  const parts = body.split(/(?=<h[1-3][\s>])/i);
+
+  return parts
+    .map(part => {
+      const heading = part.match(/^<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i)?.[1];
+      return {
+        section: heading ? htmlToText(heading, HTML_TO_TEXT_OPTIONS).trim() : null,
+        text: htmlToText(part, HTML_TO_TEXT_OPTIONS).trim()
+      };
+    })
+    .filter(part => part.text);
+}
+
+function sectionDocuments(sections) {
+  return sections.map(({ section, text }) => new Document({
+    pageContent: text,
+    metadata: section ? { section } : {}
+  }));
+}
+
+// Markdown is split at #, ## and ### headings (outside fenced code blocks)
+function markdownSections(markdown) {
+  const sections = [];
+  let current = { section: null, lines: [] };
+  let inFence = false;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^#{1,3}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      current = { section: heading[1], lines: [] };
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map(({ section, lines }) => ({ section, text: lines.join('\n').trim() }))
+    .filter(part => part.text);
+}
+
+async function loadCsv(path) {
+  // One document per row ("column: value" lines), numbered from the first data row
+  const rows = await new CSVLoader(path).load();
+  const docs = [];
+  let group = [];
+  let length = 0;
+
+  const flush = () => {
+    const first = group[0].metadata.line;
+    const last = group.at(-1).metadata.line;
+    docs.push(new Document({
+      pageContent: group.map(row => row.pageContent).join('\n\n'),
+      metadata: { section: first === last ? `Row ${first}` : `Rows ${first}–${last}` }
+    }));
+    group = [];
+    length = 0;
+  };
+
+  for (const row of rows) {
+    if (group.length > 0 && length + row.pageContent.length > CSV_GROUP_CHARS) flush();
+    group.push(row);
+    length += row.pageContent.length + 2;
+  }
+  if (group.length > 0) flush();
+  return docs;
+}
+
+async function loadEpub(path) {
+  const chapters = await new EPubLoader(path, { splitChapters: true }).load();
+  return chapters.map((chapter, i) => new Document({
+    pageContent: chapter.pageContent,
+    metadata: { section: chapter.metadata.chapter || `Chapter ${i + 1}` }
+  }));
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Text of a slide's XML, one line per paragraph
+function slideText(xml) {
+  return [...xml.matchAll(/<a:p\b[\s\S]*?<\/a:p>/g)]
+    .map(([paragraph]) => decodeXmlText([...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g)].map(m => m[1]).join('')).trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// The text of the shape holding the slide's title placeholder, if it has one
+function slideTitle(xml) {
+  const shape = [...xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>/g)]
+    .find(([sp]) => /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(sp));
+  return shape ? slideText(shape[0]).replace(/\n/g, ' ') : '';
+}
+
+// Slide XML paths in presentation order: presentation.xml lists the slides by relationship id, which the
+// relationships file maps to ppt/slides/slideN.xml (the file numbers don't have to follow the order)
+async function pptxSlidePaths(zip) {
+  const presentation = await zip.file('ppt/presentation.xml')?.async('string') ?? '';
+  const rels = await zip.file('ppt/_rels/presentation.xml.rels')?.async('string') ?? '';
+  const targets = new Map([...rels.matchAll(/<Relationship\b[^>]*>/g)].map(([tag]) => [
+    tag.match(/\bId="([^"]+)"/)?.[1],
+    tag.match(/\bTarget="([^"]+)"/)?.[1]
+  ]));
+
+  const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map(([, id]) => targets.get(id))
+    .filter(Boolean)
+    .map(target => target.startsWith('/') ? target.slice(1) : `ppt/${target}`);
+  if (ordered.length > 0) return ordered;
+
+  const number = path => Number(path.match(/(\d+)\.xml$/)[1]);
+  return Object.keys(zip.files)
+    .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .sort((a, b) => number(a) - number(b));
+}
+
+// One document per slide with its number in `slide`, like PDF pages; the section is "Slide 3: <title>"
+async function loadPptx(path) {
+  const zip = await JSZip.loadAsync(await readFile(path));
+  const docs = [];
+  for (const [i, slidePath] of (await pptxSlidePaths(zip)).entries()) {
+    const xml = await zip.file(slidePath)?.async('string');
+    const text = xml ? slideText(xml) : '';
+    if (!text) continue;
+
+    const title = slideTitle(xml);
+    docs.push(new Document({
+      pageContent: text,
+      metadata: { slide: i + 1, section: title ? `Slide ${i + 1}: ${title}` : `Slide ${i + 1}` }
+    }));
+  }
+  return docs;
+}
+
+const LOADERS = [
+  {
+    format: 'docx',
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    // Via HTML so headings survive as sections
+    load: async (path) => {
+      const { value } = await mammoth.convertToHtml({ path });
+      return sectionDocuments(htmlSections(value));
+    }
+  },
+  {
+    format: 'pptx',
+    mimetypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx'],
+    load: loadPptx
+  },
+  {
+    format: 'markdown',
+    mimetypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    load: async (path) => sectionDocuments(markdownSections(await readFile(path, 'utf8')))
+  },
+  {
+    format: 'html',
+    mimetypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    load: async (path) => sectionDocuments(htmlSections(await readFile(path, 'utf8')))
+  },
+  {
+    format: 'csv',
+    // Windows browsers report .csv files as Excel
+    mimetypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel'],
+    extensions: ['.csv'],
+    load: loadCsv
+  },
+  {
+    format: 'epub',
+    mimetypes: ['application/epub+zip'],
+    extensions: ['.epub'],
+    load: loadEpub
+  },
+  {
+    format: 'text',
+    mimetypes: ['text/plain'],
+    extensions: ['.txt', '.text', '.log'],
+    load: async (path) => [new Document({ pageContent: await readFile(path, 'utf8'), metadata: {} })]
+  }
+];
+
+// The extension wins over the MIME type, which browsers often get wrong for these formats
+export function findLoader({ mimetype, filename }) {
+  const extension = extname(filename || '').toLowerCase();
+  return LOADERS.find(loader => loader.extensions.includes(extension))
+    || LOADERS.find(loader => loader.mimetypes.includes(mimetype))
+    || null;
+}
+
+export function isSupportedDocument(file) {
+  return findLoader({ mimetype: file.mimetype, filename: file.originalname }) !== null;
+}
+
+// For the client's <input accept> and error messages
+export const SUPPORTED_DOCUMENT_EXTENSIONS = LOADERS.flatMap(loader => loader.extensions);
+
+// -> { format, docs } with empty documents dropped
+export async function loadDocument(path, { mimetype, filename }) {
+  const loader = findLoader({ mimetype, filename });
+  if (!loader) throw new Error(`Unsupported document type: ${filename} (${mimetype})`);
+
+  const docs = await loader.load(path);
+  return {
+    format: loader.format,
+    docs: docs.filter(doc => doc.pageContent.trim().length > 0)
+  };
+}
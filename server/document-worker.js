@@ -0,0 +1,186 @@
+// document-worker.js - DOCX, PPTX, TXT/Markdown, HTML, CSV and EPUB uploads (loaders in document-loaders.js)
+import { Worker, UnrecoverableError } from "bullmq";
+import IORedis from "ioredis";
+import { QdrantClient } from "@qdrant/js-client-rest";
+import 'dotenv/config';
+import { ensureCollection, upsertDocuments, deleteDocumentPoints } from "./qdrant.js";
+import { createEmbeddings, assertEmbeddingDimension } from "./providers.js";
+import { createBlobStore, downloadBlob, createTempPath, removeTempPath, BLOB_RETENTION } from "./blob-store.js";
+import { sendSignedCallback } from "./callback-auth.js";
+import { reportProgress, stagePercent, resumeFrom, saveCheckpoint } from "./job-progress.js";
+import { createEmbeddingService } from "./embeddings.js";
+import { attemptInfo, createDeadLetterQueue, moveToDeadLetter, documentGuard, DocumentDeletedError } from "./job-policy.js";
+import { createFileRegistry } from "./file-registry.js";
+import { loadDocument } from "./document-loaders.js";
+import { startHeartbeat } from "./health.js";
+import { onShutdown } from "./shutdown.js";
+import { logger, withJobContext } from "./logger.js";
+import { chunkDocuments } from "./chunking.js";
+
+// Helper to notify server (signed with CALLBACK_SECRET)
+// `details` is { durationMs } of the attempt for /metrics, plus { attempt, maxAttempts, error } when it failed
+async function notifyServerComplete(sessionId, documentId, filename, status = 'ready', chunkCount = null, format = null, details = {}) {
+  try {
+    await sendSignedCallback('/document/complete', { sessionId, documentId, filename, status, chunkCount, format, ...details });
+    logger.info('Notified server of document completion', { filename, status });
+  } catch (err) {
+    logger.error('Failed to notify server of document completion', { filename, err });
+  }
+}
+
+// Shared by the BullMQ worker, the embedding cache and the heartbeat
+const connection = {
+  host: process.env.REDIS_HOST,
+  port: Number(process.env.REDIS_PORT),
+  username: process.env.REDIS_USERNAME,
+  password: process.env.REDIS_PASSWORD,
+  tls: {} // Upstash requires TLS
+};
+const redis = new IORedis(connection);
+
+// Jobs out of attempts are parked here for the admin routes
+const deadLetterQueue = createDeadLetterQueue(connection);
+
+// Embedding backend from EMBEDDING_PROVIDER; the HuggingFace default keeps using the worker's own key.
+// Batched, retried on rate limits and cached in Redis (see embeddings.js)
+const embeddings = createEmbeddingService(createEmbeddings({ apiKey: process.env.HUGGINGFACEHUB_AUDIO_KEY }), {
+  redis
+});
+const blobStore = createBlobStore();
+const fileRegistry = createFileRegistry(redis);
+
+const qClient = new QdrantClient({
+  url: process.env.QDRANT_URL,
+  apiKey: process.env.QDRANT_API_KEY
+});
+const collectionName = 'document-docs';
+
+const worker = new Worker(
+  "document-upload-queue",
+  withJobContext(async (job) => {
+    let tempPath = null;
+    try {
+      const { sessionId, documentId, filename, blobKey, mimetype } = job.data;
+
+      if (!blobKey) {
+        throw new UnrecoverableError('No document data received');
+      }
+
+      // Loaders work on files; the loader itself is picked by the upload's filename and mimetype
+      tempPath = await createTempPath(filename);
+      await downloadBlob(blobStore, blobKey, tempPath);
+      await reportProgress(job, 'downloaded', 5, 'File received');
+
+      // 1️⃣ Load sections with the loader for this format
+      const { format, docs } = await loadDocument(tempPath, { mimetype, filename });
+      if (docs.length === 0) {
+        throw new UnrecoverableError('Document is empty or could not be read');
+      }
+      await reportProgress(job, 'parsed', 20, `Parsed ${docs.length} ${format} sections`);
+
+      // 2️⃣ Same metadata as PDF pages, `section` taking the place of the page number
+      const processedAt = new Date().toISOString();
+      docs.forEach(doc => {
+        doc.metadata = {
+          ...doc.metadata,
+          source: filename,
+          type: 'document',
+          format,
+          sessionId: sessionId,
+          documentId: documentId,
+          processedAt
+        };
+      });
+
+      // 3️⃣ Split sections into chunks (the loaders already split at headings)
+      const splitDocs = chunkDocuments(docs);
+      await reportProgress(job, 'chunked', 25, `Split into ${splitDocs.length} chunks`);
+
+      // Stops here, between batches and before reporting back once the document has been deleted
+      const assertNotDeleted = documentGuard(fileRegistry, 'document', { sessionId, documentId });
+      await assertNotDeleted();
+      await ensureCollection(qClient, collectionName);
+
+      // 5️⃣ Add documents to Qdrant
+      await assertEmbeddingDimension(embeddings);
+
+      // Dense embedding plus BM25 keyword vector per chunk, for hybrid retrieval; a retried job
+      // continues after the last batch its previous attempt stored
+      await upsertDocuments(qClient, collectionName, embeddings, splitDocs, {
+        startAt: resumeFrom(job, splitDocs.length),
+        onProgress: async (done, total) => {
+          await assertNotDeleted();
+          await saveCheckpoint(job, done, total);
+          await reportProgress(job, 'embedding', stagePercent(25, 95, done, total), `Embedded ${done}/${total} chunks`);
+        }
+      });
+      await assertNotDeleted();
+
+      // 6️⃣ Notify server that processing is done
+      await reportProgress(job, 'indexed', 100, 'Ready for chatting');
+      await notifyServerComplete(sessionId, documentId, filename, 'ready', splitDocs.length, format, { durationMs: Date.now() - job.processedOn });
+
+      // Ingested: the original is no longer needed unless kept for re-indexing
+      if (BLOB_RETENTION === 'delete') {
+        await blobStore.remove(blobKey).catch(err => logger.warn('Could not remove blob', { blobKey, err }));
+      }
+
+    } catch (error) {
+      // Deleted while processing: the delete already removed what was stored before it, this removes the rest.
+      // The job completes without a callback, retry or dead-letter entry.
+      if (error instanceof DocumentDeletedError) {
+        const { sessionId, documentId } = job.data;
+        await deleteDocumentPoints(qClient, collectionName, { sessionId, documentId })
+          .catch(err => logger.warn('Could not remove points of deleted document', { documentId, err }));
+        logger.info('Document deleted during processing, job dropped', { documentId });
+        return;
+      }
+      logger.warn('Document job attempt failed', { err: error });
+
+      // Notify server of failure, or that another attempt follows
+      const { sessionId, documentId, filename } = job.data || {};
+      const { attempt, maxAttempts, final } = attemptInfo(job, error);
+      if (sessionId && filename) {
+        await notifyServerComplete(sessionId, documentId, filename, final ? 'failed' : 'retrying', null, null, { attempt, maxAttempts, error: error.message, durationMs: Date.now() - job.processedOn });
+      }
+      if (!final) await reportProgress(job, 'retrying', 0, `Retrying (${attempt + 1}/${maxAttempts}): ${error.message}`);
+
+      throw error; // let BullMQ handle retries
+    } finally {
+      // Clean up temporary file
+      if (tempPath) {
+        await removeTempPath(tempPath).catch(err => logger.warn('Could not delete temporary document file', { path: tempPath, err }));
+      }
+    }
+  }),
+  {
+    concurrency: 1,
+    connection
+  }
+);
+
+// Add event listeners for better monitoring
+worker.on('failed', (job, err) => {
+  logger.error('Document job failed', { jobId: job?.id, attemptsMade: job?.attemptsMade, requestId: job?.data?.requestId, err });
+  moveToDeadLetter(deadLetterQueue, job, err);
+});
+
+worker.on('completed', (job) => {
+  logger.info('Document job completed', { jobId: job.id, requestId: job.data?.requestId });
+});
+
+worker.on('error', (err) => {
+  logger.error('Document worker error', { err });
+});
+
+// Lets GET /readyz see that this queue is being served
+const stopHeartbeat = startHeartbeat(redis, worker.name);
+
+// Drop out of /readyz first, then worker.close() stops taking jobs and waits for the one in flight
+onShutdown('Document worker', [
+  ['heartbeat', stopHeartbeat],
+  ['worker', () => worker.close()],
+  ['redis', () => Promise.all([deadLetterQueue.close(), redis.quit()])]
+]);
+
+logger.info('Document worker started');
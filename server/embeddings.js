@@ -0,0 +1,138 @@
+// embeddings.js - the embedding layer used for ingestion and queries
+//
+// Wraps any LangChain embeddings instance so that documents are embedded in batches (EMBEDDING_BATCH_SIZE,
+// default 16), rate limits and cold starts (429/503) are retried with exponential backoff, and vectors are
+// cached in Redis by model, input type (document or query) and content hash (EMBEDDING_CACHE_TTL seconds,
+// default 30 days; EMBEDDING_CACHE=off disables it), so re-indexing a document or retrying a job doesn't
+// recompute embeddings it already paid for.
+import { createHash } from "crypto";
+import { getProviderConfig } from "./providers.js";
+import { VECTOR_CONFIG } from "./qdrant.js";
+import { logger } from "./logger.js";
+
+const EMBEDDING_BATCH_SIZE = Number(process.env.EMBEDDING_BATCH_SIZE ?? 16);
+const EMBEDDING_MAX_RETRIES = Number(process.env.EMBEDDING_MAX_RETRIES ?? 5);
+const EMBEDDING_CACHE_TTL = Number(process.env.EMBEDDING_CACHE_TTL ?? 30 * 24 * 3600);
+const CACHE_ENABLED = process.env.EMBEDDING_CACHE !== 'off';
+
+// Statuses worth waiting out: rate limits, cold starts and gateway hiccups
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+// HuggingFace errors carry httpResponse, OpenAI errors status, fetch failures a cause code
+function errorStatus(error) {
+  return error.httpResponse?.status ?? error.status ?? error.response?.status ?? null;
+}
+
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status !== null) return RETRYABLE_STATUSES.has(status);
+  if (RETRYABLE_CODES.has(error.code ?? error.cause?.code)) return true;
+  // Some providers only mention the status in the message
+  return /\b(429|503)\b|rate limit|too many requests|currently loading/i.test(error.message || '');
+}
+
+// Seconds from a Retry-After header or a HuggingFace `estimated_time`, if the provider sent one
+function suggestedDelay(error) {
+  const headers = error.httpResponse?.headers ?? error.headers ?? error.response?.headers;
+  const retryAfter = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = Number(retryAfter ?? error.httpResponse?.body?.estimated_time);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+// Runs `fn`, retrying retryable failures with exponential backoff (1s, 2s, 4s, ... capped at 60s, plus jitter)
+export async function withRetry(fn, { label = 'request', maxRetries = EMBEDDING_MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) throw error;
+
+      const backoff = Math.min(2 ** attempt * 1000, 60000);
+      const delay = Math.min(suggestedDelay(error) ?? backoff, 60000) + Math.random() * 250;
+      logger.warn(`${label} failed, retrying`, {
+        reason: errorStatus(error) ?? error.code ?? error.message,
+        retry: attempt + 1,
+        maxRetries,
+        delayMs: Math.round(delay)
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Vectors stored as raw float32 bytes under embedding:<provider>/<model>:<size>:<kind>:<sha256 of the text>.
+// `kind` is 'document' or 'query': models such as nomic-embed-text or the OpenAI-compatible servers may embed a
+// query differently from a passage with the same text, so the two never share an entry.
+function createEmbeddingCache(redis) {
+  const { provider, model } = getProviderConfig().embedding;
+  const prefix = `embedding:${provider}/${model}:${VECTOR_CONFIG.size}:`;
+  const keyOf = (kind, text) => `${prefix}${kind}:${createHash('sha256').update(text).digest('hex')}`;
+
+  return {
+    // -> array aligned with texts, null where nothing is cached. The bytes are copied before they are read as
+    // floats: ioredis may return a slice of its socket buffer that doesn't start on a 4-byte boundary.
+    async getMany(kind, texts) {
+      const values = await redis.mgetBuffer(texts.map(text => keyOf(kind, text)));
+      return values.map(value => value ? Array.from(new Float32Array(new Uint8Array(value).buffer)) : null);
+    },
+
+    async setMany(kind, texts, vectors) {
+      const pipeline = redis.pipeline();
+      texts.forEach((text, i) => {
+        pipeline.set(keyOf(kind, text), Buffer.from(new Float32Array(vectors[i]).buffer), 'EX', EMBEDDING_CACHE_TTL);
+      });
+      await pipeline.exec();
+    }
+  };
+}
+
+// Same interface as the wrapped embeddings (embedDocuments / embedQuery), usable wherever LangChain
+// embeddings are expected. `redis` is an ioredis client; without one nothing is cached.
+export function createEmbeddingService(embeddings, { redis = null, batchSize = EMBEDDING_BATCH_SIZE } = {}) {
+  const cache = redis && CACHE_ENABLED ? createEmbeddingCache(redis) : null;
+
+  // The cache only ever speeds things up; Redis trouble falls back to embedding
+  async function cached(kind, texts) {
+    if (!cache) return texts.map(() => null);
+    try {
+      return await cache.getMany(kind, texts);
+    } catch (error) {
+      logger.warn('Embedding cache lookup failed', { err: error });
+      return texts.map(() => null);
+    }
+  }
+
+  async function store(kind, texts, vectors) {
+    if (!cache || texts.length === 0) return;
+    await cache.setMany(kind, texts, vectors).catch(error => logger.warn('Embedding cache write failed', { err: error }));
+  }
+
+  return {
+    async embedDocuments(texts) {
+      const vectors = await cached('document', texts);
+      const missing = texts.map((_, i) => i).filter(i => !vectors[i]);
+      if (missing.length < texts.length) {
+        logger.debug('Embeddings served from cache', { cached: texts.length - missing.length, total: texts.length });
+      }
+
+      for (let start = 0; start < missing.length; start += batchSize) {
+        const indexes = missing.slice(start, start + batchSize);
+        const batch = indexes.map(i => texts[i]);
+        const embedded = await withRetry(() => embeddings.embedDocuments(batch), { label: `Embedding ${batch.length} chunks` });
+        indexes.forEach((index, i) => { vectors[index] = embedded[i]; });
+        await store('document', batch, embedded);
+      }
+      return vectors;
+    },
+
+    async embedQuery(text) {
+      const [hit] = await cached('query', [text]);
+      if (hit) return hit;
+
+      const vector = await withRetry(() => embeddings.embedQuery(text), { label: 'Embedding query' });
+      await store('query', [text], [vector]);
+      return vector;
+    }
+  };
+}
@@ -0,0 +1,36 @@
+// exec.js - run an external binary (ffmpeg, poppler...) and collect its stdout
+import { spawn } from "child_process";
+
+// Resolves with stdout; rejects with the last stderr line on a non-zero exit, or if the binary is missing
+export function runBinary(binary, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject); // binary missing
+    child.on('close', code => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`${binary} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+    });
+  });
+}
+
+// Whether the binary can be started at all; the exit code of `-version` style probes differs between tools
+function canRun(binary) {
+  return new Promise(resolve => {
+    const child = spawn(binary, ['-v'], { stdio: 'ignore' });
+    child.on('error', () => resolve(false));
+    child.on('close', () => resolve(true));
+  });
+}
+
+// For the workers to call at startup, so a missing system package fails the deploy instead of every job
+export async function assertBinaries(binaries, hint) {
+  const missing = [];
+  for (const binary of binaries) {
+    if (!await canRun(binary)) missing.push(binary);
+  }
+  if (missing.length > 0) throw new Error(`${missing.join(', ')} not found: ${hint}`);
+}
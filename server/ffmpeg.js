@@ -0,0 +1,63 @@
+// ffmpeg.js - thin wrappers around the ffmpeg / ffprobe binaries (FFMPEG_PATH / FFPROBE_PATH, default on PATH)
+import { runBinary, assertBinaries } from "./exec.js";
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Run by the audio worker at startup: without ffprobe long recordings can't be windowed, without ffmpeg
+// videos can't be read at all
+export function assertFfmpegAvailable() {
+  return assertBinaries([FFMPEG_PATH, FFPROBE_PATH], 'install ffmpeg (see Dockerfile) or set FFMPEG_PATH / FFPROBE_PATH');
+}
+
+export function runFfmpeg(args) {
+  return runBinary(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+}
+
+// Media duration in seconds
+export async function probeDuration(path) {
+  const output = await runBinary(FFPROBE_PATH, [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    path
+  ]);
+  const duration = Number(output.trim());
+  if (!Number.isFinite(duration)) throw new Error(`Could not read duration of ${path}`);
+  return duration;
+}
+
+// Mono 16kHz FLAC slice [start, start + length) of any audio/video input, the format Whisper expects
+export function extractAudioWindow(input, output, start, length) {
+  return runFfmpeg([
+    '-ss', String(start),
+    '-t', String(length),
+    '-i', input,
+    '-vn', '-ac', '1', '-ar', '16000',
+    '-c:a', 'flac',
+    output
+  ]);
+}
+
+// Whether the file has at least one audio stream (a screen recording may have none)
+export async function hasAudioStream(path) {
+  const output = await runBinary(FFPROBE_PATH, [
+    '-v', 'error',
+    '-select_streams', 'a',
+    '-show_entries', 'stream=index',
+    '-of', 'csv=p=0',
+    path
+  ]);
+  return output.trim().length > 0;
+}
+
+// The whole audio track of a video as mono 16kHz FLAC; positions in it match the video's timeline
+export function extractAudioTrack(input, output) {
+  return runFfmpeg([
+    '-i', input,
+    '-map', '0:a:0',
+    '-vn', '-ac', '1', '-ar', '16000',
+    '-c:a', 'flac',
+    output
+  ]);
+}
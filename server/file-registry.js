@@ -0,0 +1,88 @@
+// file-registry.js - durable per-session file status, shared by every server instance
+
+const KEY_PREFIX = 'registry';
+
+// Removed documents leave a tombstone for a week, longer than any job (retries included) can still report back
+const TOMBSTONE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// registry:<type>:<sessionId> is a hash of documentId -> JSON file info
+function sessionKey(type, sessionId) {
+  return `${KEY_PREFIX}:${type}:${sessionId}`;
+}
+
+function tombstoneKey(type, sessionId, id) {
+  return `${KEY_PREFIX}-deleted:${type}:${sessionId}:${id}`;
+}
+
+function parseEntry(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+export function createFileRegistry(redis) {
+  async function list(type, sessionId) {
+    const entries = await redis.hgetall(sessionKey(type, sessionId));
+    return Object.values(entries)
+      .map(parseEntry)
+      .filter(Boolean)
+      .sort((a, b) => (a.uploadedAt || 0) - (b.uploadedAt || 0));
+  }
+
+  async function get(type, sessionId, id) {
+    const raw = await redis.hget(sessionKey(type, sessionId), id);
+    return raw ? parseEntry(raw) : null;
+  }
+
+  async function add(type, sessionId, fileInfo) {
+    await redis.hset(sessionKey(type, sessionId), fileInfo.id, JSON.stringify(fileInfo));
+    return fileInfo;
+  }
+
+  // Merge changes into an existing entry -> the updated entry, or null if there is none. Never creates one,
+  // so a late worker callback can't bring back a document that was deleted while it was processing: an update
+  // that raced the delete finds the tombstone afterwards and takes its write back.
+  async function update(type, sessionId, id, changes) {
+    const current = await get(type, sessionId, id);
+    if (!current) return null;
+
+    const next = { ...current, ...changes, updatedAt: Date.now() };
+    await redis.hset(sessionKey(type, sessionId), id, JSON.stringify(next));
+    if (await redis.exists(tombstoneKey(type, sessionId, id))) {
+      await redis.hdel(sessionKey(type, sessionId), id);
+      return null;
+    }
+    return next;
+  }
+
+  // The tombstone goes first, see update()
+  async function remove(type, sessionId, id) {
+    await redis.set(tombstoneKey(type, sessionId, id), '1', 'EX', TOMBSTONE_TTL_SECONDS);
+    const removed = await redis.hdel(sessionKey(type, sessionId), id);
+    return removed > 0;
+  }
+
+  // A byte-identical upload already registered in this session, if any
+  async function findByHash(type, sessionId, contentHash) {
+    const files = await list(type, sessionId);
+    return files.find(f => f.contentHash === contentHash) || null;
+  }
+
+  // Look a document up by its id across the given types
+  async function findById(types, sessionId, id) {
+    for (const type of types) {
+      const match = await get(type, sessionId, id);
+      if (match) return { type, ...match };
+    }
+    return null;
+  }
+
+  async function hasReady(type, sessionId) {
+    const files = await list(type, sessionId);
+    return files.some(f => f.status === 'ready');
+  }
+
+  return { list, get, add, update, remove, findByHash, findById, hasReady };
+}
@@ -0,0 +1,75 @@
+// health.js - worker heartbeats and the dependency checks behind GET /readyz
+//
+// Every queue worker process writes a heartbeat to Redis every HEARTBEAT_INTERVAL_MS (default 10s); a queue
+// counts as served while one arrived within three intervals. Works on Redis services without CLIENT LIST.
+import { hostname } from "os";
+import { logger } from "./logger.js";
+
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS ?? 10000);
+const HEARTBEAT_TTL_MS = HEARTBEAT_INTERVAL_MS * 3;
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS ?? 3000);
+
+const heartbeatKey = (queueName) => `heartbeats:${queueName}`;
+
+// Worker side -> stop(), which also removes this process's heartbeat so it stops counting right away
+export function startHeartbeat(redis, queueName) {
+  const member = `${hostname()}:${process.pid}`;
+  const beat = () => redis
+    .multi()
+    .zadd(heartbeatKey(queueName), Date.now(), member)
+    .zremrangebyscore(heartbeatKey(queueName), 0, Date.now() - HEARTBEAT_TTL_MS)
+    .exec()
+    .catch(err => logger.warn('Could not write heartbeat', { queue: queueName, err }));
+
+  beat();
+  const timer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+
+  return async () => {
+    clearInterval(timer);
+    await redis.zrem(heartbeatKey(queueName), member).catch(() => {});
+  };
+}
+
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not answer within ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function check(what, fn) {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(fn(), what);
+    return { ok: true, latencyMs: Date.now() - started, ...details };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - started, error: err.message };
+  }
+}
+
+// -> { ready, checks: { redis, qdrant, workers: { <queue>: { ok, workers } } } }
+export async function checkReadiness({ redis, qdrant, queueNames }) {
+  const [redisCheck, qdrantCheck, ...workerChecks] = await Promise.all([
+    check('Redis', async () => {
+      await redis.ping();
+      return {};
+    }),
+    check('Qdrant', async () => {
+      const { collections } = await qdrant.getCollections();
+      return { collections: collections.length };
+    }),
+    ...queueNames.map(name => check(`${name} heartbeats`, async () => {
+      const workers = await redis.zcount(heartbeatKey(name), Date.now() - HEARTBEAT_TTL_MS, '+inf');
+      if (workers === 0) throw new Error('No live worker');
+      return { workers };
+    }))
+  ]);
+
+  const workers = Object.fromEntries(queueNames.map((name, i) => [name, workerChecks[i]]));
+  return {
+    ready: redisCheck.ok && qdrantCheck.ok && workerChecks.every(c => c.ok),
+    checks: { redis: redisCheck, qdrant: qdrantCheck, workers }
+  };
+}
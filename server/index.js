@@ -4,11 +4,50 @@ import cors from "cors";
 import multer from "multer";
 import { Queue } from "bullmq";
 import { QdrantClient } from "@qdrant/js-client-rest";
-import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf"; 
-import { QdrantVectorStore } from "@langchain/qdrant";
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import IORedis from "ioredis";
+import { randomUUID } from "crypto";
+import { createFileRegistry } from "./file-registry.js";
+import { openEventStream } from "./sse.js";
+import { createConversationStore, formatHistory } from "./conversation-store.js";
+import { buildSources, buildCitedContext, extractCitations } from "./citations.js";
+import {
+  ensureCollection,
+  retrieve,
+  deleteDocumentPoints,
+  countDocumentPoints,
+  fetchChunks,
+  DEFAULT_SCORE_THRESHOLD,
+  RETRIEVAL_MODES,
+  DEFAULT_RETRIEVAL_MODE
+} from "./qdrant.js";
+import { rerankAndSelect, mergeNeighbours, RERANKERS, DEFAULT_RERANKER } from "./rerank.js";
+import { createChatModel, createEmbeddings, assertEmbeddingDimension, getProviderConfig } from "./providers.js";
+import { createEmbeddingService } from "./embeddings.js";
+import { JOB_OPTIONS, DEAD_LETTER_QUEUE, createDeadLetterQueue } from "./job-policy.js";
+import { createQuotas } from "./quotas.js";
+import { estimateTokens } from "./chunking.js";
+import { createBlobStore, blobUploadStorage } from "./blob-store.js";
+import { createAuthVerifier, requireAuth, requireAdmin } from "./auth.js";
+import { captureRawBody, requireSignedCallback } from "./callback-auth.js";
+import { createProgressHub, currentProgress } from "./job-progress.js";
+import { isSupportedDocument, SUPPORTED_DOCUMENT_EXTENSIONS } from "./document-loaders.js";
+import { mediaKind, MAX_MEDIA_MB } from "./transcription.js";
+import { checkReadiness } from "./health.js";
+import { onShutdown, isShuttingDown } from "./shutdown.js";
+import { logger, currentContext, requestContext, keepRequestContext } from "./logger.js";
+import {
+  addCollector,
+  renderMetrics,
+  httpMetrics,
+  queueJobs,
+  jobRetries,
+  jobsFinished,
+  jobDuration,
+  retrievalDuration,
+  llmDuration,
+  llmTokens
+} from "./metrics.js";
 
 const connection = new IORedis(process.env.REDIS_URL, {
   tls: {}, // required for Upstash (TLS)
@@ -17,6 +56,9 @@ const connection = new IORedis(process.env.REDIS_URL, {
 // ✅ BullMQ Queues
 const pdfQueue = new Queue("file-upload-queue", { connection });
 const audioQueue = new Queue("audio-upload-queue", { connection });
+const documentQueue = new Queue("document-upload-queue", { connection });
+// Ingestion jobs that ran out of attempts (see job-policy.js)
+const deadLetterQueue = createDeadLetterQueue(connection);
 
 // ✅ Qdrant Client with API key support
 const client = new QdrantClient({
@@ -26,47 +68,96 @@ const client = new QdrantClient({
 
 const pdfCollectionName = 'pdf-docs';
 const audioCollectionName = 'audio-docs';
+const documentCollectionName = 'document-docs';
 
-// sessionId -> [{ path, filename, status: 'processing'|'ready'|'failed', transcript?: string }]
-const uploadedAudioFiles = {};
-const uploadedPdfFiles = {};
+// sessionId -> [{ filename, status: 'processing'|'ready'|'failed', transcript?: string, segments?: [{ start, end, text }] }], kept in Redis
+const fileRegistry = createFileRegistry(connection);
+const conversationStore = createConversationStore(connection);
 
-async function ensureCollections() {
-  const config = { size: 768, distance: 'Cosine' };
-  for (const col of [pdfCollectionName, audioCollectionName]) {
-    try { 
-      await client.getCollection(col); 
-      console.log(`Collection '${col}' exists.`); 
-    } catch (err) {
-      if (err.status === 404) { 
-        await client.createCollection(col, { vectors: config }); 
-        console.log(`Collection '${col}' created.`); 
-      } else { 
-        throw err; 
-      }
+// Where each document type is queued and indexed
+const documentTypes = {
+  pdf: { collection: pdfCollectionName, queue: pdfQueue, jobName: 'file-ready' },
+  audio: { collection: audioCollectionName, queue: audioQueue, jobName: 'transcribe-ready' },
+  // DOCX, PPTX, TXT/Markdown, HTML, CSV and EPUB (see document-loaders.js)
+  document: { collection: documentCollectionName, queue: documentQueue, jobName: 'document-ready' }
+};
+
+// Per-user rate limits and quotas; stored chunks are what the user's indexed documents occupy
+const quotas = createQuotas(connection, {
+  storedChunks: async (userId) => {
+    let total = 0;
+    for (const type of Object.keys(documentTypes)) {
+      for (const file of await fileRegistry.list(type, userId)) total += file.chunkCount ?? 0;
     }
+    return total;
+  }
+});
+
+// Worker progress (job.updateProgress) pushed to each session's /documents/events stream
+const progressHub = createProgressHub({ documentTypes, fileRegistry, connection });
+
+// Candidates fetched per collection before reranking (override with RERANK_CANDIDATES)
+const RERANK_CANDIDATES = Number(process.env.RERANK_CANDIDATES ?? 10);
+
+// Chunks on each side of a selected chunk added to its context (override with CONTEXT_NEIGHBOURS or ?neighbours=)
+const CONTEXT_NEIGHBOURS = Number(process.env.CONTEXT_NEIGHBOURS ?? 0);
+const MAX_CONTEXT_NEIGHBOURS = 3;
+
+// How many previous messages (user + bot) are fed back into condensation and the prompt
+const HISTORY_MESSAGES = 6;
+
+// Chat and embedding backends come from CHAT_PROVIDER / EMBEDDING_PROVIDER (see providers.js)
+const providerConfig = getProviderConfig();
+// Query embeddings are retried on rate limits and cached like the workers' (see embeddings.js)
+const embeddings = createEmbeddingService(createEmbeddings(), { redis: connection });
+
+async function ensureCollections() {
+  for (const { collection: col } of Object.values(documentTypes)) {
+    await ensureCollection(client, col);
   }
 }
-ensureCollections().catch(console.error);
+ensureCollections().catch(err => logger.error('Could not ensure collections', { err }));
+
+logger.info('Providers configured', {
+  chat: `${providerConfig.chat.provider}/${providerConfig.chat.model}`,
+  embeddings: `${providerConfig.embedding.provider}/${providerConfig.embedding.model}`
+});
+assertEmbeddingDimension(embeddings)
+  .then(size => logger.info('Embedding dimension matches the collections', { size }))
+  .catch(err => logger.error('Embedding check failed', { err }));
 
-// Use memory storage instead of disk storage
-const storage = multer.memoryStorage();
+// Labels of every LLM metric
+const chatModelLabels = { provider: providerConfig.chat.provider, model: providerConfig.chat.model };
+
+// Uploads are streamed into blob storage; jobs only carry the blob key
+const blobStore = createBlobStore();
 const upload = multer({ 
-  storage,
+  storage: blobUploadStorage(blobStore),
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
   fileFilter: (req, file, cb) => {
-    // Allow both PDF and audio files
-    if (file.mimetype.startsWith('audio/') || file.mimetype === 'application/pdf') {
+    // Allow PDF, audio and the office/text formats the document worker can load
+    if (file.mimetype.startsWith('audio/') || file.mimetype === 'application/pdf' || isSupportedDocument(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only audio and PDF files are allowed'));
+      cb(new Error(`Only audio, PDF and ${SUPPORTED_DOCUMENT_EXTENSIONS.join(', ')} files are allowed`));
     }
   }
 });
 
+// Audio and video recordings; videos get a larger limit, audio is held to its own in the route
+const mediaUpload = multer({
+  storage: blobUploadStorage(blobStore),
+  limits: { fileSize: Math.max(MAX_MEDIA_MB.audio, MAX_MEDIA_MB.video) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('audio/') || file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only audio and video files are allowed'));
+    }
+  }
+});
 
 const app = express();
-// allow x-session-id header
 
 const corsOptions = {
   origin: [
@@ -79,23 +170,197 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-session-id']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Lets the client quote the request id when reporting an error
+  exposedHeaders: ['X-Request-Id']
 };
 
+// Request ids and access logs (see logger.js) and HTTP metrics come first so they see every request;
+// probes and scrapes are only logged at debug level
+app.use(requestContext({ quietPaths: ['/healthz', '/readyz', '/metrics'] }));
+app.use(httpMetrics());
+
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions)); 
 
-app.use(express.json({ limit: '100mb' }));
+app.use(express.json({ limit: '100mb', verify: captureRawBody }));
 app.use(express.urlencoded({ limit: '100mb', extended: true }));
 
 app.get('/', (_, res) => res.json({status:'running fine.'}));
 
-// PDF upload - UPDATED to use base64
-app.post('/upload/pdf', upload.single('pdf'), async (req, res) => {
+// Liveness: only this process, so a Redis or Qdrant outage doesn't get healthy servers restarted.
+// 503 while draining for shutdown.
+app.get('/healthz', (_, res) => {
+  if (isShuttingDown()) return res.status(503).json({ status: 'shutting down' });
+  return res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: Redis, Qdrant and at least one live worker per ingestion queue (see health.js).
+// 503 with the individual check results when any of them fails.
+app.get('/readyz', async (_, res) => {
+  if (isShuttingDown()) return res.status(503).json({ ready: false, status: 'shutting down' });
+  try {
+    const { ready, checks } = await checkReadiness({
+      redis: connection,
+      qdrant: client,
+      queueNames: Object.values(documentTypes).map(({ queue }) => queue.name)
+    });
+    return res.status(ready ? 200 : 503).json({ ready, checks });
+  } catch (error) {
+    logger.error('Error in GET /readyz', { err: error });
+    return res.status(503).json({ ready: false, error: error.message });
+  }
+});
+
+// Queue depth is read from Redis on every scrape rather than tracked
+addCollector(async function queueDepth() {
+  for (const { queue } of Object.values(documentTypes)) {
+    const counts = await queue.getJobCounts('waiting', 'active', 'delayed', 'failed');
+    for (const [state, count] of Object.entries(counts)) queueJobs.set({ queue: queue.name, state }, count);
+  }
+  queueJobs.set({ queue: DEAD_LETTER_QUEUE, state: 'waiting' }, await deadLetterQueue.count());
+});
+
+// Prometheus scrape endpoint (see metrics.js); with METRICS_TOKEN set it needs `Authorization: Bearer <token>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(await renderMetrics());
+  } catch (error) {
+    logger.error('Error in GET /metrics', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Every user-facing route needs a valid session token; data is scoped to the token's user id,
+// which takes the place of the old client-chosen x-session-id everywhere below
+const authenticate = requireAuth(createAuthVerifier());
+
+// Completion callbacks only come from the workers, signed with the shared CALLBACK_SECRET; each is accepted once
+const workerCallback = requireSignedCallback(connection);
+
+// Shared by both upload routes: detect byte-identical re-uploads, register the document and queue its job.
+// onDuplicate: 'skip' (default) keeps the existing document, 'replace' re-indexes it under the same id
+async function enqueueUpload(type, { sessionId, file, onDuplicate = 'skip' }) {
+  const { collection } = documentTypes[type];
+  const { contentHash, blobKey } = file;
+  const existing = await fileRegistry.findByHash(type, sessionId, contentHash);
+
+  // A failed upload is always retried; one still processing is never interrupted
+  const keepExisting = existing && existing.status !== 'failed'
+    && (onDuplicate !== 'replace' || existing.status === 'processing');
+  if (keepExisting) {
+    await removeBlob(blobKey);
+    return { documentId: existing.id, status: existing.status, duplicate: true };
+  }
+
+  const documentId = existing ? existing.id : randomUUID();
+  if (existing) {
+    await deleteDocumentPoints(client, collection, { sessionId, documentId });
+    if (existing.blobKey) await removeBlob(existing.blobKey);
+  }
+
+  const entry = {
+    id: documentId,
+    filename: file.originalname,
+    type,
+    mimetype: file.mimetype,
+    size: file.size,
+    contentHash,
+    blobKey,
+    status: 'processing',
+    uploadedAt: Date.now()
+  };
+  await fileRegistry.add(type, sessionId, entry);
+  await queueIngestion(type, sessionId, entry);
+  // Only uploads that get ingested count towards the daily volume
+  await quotas.recordUpload(sessionId, file.size);
+
+  return { documentId, status: 'processing', duplicate: Boolean(existing) };
+}
+
+// The job references the stored blob; the worker fetches it and drops it after ingestion
+async function queueIngestion(type, sessionId, doc) {
+  const { queue, jobName } = documentTypes[type];
+  const job = await queue.add(jobName, {
+    documentId: doc.id,
+    filename: doc.filename,
+    blobKey: doc.blobKey,
+    sessionId,
+    mimetype: doc.mimetype,
+    // Ties the worker's logs and its completion callback to the request that queued the job
+    requestId: currentContext().requestId
+  }, JOB_OPTIONS);
+  await fileRegistry.update(type, sessionId, doc.id, { jobId: job.id });
+  return job;
+}
+
+async function removeBlob(blobKey) {
+  try {
+    await blobStore.remove(blobKey);
+  } catch (err) {
+    logger.warn('Could not remove blob', { blobKey, err });
+  }
+}
+
+// Runs an upload route's work, dropping the stored blob if it fails before a job owns it
+async function withUploadedBlob(file, handler) {
+  try {
+    return await handler();
+  } catch (err) {
+    await removeBlob(file.blobKey);
+    throw err;
+  }
+}
+
+// Registry fields for a worker callback's status: a failed attempt with attempts left (`retrying`) keeps the
+// document processing and records which attempt failed; the final outcome clears that again.
+// Job metrics for /metrics are recorded here too: each callback reaches exactly one server instance, whereas
+// queue events reach all of them. `durationMs` is how long the reporting attempt ran.
+function callbackStatus(type, { status = 'ready', attempt, maxAttempts, error, durationMs }) {
+  if (status === 'retrying') {
+    jobRetries.inc({ type });
+    return { status: 'processing', retry: { attempt, maxAttempts, error: error || null } };
+  }
+
+  const labels = { queue: documentTypes[type].queue.name, outcome: status === 'failed' ? 'failed' : 'completed' };
+  jobsFinished.inc(labels);
+  if (Number.isFinite(durationMs)) jobDuration.observe(labels, durationMs / 1000);
+  return { status, retry: null, error: status === 'failed' ? error || null : null };
+}
+
+// Completion callbacks from jobs queued before document ids existed only carry the filename
+async function resolveDocumentId(type, sessionId, documentId, filename) {
+  if (documentId) return documentId;
+  const files = await fileRegistry.list(type, sessionId);
+  return files.find(f => f.filename === filename)?.id || null;
+}
+
+// A callback for a document that was deleted while its job ran; the registry doesn't bring it back. The job
+// checks for the delete before reporting, but one landing in between may have stored points after the delete
+// removed them, so they are removed again.
+async function documentGone(res, type, sessionId, documentId) {
+  if (documentId) {
+    await deleteDocumentPoints(client, documentTypes[type].collection, { sessionId, documentId })
+      .catch(err => logger.warn('Could not remove points of deleted document', { documentId, err }));
+  }
+  return res.status(410).json({ error: 'Document no longer exists' });
+}
+
+// Checked before the upload is streamed anywhere: uploads per minute, daily upload volume, stored chunks
+const uploadLimits = [quotas.rateLimit('upload'), quotas.uploadQuota()];
+
+// PDF upload - streamed to blob storage
+app.post('/upload/pdf', authenticate, ...uploadLimits, keepRequestContext(upload.single('pdf')), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
     
-    const sessionId = req.headers['x-session-id'] || 'default';
+    const sessionId = req.auth.userId;
     
     // console.log('📤 PDF upload received:', {
     //   sessionId,
@@ -104,106 +369,142 @@ app.post('/upload/pdf', upload.single('pdf'), async (req, res) => {
     //   mimetype: req.file.mimetype
     // });
     
-    // Convert file buffer to base64
-    const base64Data = req.file.buffer.toString('base64');
-    
-    // Track PDF uploads by session
-    if (!uploadedPdfFiles[sessionId]) {
-      uploadedPdfFiles[sessionId] = [];
-    }
-    
-    // Store file info without path (since we're using base64)
-    const fileInfo = {
-      filename: req.file.originalname,
-      status: 'processing',
-      uploadedAt: Date.now()
-    };
-    
-    uploadedPdfFiles[sessionId].push(fileInfo);
-
-    // console.log('📝 Stored file info for session:', sessionId, fileInfo);
-    // console.log('📊 Current files for session:', uploadedPdfFiles[sessionId]);
-
-    // Send base64 data to queue instead of file path
-    await pdfQueue.add('file-ready', {
-      filename: req.file.originalname,
-      base64Data: base64Data,
-      sessionId: sessionId,
-      mimetype: req.file.mimetype
-    });
-    
+    const result = await withUploadedBlob(req.file, () => enqueueUpload('pdf', {
+      sessionId,
+      file: req.file,
+      onDuplicate: req.query.onDuplicate
+    }));
     // console.log('✅ PDF job added to queue');
     
-    return res.json({ message: 'PDF uploaded and processing...' });
+    if (result.duplicate && result.status !== 'processing') {
+      return res.json({ message: 'This PDF was already uploaded in this session', ...result });
+    }
+    return res.json({ message: 'PDF uploaded and processing...', ...result });
   } catch (err) {
-    console.error('Upload PDF failed:', err);
+    logger.error('Upload PDF failed', { err: err });
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/pdf/status', (req, res) => {
-  const sessionId = req.query.sessionId || req.headers['x-session-id'] || 'default';
-  let files = uploadedPdfFiles[sessionId] || [];
-  
-  // console.log('📊 Status check for session:', sessionId);
-  // console.log('📁 Current files:', files);
+app.get('/pdf/status', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    let files = await fileRegistry.list('pdf', sessionId);
   
-  // Ensure consistent response format
-  files = files.map(file => ({
-    filename: file.filename || 'unknown',
-    status: file.status || 'processing',
-    uploadedAt: file.uploadedAt || Date.now(),
-    updatedAt: file.updatedAt || Date.now()
-  }));
+    // Ensure consistent response format
+    files = files.map(file => ({
+      id: file.id || null,
+      filename: file.filename || 'unknown',
+      status: file.status || 'processing',
+      uploadedAt: file.uploadedAt || Date.now(),
+      updatedAt: file.updatedAt || Date.now(),
+      // How many pages had to be OCR'd or had no readable text at all (null until processed)
+      pageCount: file.pageCount ?? null,
+      ocrPageCount: file.ocrPageCount ?? null,
+      unreadablePageCount: file.unreadablePageCount ?? null
+    }));
   
-  return res.json({ 
-    sessionId, 
-    files 
-  });
+    return res.json({ 
+      sessionId, 
+      files 
+    });
+  } catch (error) {
+    logger.error('Error in /pdf/status', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-app.post('/pdf/complete', (req, res) => {
+app.post('/pdf/complete', workerCallback, async (req, res) => {
   try {
-    const { sessionId = 'default', filename, status = 'ready' } = req.body || {};
+    const {
+      sessionId, documentId, filename, chunkCount,
+      pageCount, ocrPageCount, unreadablePageCount
+    } = req.body || {};
     
     if (!sessionId || !filename) {
       return res.status(400).json({ error: 'sessionId and filename required' });
     }
     
-    // Initialize session array if it doesn't exist
-    if (!uploadedPdfFiles[sessionId]) {
-      uploadedPdfFiles[sessionId] = [];
-    }
-    
-    const arr = uploadedPdfFiles[sessionId];
-    const idx = arr.findIndex(f => f.filename === filename);
-    
-    if (idx === -1) {
-      // If not found, add it
-      arr.push({ 
-        filename, 
-        status, 
-        updatedAt: Date.now() 
-      });
-    } else {
-      arr[idx].status = status;
-      arr[idx].updatedAt = Date.now();
-    }
+    const id = await resolveDocumentId('pdf', sessionId, documentId, filename);
+    const updated = id && await fileRegistry.update('pdf', sessionId, id, {
+      filename,
+      ...callbackStatus('pdf', req.body),
+      ...(chunkCount != null ? { chunkCount } : {}),
+      ...(pageCount != null ? { pageCount, ocrPageCount, unreadablePageCount } : {})
+    });
+    if (!updated) return documentGone(res, 'pdf', sessionId, id);
     
     // console.log(`PDF completion: Session ${sessionId}, File ${filename}, Status: ${status}`);
     return res.json({ ok: true });
   } catch (error) {
-    console.error('Error in /pdf/complete:', error);
+    logger.error('Error in /pdf/complete', { err: error });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Audio upload - ALSO NEEDS TO BE UPDATED similarly
-app.post('/upload/audio', upload.single('audio'), async (req, res) => {
+// Any other document (DOCX, PPTX, TXT/Markdown, HTML, CSV, EPUB) - streamed to blob storage.
+// PDFs sent here go to the PDF worker, so clients can use this one route for every file.
+app.post('/upload/document', authenticate, ...uploadLimits, keepRequestContext(upload.single('document')), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No document uploaded' });
+
+    const sessionId = req.auth.userId;
+    const isPdf = req.file.mimetype === 'application/pdf' || req.file.originalname.toLowerCase().endsWith('.pdf');
+    if (!isPdf && !isSupportedDocument(req.file)) {
+      await removeBlob(req.file.blobKey);
+      return res.status(415).json({ error: `Unsupported document type, use PDF or ${SUPPORTED_DOCUMENT_EXTENSIONS.join(', ')}` });
+    }
+
+    const type = isPdf ? 'pdf' : 'document';
+    const result = await withUploadedBlob(req.file, () => enqueueUpload(type, {
+      sessionId,
+      file: req.file,
+      onDuplicate: req.query.onDuplicate
+    }));
+
+    if (result.duplicate && result.status !== 'processing') {
+      return res.json({ message: 'This document was already uploaded in this session', type, ...result });
+    }
+    return res.json({ message: 'Document uploaded and processing...', type, ...result });
+  } catch (err) {
+    logger.error('Upload document failed', { err: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/document/complete', workerCallback, async (req, res) => {
+  try {
+    const { sessionId, documentId, filename, chunkCount, format } = req.body || {};
+
+    if (!sessionId || !documentId || !filename) {
+      return res.status(400).json({ error: 'sessionId, documentId and filename required' });
+    }
+
+    const updated = await fileRegistry.update('document', sessionId, documentId, {
+      filename,
+      ...callbackStatus('document', req.body),
+      ...(chunkCount != null ? { chunkCount } : {}),
+      ...(format ? { format } : {})
+    });
+    if (!updated) return documentGone(res, 'document', sessionId, documentId);
+    return res.json({ ok: true });
+  } catch (error) {
+    logger.error('Error in /document/complete', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Audio or video upload - streamed to blob storage; the worker transcribes a video's audio track
+app.post('/upload/audio', authenticate, ...uploadLimits, keepRequestContext(mediaUpload.single('audio')), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No audio uploaded' });
     
-    const sessionId = req.headers['x-session-id'] || 'default';
+    const sessionId = req.auth.userId;
+    const kind = mediaKind(req.file.mimetype, req.file.originalname);
+    if (req.file.size > MAX_MEDIA_MB[kind] * 1024 * 1024) {
+      await removeBlob(req.file.blobKey);
+      return res.status(413).json({ error: `File too large. Maximum size for ${kind} files is ${MAX_MEDIA_MB[kind]}MB.` });
+    }
     
     // console.log('📤 Audio upload received:', {
     //   sessionId,
@@ -212,70 +513,56 @@ app.post('/upload/audio', upload.single('audio'), async (req, res) => {
     //   mimetype: req.file.mimetype
     // });
     
-    // Convert file buffer to base64
-    const base64Data = req.file.buffer.toString('base64');
-    
-    // Track audio uploads by session
-    if (!uploadedAudioFiles[sessionId]) {
-      uploadedAudioFiles[sessionId] = [];
-    }
-    
-    // Store file info without path (since we're using base64)
-    const fileInfo = {
-      filename: req.file.originalname,
-      status: 'processing',
-      uploadedAt: Date.now()
-    };
-    
-    uploadedAudioFiles[sessionId].push(fileInfo);
-
-    // console.log('📝 Stored audio file info for session:', sessionId, fileInfo);
-    // console.log('📊 Current audio files for session:', uploadedAudioFiles[sessionId]);
-
-    // Send base64 data to queue instead of file path
-    await audioQueue.add('transcribe-ready', {
-      filename: req.file.originalname,
-      base64Data: base64Data,
-      sessionId: sessionId,
-      mimetype: req.file.mimetype
-    });
-    
+    const result = await withUploadedBlob(req.file, () => enqueueUpload('audio', {
+      sessionId,
+      file: req.file,
+      onDuplicate: req.query.onDuplicate
+    }));
     // console.log('✅ Audio job added to queue');
     
-    return res.json({ message: 'Audio uploaded and processing...', status: 'processing' });
+    if (result.duplicate && result.status !== 'processing') {
+      return res.json({ message: 'This audio file was already uploaded in this session', ...result });
+    }
+    return res.json({ message: 'Audio uploaded and processing...', ...result });
   } catch (err) {
-    console.error('Upload audio failed:', err);
+    logger.error('Upload audio failed', { err: err });
     res.status(500).json({ error: err.message });
   }
 });
 
 // Polling endpoint for frontend to see status
-app.get('/audio/status', (req, res) => {
-  const sessionId = req.query.sessionId || req.headers['x-session-id'] || 'default';
-  let files = uploadedAudioFiles[sessionId] || [];
-  
-  // console.log('📊 Audio status check for session:', sessionId);
-  // console.log('📁 Current audio files:', files);
+app.get('/audio/status', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    let files = await fileRegistry.list('audio', sessionId);
   
-  // Ensure consistent response format
-  files = files.map(file => ({
-    filename: file.filename || 'unknown',
-    status: file.status || 'processing',
-    uploadedAt: file.uploadedAt || Date.now(),
-    updatedAt: file.updatedAt || Date.now(),
-    transcript: file.transcript || null
-  }));
+    // Ensure consistent response format
+    files = files.map(file => ({
+      id: file.id || null,
+      filename: file.filename || 'unknown',
+      status: file.status || 'processing',
+      uploadedAt: file.uploadedAt || Date.now(),
+      updatedAt: file.updatedAt || Date.now(),
+      transcript: file.transcript || null,
+      // Timestamped transcript, e.g. to show "12:34–13:10 in meeting.mp3"
+      segments: file.segments || null,
+      duration: file.duration ?? null
+    }));
   
-  return res.json({ 
-    sessionId, 
-    files 
-  });
+    return res.json({ 
+      sessionId, 
+      files 
+    });
+  } catch (error) {
+    logger.error('Error in /audio/status', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 
-app.post('/audio/complete', (req, res) => {
+app.post('/audio/complete', workerCallback, async (req, res) => {
   try {
-    const { sessionId = 'default', filename, transcript, status = 'ready' } = req.body || {};
+    const { sessionId, documentId, filename, transcript, segments, duration, chunkCount } = req.body || {};
     
     if (!sessionId || !filename) {
       return res.status(400).json({ error: 'sessionId and filename required' });
@@ -283,169 +570,647 @@ app.post('/audio/complete', (req, res) => {
     
     // console.log('✅ Audio completion received:', { sessionId, filename, status });
     
-    // Initialize session array if it doesn't exist
-    if (!uploadedAudioFiles[sessionId]) {
-      uploadedAudioFiles[sessionId] = [];
-    }
-    
-    const arr = uploadedAudioFiles[sessionId];
-    const idx = arr.findIndex(f => f.filename === filename);
+    const id = await resolveDocumentId('audio', sessionId, documentId, filename);
+    const updated = id && await fileRegistry.update('audio', sessionId, id, {
+      filename,
+      ...callbackStatus('audio', req.body),
+      ...(transcript ? { transcript } : {}),
+      ...(Array.isArray(segments) ? { segments } : {}),
+      ...(duration != null ? { duration } : {}),
+      ...(chunkCount != null ? { chunkCount } : {})
+    });
+    if (!updated) return documentGone(res, 'audio', sessionId, id);
+    // console.log('📝 Updated audio file status:', filename, '->', status);
     
-    if (idx === -1) {
-      // If not found, add it
-      arr.push({ 
-        filename, 
-        status, 
-        transcript,
-        updatedAt: Date.now() 
-      });
-      // console.log('📝 Added new audio file to tracking:', filename);
+    // console.log(`Audio completion: Session ${sessionId}, File ${filename}, Status: ${status}`);
+    return res.json({ ok: true });
+  } catch (error) {
+    logger.error('Error in /audio/complete', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
+// Document management: list, delete and re-index the files of a session
+app.get('/documents', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+
+    const documents = [];
+    for (const [type, { collection, queue }] of Object.entries(documentTypes)) {
+      for (const file of await fileRegistry.list(type, sessionId)) {
+        // Files indexed before chunk counts were reported are counted in Qdrant
+        let chunkCount = file.chunkCount ?? null;
+        if (chunkCount === null && file.status === 'ready' && file.id) {
+          chunkCount = await countDocumentPoints(client, collection, { sessionId, documentId: file.id });
+        }
+        const status = file.status || 'processing';
+
+        documents.push({
+          id: file.id || null,
+          type,
+          filename: file.filename,
+          mimetype: file.mimetype || null,
+          size: file.size ?? null,
+          status,
+          chunkCount,
+          progress: status === 'processing' ? await currentProgress(queue, file.jobId) : null,
+          // { attempt, maxAttempts, error } while a failed attempt is being retried
+          retry: file.retry ?? null,
+          error: file.error ?? null,
+          uploadedAt: file.uploadedAt || null,
+          updatedAt: file.updatedAt || null
+        });
+      }
+    }
+
+    documents.sort((a, b) => (b.uploadedAt || 0) - (a.uploadedAt || 0));
+    return res.json({ sessionId, documents });
+  } catch (error) {
+    logger.error('Error in GET /documents', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Open progress streams, ended on shutdown so clients reconnect to another instance
+const progressStreams = new Set();
+
+// Push channel for ingestion progress: a `snapshot` of every document on connect, then
+// `progress` ({ id, type, stage, percent, message }) and final `document` ({ id, type, status }) events
+app.get('/documents/events', authenticate, async (req, res) => {
+  const sessionId = req.auth.userId;
+  const stream = openEventStream(res);
+  const unsubscribe = progressHub.subscribe(sessionId, stream.send);
+  progressStreams.add(stream);
+
+  // Keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => stream.send('ping', { t: Date.now() }), 25000);
+  stream.signal.addEventListener('abort', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    progressStreams.delete(stream);
+  });
+
+  try {
+    const documents = [];
+    for (const [type, { queue }] of Object.entries(documentTypes)) {
+      for (const file of await fileRegistry.list(type, sessionId)) {
+        const status = file.status || 'processing';
+        documents.push({
+          id: file.id,
+          type,
+          filename: file.filename,
+          status,
+          progress: status === 'processing' ? await currentProgress(queue, file.jobId) : null
+        });
+      }
+    }
+    stream.send('snapshot', { documents });
+  } catch (error) {
+    logger.error('Error in GET /documents/events', { err: error });
+    stream.send('error', { error: 'Internal server error' });
+  }
+});
+
+app.delete('/documents/:id', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    const doc = await fileRegistry.findById(Object.keys(documentTypes), sessionId, req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const { collection, queue } = documentTypes[doc.type];
+
+    // The registry entry goes first: it is what a running job checks between batches (see documentGuard in
+    // job-policy.js) and what keeps its completion callback from recreating the document
+    await fileRegistry.remove(doc.type, sessionId, doc.id);
+
+    // Drop a job that hasn't started yet; an active one is locked, stops at its next check and removes
+    // whatever it stored after the delete below
+    if (doc.status === 'processing' && doc.jobId) {
+      try {
+        await (await queue.getJob(doc.jobId))?.remove();
+      } catch (err) {
+        logger.warn('Could not remove job', { jobId: doc.jobId, err });
+      }
+    }
+
+    await deleteDocumentPoints(client, collection, { sessionId, documentId: doc.id });
+    if (doc.blobKey) await removeBlob(doc.blobKey);
+
+    logger.info('Deleted document', { type: doc.type, documentId: doc.id, filename: doc.filename, userId: sessionId });
+    return res.json({ ok: true, id: doc.id });
+  } catch (error) {
+    logger.error('Error in DELETE /documents/:id', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/documents/:id/reindex', authenticate, quotas.rateLimit('upload'), async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    const doc = await fileRegistry.findById(Object.keys(documentTypes), sessionId, req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (doc.status === 'processing') {
+      return res.status(409).json({ error: 'Document is still being processed' });
+    }
+
+    const { collection, queue } = documentTypes[doc.type];
+
+    // Needs the stored blob (kept unless BLOB_RETENTION=delete, and always after a failed ingestion);
+    // documents uploaded before blob storage still have their bytes in the original job
+    const previousJob = doc.jobId ? await queue.getJob(doc.jobId) : null;
+    const hasBlob = doc.blobKey && await blobStore.exists(doc.blobKey);
+    if (!hasBlob && !previousJob?.data?.base64Data) {
+      return res.status(409).json({ error: 'Original upload is no longer available, please upload the file again' });
+    }
+
+    await deleteDocumentPoints(client, collection, { sessionId, documentId: doc.id });
+    await fileRegistry.update(doc.type, sessionId, doc.id, {
+      status: 'processing',
+      chunkCount: null,
+      retry: null,
+      error: null
+    });
+    if (hasBlob) {
+      await queueIngestion(doc.type, sessionId, doc);
     } else {
-      arr[idx].status = status;
-      arr[idx].updatedAt = Date.now();
-      if (transcript) arr[idx].transcript = transcript;
-      // console.log('📝 Updated audio file status:', filename, '->', status);
+      // A fresh ingestion, not a resumption of the old job
+      const { checkpoint, ...data } = previousJob.data;
+      const job = await queue.add(previousJob.name, { ...data, requestId: currentContext().requestId }, JOB_OPTIONS);
+      await fileRegistry.update(doc.type, sessionId, doc.id, { jobId: job.id });
     }
-    
-    // console.log(`Audio completion: Session ${sessionId}, File ${filename}, Status: ${status}`);
+    await previousJob?.remove().catch(() => {});
+
+    logger.info('Re-indexing document', { type: doc.type, documentId: doc.id, filename: doc.filename, userId: sessionId });
+    return res.json({ ok: true, id: doc.id, status: 'processing' });
+  } catch (error) {
+    logger.error('Error in POST /documents/:id/reindex', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current usage against the rate limits and quotas, for the client to display
+app.get('/usage', authenticate, async (req, res) => {
+  try {
+    return res.json(await quotas.usage(req.auth.userId));
+  } catch (error) {
+    logger.error('Error in GET /usage', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: queue overview and the dead-letter queue of ingestion jobs that ran out of attempts.
+// Only the user ids in ADMIN_USER_IDS may call these.
+const adminOnly = [authenticate, requireAdmin()];
+
+const JOB_STATES = ['waiting', 'active', 'delayed', 'failed', 'completed'];
+
+function typeForQueue(queueName) {
+  return Object.keys(documentTypes).find(type => documentTypes[type].queue.name === queueName) || null;
+}
+
+// Dead-letter entry -> what the admin routes return; `details` adds the job data and stack trace
+function deadLetterEntry(job, { details = false } = {}) {
+  const { queue, jobId, name, data = {}, failedReason, stacktrace, attemptsMade, failedAt } = job.data || {};
+  return {
+    id: job.id,
+    queue,
+    type: typeForQueue(queue),
+    jobId,
+    name,
+    sessionId: data.sessionId || null,
+    documentId: data.documentId || null,
+    filename: data.filename || null,
+    failedReason: failedReason || null,
+    attemptsMade: attemptsMade ?? null,
+    failedAt: failedAt || null,
+    ...(details ? { data, stacktrace: stacktrace || [] } : {})
+  };
+}
+
+app.get('/admin/queues', adminOnly, async (req, res) => {
+  try {
+    const queues = [];
+    for (const [type, { queue }] of Object.entries(documentTypes)) {
+      queues.push({ name: queue.name, type, counts: await queue.getJobCounts(...JOB_STATES) });
+    }
+    queues.push({ name: DEAD_LETTER_QUEUE, type: null, counts: { jobs: await deadLetterQueue.count() } });
+    return res.json({ queues });
+  } catch (error) {
+    logger.error('Error in GET /admin/queues', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ?queue=file-upload-queue narrows to one queue; ?limit= (default 50, max 200) and ?offset= page through
+app.get('/admin/jobs/failed', adminOnly, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    // Dead-letter entries are never processed, so they stay waiting until retried or discarded
+    const jobs = (await deadLetterQueue.getJobs(['waiting', 'paused', 'delayed']))
+      .filter(job => !req.query.queue || job.data?.queue === req.query.queue)
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return res.json({
+      total: jobs.length,
+      jobs: jobs.slice(offset, offset + limit).map(job => deadLetterEntry(job))
+    });
+  } catch (error) {
+    logger.error('Error in GET /admin/jobs/failed', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/admin/jobs/failed/:id', adminOnly, async (req, res) => {
+  try {
+    const job = await deadLetterQueue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json(deadLetterEntry(job, { details: true }));
+  } catch (error) {
+    logger.error('Error in GET /admin/jobs/failed/:id', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Runs the job again with a fresh set of attempts; the document goes back to processing
+app.post('/admin/jobs/failed/:id/retry', adminOnly, async (req, res) => {
+  try {
+    const entry = await deadLetterQueue.getJob(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Job not found' });
+
+    const { queue: queueName, jobId, name, data = {} } = entry.data || {};
+    const type = typeForQueue(queueName);
+    if (!type) return res.status(409).json({ error: `Unknown queue ${queueName}` });
+    const { queue } = documentTypes[type];
+    if (data.sessionId && data.documentId && !await fileRegistry.get(type, data.sessionId, data.documentId)) {
+      return res.status(409).json({ error: 'Document no longer exists' });
+    }
+
+    // A copy rather than job.retry(), which would keep the used-up attempt count; the copy keeps the
+    // upsert checkpoint, so it resumes where the last attempt stopped. It is traced under this request.
+    const job = await queue.add(name, { ...data, requestId: currentContext().requestId }, JOB_OPTIONS);
+    await (await queue.getJob(jobId))?.remove().catch(err =>
+      logger.warn('Could not remove job', { queue: queueName, jobId, err }));
+
+    if (data.sessionId && data.documentId) {
+      await fileRegistry.update(type, data.sessionId, data.documentId, {
+        status: 'processing',
+        jobId: job.id,
+        retry: null,
+        error: null
+      });
+    }
+    await entry.remove();
+
+    logger.info('Retrying dead-lettered job', { deadLetterId: entry.id, queue: queueName, jobId: job.id, originalRequestId: data.requestId });
+    return res.json({ ok: true, id: entry.id, queue: queueName, jobId: job.id });
+  } catch (error) {
+    logger.error('Error in POST /admin/jobs/failed/:id/retry', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Drops the job for good; the document stays failed
+app.delete('/admin/jobs/failed/:id', adminOnly, async (req, res) => {
+  try {
+    const entry = await deadLetterQueue.getJob(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Job not found' });
+
+    const { queue: queueName, jobId } = entry.data || {};
+    const type = typeForQueue(queueName);
+    if (type) {
+      await (await documentTypes[type].queue.getJob(jobId))?.remove().catch(err =>
+        logger.warn('Could not remove job', { queue: queueName, jobId, err }));
+    }
+    await entry.remove();
+
+    logger.info('Discarded dead-lettered job', { deadLetterId: entry.id });
+    return res.json({ ok: true, id: entry.id });
+  } catch (error) {
+    logger.error('Error in DELETE /admin/jobs/failed/:id', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Conversations: list, fetch and clear the chat history of a session
+app.get('/conversations', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    const conversations = await conversationStore.list(sessionId);
+    return res.json({ sessionId, conversations });
+  } catch (error) {
+    logger.error('Error in GET /conversations', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/conversations/:id', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    const conversation = await conversationStore.get(sessionId, req.params.id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    return res.json(conversation);
+  } catch (error) {
+    logger.error('Error in GET /conversations/:id', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/conversations/:id', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    const removed = await conversationStore.remove(sessionId, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Conversation not found' });
     return res.json({ ok: true });
   } catch (error) {
-    console.error('Error in /audio/complete:', error);
+    logger.error('Error in DELETE /conversations/:id', { err: error });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+app.delete('/conversations', authenticate, async (req, res) => {
+  try {
+    const sessionId = req.auth.userId;
+    const removed = await conversationStore.clear(sessionId);
+    return res.json({ ok: true, removed });
+  } catch (error) {
+    logger.error('Error in DELETE /conversations', { err: error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// "a.pdf,b.mp3" -> ['a.pdf', 'b.mp3']; falls back when the param is missing or empty
+function parseList(value, fallback) {
+  const items = String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+  return items.length > 0 ? items : fallback;
+}
+
+// Times an LLM call for /metrics under `operation` and counts the tokens the provider reports
+async function timedLlmCall(operation, call) {
+  const stop = llmDuration.startTimer({ ...chatModelLabels, operation });
+  try {
+    const result = await call();
+    stop({ outcome: 'ok' });
+    return result;
+  } catch (error) {
+    stop({ outcome: error.name === 'AbortError' ? 'cancelled' : 'error' });
+    throw error;
+  }
+}
+
+// Every LLM call made for a user (answer, condensation, llm reranking) is charged here, to /metrics and to
+// the user's daily token quota
+async function chargeLlmTokens(userId, { promptTokens, completionTokens }) {
+  llmTokens.inc({ ...chatModelLabels, kind: 'prompt' }, promptTokens);
+  llmTokens.inc({ ...chatModelLabels, kind: 'completion' }, completionTokens);
+  await quotas.recordLlmTokens(userId, promptTokens + completionTokens);
+}
+
+// Rewrite a follow-up ("what about the second point?") into a standalone retrieval query
+async function condenseQuestion(llm, history, question, userId) {
+  const prompt = ChatPromptTemplate.fromTemplate(`Given the conversation below and a follow-up question, rewrite the follow-up as a standalone question that can be understood without the conversation.
+Keep names, numbers and technical terms exactly as written. If the follow-up is already standalone, return it unchanged.
+Return ONLY the rewritten question.
+
+## CONVERSATION
+{history}
+
+## FOLLOW-UP QUESTION
+{question}
+
+## STANDALONE QUESTION`);
+
+  try {
+    const promptInputs = { history: formatHistory(history), question };
+    const result = await timedLlmCall('condense', () => prompt.pipe(llm).invoke(promptInputs));
+    const condensed = typeof result.content === 'string' ? result.content.trim() : '';
+    await chargeLlmTokens(userId, {
+      promptTokens: result.usage_metadata?.input_tokens ?? estimateTokens(await prompt.format(promptInputs)),
+      completionTokens: result.usage_metadata?.output_tokens ?? estimateTokens(condensed)
+    });
+    return condensed || question;
+  } catch (error) {
+    logger.warn('Question condensation failed, using original question', { err: error });
+    return question;
+  }
+}
+
+// rerankAndSelect's `expand`: adds the chunks around a selected one (by metadata.chunkIndex) to its text,
+// skipping chunks already part of an earlier selection; best-effort, a failed lookup leaves the chunk as it was
+function neighbourExpander(sessionId, neighbours) {
+  return async (doc, selected) => {
+    const { documentId, chunkIndex, source: type } = doc.metadata;
+    if (!documentId || !Number.isInteger(chunkIndex)) return doc;
+
+    const taken = new Set(selected
+      .filter(other => other.metadata.documentId === documentId)
+      .flatMap(other => other.metadata.chunkIndexes ?? [other.metadata.chunkIndex]));
+    const chunkIndexes = [];
+    for (let offset = -neighbours; offset <= neighbours; offset++) {
+      const index = chunkIndex + offset;
+      if (offset !== 0 && index >= 0 && !taken.has(index)) chunkIndexes.push(index);
+    }
+
+    try {
+      const found = await fetchChunks(client, documentTypes[type].collection, { sessionId, documentId, chunkIndexes });
+      if (found.length > 0) mergeNeighbours(doc, found);
+    } catch (error) {
+      logger.warn('Could not fetch neighbouring chunks', { documentId, chunkIndex, err: error });
+    }
+    return doc;
+  };
+}
 
 // Chat endpoint: only uses audio collection if there is at least one 'ready' file
 
- // Chat endpoint: search both collections and combine results
-app.get('/chat', async (req,res) => {
+ // Chat endpoint: search every collection and combine results
+ // With ?stream=true the answer is sent as SSE: `token` events while generating, then one `done` event
+ // Pass ?conversationId= to continue a conversation; the id is returned with every answer
+ // Optional retrieval filters: ?types=pdf,audio,document  ?files=a.pdf,b.mp3  ?minScore=0.5
+ // ?mode=dense|sparse|hybrid picks semantic, keyword (BM25) or fused retrieval (default hybrid)
+ // ?reranker=cross-encoder|llm|lexical|none overrides the RERANKER setting (default none, i.e. retrieval order)
+ // ?speakers=Speaker 1,Speaker 2 only searches transcript chunks where those speakers talk (PDFs are skipped)
+ // ?neighbours=1 widens every selected chunk with the chunk before and after it (0-3)
+ // Rate limited per user and counted against the daily LLM token quota (see quotas.js)
+app.get('/chat', authenticate, quotas.rateLimit('chat'), quotas.llmQuota(), async (req,res) => {
+  let stream = null;
   try {
-    const sessionId = req.headers['x-session-id'] || req.query.sessionId || 'default';
+    const sessionId = req.auth.userId;
     const userQuery = req.query.message || '';
+    const streamMode = req.query.stream === 'true' || req.query.stream === '1';
+    const types = parseList(req.query.types, Object.keys(documentTypes));
+    const filenames = parseList(req.query.files, []);
+    const speakers = parseList(req.query.speakers, []);
+    const minScore = Number(req.query.minScore);
+    const scoreThreshold = Number.isFinite(minScore) ? minScore : DEFAULT_SCORE_THRESHOLD;
+    const mode = req.query.mode || DEFAULT_RETRIEVAL_MODE;
+    const neighbours = req.query.neighbours !== undefined ? Number(req.query.neighbours) : CONTEXT_NEIGHBOURS;
+    
+    const reranker = req.query.reranker || DEFAULT_RERANKER;
+    
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${RETRIEVAL_MODES.join(', ')}` });
+    }
+    if (!RERANKERS.includes(reranker)) {
+      return res.status(400).json({ error: `reranker must be one of: ${RERANKERS.join(', ')}` });
+    }
+    if (!Number.isInteger(neighbours) || neighbours < 0 || neighbours > MAX_CONTEXT_NEIGHBOURS) {
+      return res.status(400).json({ error: `neighbours must be an integer from 0 to ${MAX_CONTEXT_NEIGHBOURS}` });
+    }
     
     if (!userQuery) return res.status(400).json({ error: 'No query provided' });
 
-    console.log(`🔍 Chat request - Session: ${sessionId}, Query: "${userQuery}"`);
+    // The question itself only at debug level, it is user content
+    logger.info('Chat request', { userId: sessionId, mode, reranker, neighbours, stream: streamMode });
+    logger.debug('Chat query', { query: userQuery });
 
-    const audioFiles = uploadedAudioFiles[sessionId] || [];
-    const pdfFiles = uploadedPdfFiles[sessionId] || [];
-    
-    const hasReadyAudio = audioFiles.some(f => f.status === 'ready');
-    const hasReadyPdf = pdfFiles.some(f => f.status === 'ready');
+    if (streamMode) stream = openEventStream(res);
+
+    const existingConversation = req.query.conversationId
+      ? await conversationStore.getSummary(sessionId, req.query.conversationId)
+      : null;
+    const history = existingConversation
+      ? await conversationStore.recentMessages(sessionId, existingConversation.id, HISTORY_MESSAGES)
+      : [];
+
+    // Record the turn, then send the payload as JSON or as the closing `done` event when streaming
+    const sendResult = async (payload) => {
+      const conversation = existingConversation || await conversationStore.create(sessionId, userQuery);
+      await conversationStore.append(sessionId, conversation.id,
+        { role: 'user', content: userQuery },
+        { role: 'bot', content: payload.message, sources: payload.sources || [] }
+      );
 
-    console.log(`📊 Session ${sessionId} - Ready audio: ${hasReadyAudio}, Ready PDF: ${hasReadyPdf}`);
+      const result = { ...payload, conversationId: conversation.id };
+      if (!stream) return res.json(result);
+      stream.send('done', result);
+      stream.close();
+    };
+
+    const [hasReadyAudio, hasReadyPdf, hasReadyDocument] = await Promise.all([
+      fileRegistry.hasReady('audio', sessionId),
+      fileRegistry.hasReady('pdf', sessionId),
+      fileRegistry.hasReady('document', sessionId)
+    ]);
+
+    logger.debug('Ready documents', { audio: hasReadyAudio, pdf: hasReadyPdf, document: hasReadyDocument });
 
     // If no documents, return early
-    if (!hasReadyAudio && !hasReadyPdf) {
-      return res.json({ 
-        message: "I don't have any documents to search. Please upload a PDF or audio file first!", 
-        docs: [] 
+    if (!hasReadyAudio && !hasReadyPdf && !hasReadyDocument) {
+      return await sendResult({ 
+        message: "I don't have any documents to search. Please upload a PDF, document or audio file first!", 
+        docs: [],
+        sources: []
       });
     }
 
-    const embeddings = new HuggingFaceInferenceEmbeddings({
-      apiKey: process.env.HUGGINGFACEHUB_API_TOKEN,
-      model: "BAAI/bge-base-en-v1.5",
-    });
+    const llm = createChatModel({ maxTokens: 2000, temperature: 0.1 });
+
+    // Follow-ups are searched as standalone questions, the prompt still sees the original
+    const searchQuery = history.length > 0
+      ? await condenseQuestion(llm, history, userQuery, sessionId)
+      : userQuery;
+
+    if (searchQuery !== userQuery) {
+      logger.debug('Condensed follow-up', { query: searchQuery });
+    }
+
+    // Covers embedding the query, searching, reranking and neighbour expansion
+    const stopRetrievalTimer = retrievalDuration.startTimer({ mode });
+
+    // The query is embedded once (keyword-only mode needs no embedding) and searched
+    // in every collection with a session payload filter
+    if (mode !== 'sparse') await assertEmbeddingDimension(embeddings);
+    const queryVector = mode === 'sparse' ? null : await embeddings.embedQuery(searchQuery);
 
-    // SIMPLIFIED search function without problematic filters
-    async function searchCollection(collectionName, sessionId, query, k = 6) {
+    async function searchSessionCollection(type, k) {
+      const collectionName = documentTypes[type].collection;
       try {
-        const vectorStore = await QdrantVectorStore.fromExistingCollection(embeddings, { 
-          client, 
-          collectionName 
+        const result = await retrieve(client, collectionName, {
+          mode,
+          vector: queryVector,
+          queryText: searchQuery,
+          sessionId,
+          k,
+          scoreThreshold,
+          filenames,
+          speakers: type === 'audio' ? speakers : []
         });
         
-        // Use simple retriever without filters to avoid Bad Request errors
-        const retriever = vectorStore.asRetriever({ k: k * 2 }); // Get more results to filter client-side
-        
-        let result = await retriever.invoke(query);
-        
-        // Filter by sessionId client-side (more reliable)
-        result = result.filter(doc => {
-          // Handle different metadata structures
-          const meta = doc.metadata || {};
-          return meta.sessionId === sessionId;
-        }).slice(0, k); // Take only the top k after filtering
-        
-        // Add source information to each document
+        // Add source information to each document (the worker stored the filename in `source`)
         result.forEach(doc => {
-          doc.metadata = doc.metadata || {};
-          doc.metadata.source = collectionName === pdfCollectionName ? 'pdf' : 'audio';
+          doc.metadata.filename = doc.metadata.filename || doc.metadata.source;
+          doc.metadata.source = type;
         });
         
-        console.log(`✅ ${collectionName}: Found ${result.length} documents after session filtering`);
+        logger.debug('Collection searched', { collection: collectionName, mode, found: result.length });
         return result;
       } catch (error) {
-        console.error(`❌ Error searching collection ${collectionName}:`, error.message);
+        logger.error('Error searching collection', { collection: collectionName, err: error });
         return [];
       }
     }
 
-    // Search both collections in parallel
-    const [pdfResults, audioResults] = await Promise.all([
-      hasReadyPdf ? searchCollection(pdfCollectionName, sessionId, userQuery, 5) : [],
-      hasReadyAudio ? searchCollection(audioCollectionName, sessionId, userQuery, 3) : []
+    // Search all collections in parallel for a wide candidate pool
+    const [pdfCandidates, audioCandidates, documentCandidates] = await Promise.all([
+      hasReadyPdf && types.includes('pdf') && speakers.length === 0 ? searchSessionCollection('pdf', RERANK_CANDIDATES) : [],
+      hasReadyAudio && types.includes('audio') ? searchSessionCollection('audio', RERANK_CANDIDATES) : [],
+      hasReadyDocument && types.includes('document') && speakers.length === 0 ? searchSessionCollection('document', RERANK_CANDIDATES) : []
     ]);
 
-    console.log(`📚 Final results - PDF: ${pdfResults.length}, Audio: ${audioResults.length}`);
+    // Rescore all types jointly and fill the context by relevance, not fixed per-type quotas
+    // Neighbours are added while packing, so they count against the context budget
+    const allResults = await rerankAndSelect(searchQuery, [...pdfCandidates, ...audioCandidates, ...documentCandidates], {
+      reranker,
+      expand: neighbours > 0 ? neighbourExpander(sessionId, neighbours) : null,
+      onLlmTokens: usage => chargeLlmTokens(sessionId, usage)
+    });
+    stopRetrievalTimer();
+    const pdfResults = allResults.filter(doc => doc.metadata.source === 'pdf');
+    const audioResults = allResults.filter(doc => doc.metadata.source === 'audio');
+    const documentResults = allResults.filter(doc => doc.metadata.source === 'document');
 
-    // DEBUG: Log what we found
-    if (pdfResults.length > 0) {
-      console.log('📄 PDF content samples:');
-      pdfResults.forEach((doc, i) => {
-        console.log(`  ${i+1}. ${doc.pageContent.substring(0, 100)}...`);
-      });
-    }
-    if (audioResults.length > 0) {
-      console.log('🎵 Audio content samples:');
-      audioResults.forEach((doc, i) => {
-        console.log(`  ${i+1}. ${doc.pageContent.substring(0, 100)}...`);
-      });
-    }
 
     // IMPROVED CONTEXT HANDLING
-    let context = "";
-    
-    if (pdfResults.length > 0 || audioResults.length > 0) {
-      const pdfParts = pdfResults.map(doc => `[FROM PDF DOCUMENT] ${doc.pageContent}`);
-      const audioParts = audioResults.map(doc => `[FROM AUDIO TRANSCRIPT] ${doc.pageContent}`);
-      
-      const allParts = [...pdfParts, ...audioParts];
-      context = allParts.join("\n\n---\n\n");
-    }
+    // Every chunk is numbered (in relevance order) so the answer can cite it as [n]
+    const sources = buildSources(allResults);
+    const context = buildCitedContext(allResults, sources);
 
-    console.log(`📝 Final context length: ${context.length} chars`);
+    logger.info('Context selected', {
+      pdf: pdfResults.length,
+      audio: audioResults.length,
+      documents: documentResults.length,
+      contextChars: context.length
+    });
 
     // If no documents found after all attempts
     if (!context.trim()) {
-      console.log('❌ No relevant content found for this query');
-      return res.json({ 
+      logger.info('No relevant content found');
+      return await sendResult({ 
         message: "I couldn't find specific information about this topic in your uploaded documents. Try asking about different content or check if your files have been processed successfully.", 
         docs: [],
+        sources: [],
+        citations: [],
         source: 'none',
         pdfCount: 0,
-        audioCount: 0
+        audioCount: 0,
+        documentCount: 0
       });
     }
 
     // IMPROVED PROMPT TEMPLATE
-    const llm = new ChatGoogleGenerativeAI({
-      model: "gemini-2.0-flash",
-      apiKey: process.env.GOOGLE_API_KEY,
-      maxTokens: 2000,
-      temperature: 0.1,
-    });
-
    const promptTemplate = `# DOCUMENT ANALYSIS ASSISTANT
 
 ## YOUR ROLE
-You are a precise, reliable assistant that answers questions based ONLY on uploaded PDF documents and audio transcripts.
+You are a precise, reliable assistant that answers questions based ONLY on uploaded PDFs, office/text documents and audio transcripts.
 
 ## CONTEXT
 {context}
 
+## CONVERSATION HISTORY
+{history}
+
 ## QUESTION
 {question}
 
@@ -453,9 +1218,17 @@ You are a precise, reliable assistant that answers questions based ONLY on uploa
 
 ### SOURCE HANDLING
 - ✅ **Use only context provided** - no external knowledge
-- ✅ **Attribute sources clearly** - specify PDF/audio origin
+- ✅ **Attribute sources clearly** - specify PDF/document/audio origin
 - ✅ **Synthesize when multiple sources** - combine relevant information
+- ✅ **Attribute speakers** - transcript lines starting with "Speaker N:" were said by that speaker; name them when relevant
 - ❌ **Never hallucinate** - if it's not in context, don't invent it
+- ✅ **Use history only to resolve references** - "it", "the second point" etc.; facts still come from context
+
+### CITATIONS
+- Every context chunk starts with a number in square brackets, e.g. [1]
+- Cite the supporting chunk right after each claim using that number: "Revenue grew 12% [2]."
+- Combine citations when several chunks support a claim: [1][3]
+- Only cite numbers that appear in the context; never make up a citation
 
 ### ANSWER QUALITY
 - Provide comprehensive but focused answers
@@ -480,36 +1253,99 @@ Based on the above guidelines, provide the best possible answer:`;
     const prompt = ChatPromptTemplate.fromTemplate(promptTemplate);
     const chain = prompt.pipe(llm);
 
-    console.log('🤖 Generating response with LLM...');
-    const chatResult = await chain.invoke({ 
+    const promptInputs = {
       context: context,
-      question: userQuery 
-    });
-    
-    // Determine source type for response
-    let sourceType = 'none';
-    if (pdfResults.length > 0 && audioResults.length > 0) {
-      sourceType = 'both';
-    } else if (pdfResults.length > 0) {
-      sourceType = 'pdf';
-    } else if (audioResults.length > 0) {
-      sourceType = 'audio';
+      history: formatHistory(history) || 'No previous messages.',
+      question: userQuery
+    };
+    let answer = '';
+    let usage = null;
+    if (stream) {
+      await timedLlmCall('answer', async () => {
+        const tokens = await chain.stream(promptInputs, { signal: stream.signal });
+
+        // Chunks carry usage deltas (if the provider reports any), merged like LangChain's concat does
+        for await (const chunk of tokens) {
+          if (chunk.usage_metadata) {
+            usage = {
+              input_tokens: (usage?.input_tokens ?? 0) + chunk.usage_metadata.input_tokens,
+              output_tokens: (usage?.output_tokens ?? 0) + chunk.usage_metadata.output_tokens
+            };
+          }
+          const text = typeof chunk.content === 'string' ? chunk.content : '';
+          if (!text) continue;
+          answer += text;
+          stream.send('token', { text });
+        }
+      });
+    } else {
+      const chatResult = await timedLlmCall('answer', () => chain.invoke(promptInputs));
+      answer = chatResult.content;
+      usage = chatResult.usage_metadata ?? null;
     }
+
+    // Counted against the daily LLM token quota: the provider's usage, estimated when it reports none
+    const promptTokens = usage?.input_tokens ?? estimateTokens(await prompt.format(promptInputs));
+    const completionTokens = usage?.output_tokens ?? estimateTokens(answer);
+    await chargeLlmTokens(sessionId, { promptTokens, completionTokens });
+    logger.info('Answer generated', { promptTokens, completionTokens, estimated: !usage });
     
-    return res.json({ 
-      message: chatResult.content, 
-      docs: [...pdfResults, ...audioResults],
+    // Determine source type for response ('both' = more than one kind of file)
+    const usedTypes = [
+      pdfResults.length > 0 && 'pdf',
+      audioResults.length > 0 && 'audio',
+      documentResults.length > 0 && 'document'
+    ].filter(Boolean);
+    const sourceType = usedTypes.length > 1 ? 'both' : (usedTypes[0] || 'none');
+    
+    return await sendResult({ 
+      message: answer, 
+      docs: allResults,
+      sources,
+      citations: extractCitations(answer, sources),
+      retrievalMode: mode,
       source: sourceType,
       pdfCount: pdfResults.length,
       audioCount: audioResults.length,
+      documentCount: documentResults.length,
       contextLength: context.length
     });
 
   } catch (error) {
-    console.error("💥 Chat endpoint failed:", error.message);
+    if (stream) {
+      if (stream.signal.aborted) {
+        logger.info('Chat stream cancelled by client');
+        return;
+      }
+      logger.error('Chat stream failed', { err: error });
+      stream.send('error', { error: error.message });
+      return stream.close();
+    }
+    logger.error('Chat endpoint failed', { err: error });
     return res.status(500).json({ error: error.message });
   }
 });
 
 
-app.listen(8000, ()=> console.log(`Server started on port 8000`));
+const server = app.listen(8000, () => logger.info('Server started', { port: 8000 }));
+
+// Stops accepting connections and resolves once in-flight requests (streamed chat answers included) are done.
+// Keep-alive sockets are closed as soon as they go idle.
+function drainHttp() {
+  const closed = new Promise(resolve => server.close(() => resolve()));
+  for (const stream of progressStreams) stream.close();
+  const idleSweep = setInterval(() => server.closeIdleConnections(), 500);
+  server.closeIdleConnections();
+  return closed.finally(() => clearInterval(idleSweep));
+}
+
+onShutdown('Server', [
+  ['http', drainHttp],
+  ['progress events', () => progressHub.close()],
+  ['queues', () => Promise.all([
+    ...Object.values(documentTypes).map(({ queue }) => queue.close()),
+    deadLetterQueue.close()
+  ])],
+  ['redis', () => connection.quit()]
+]);
+
@@ -0,0 +1,77 @@
+// job-policy.js - retry policy and dead-letter queue for the ingestion jobs
+//
+// Every ingestion job gets JOB_ATTEMPTS attempts (default 3) with exponential backoff starting at
+// JOB_BACKOFF_MS (default 10s). While attempts remain the document stays `processing` and reports which
+// attempt it is on; once they are used up the workers copy the job to the dead-letter queue, where the admin
+// routes can inspect, retry or discard it.
+import { Queue, UnrecoverableError } from "bullmq";
+import { logger } from "./logger.js";
+
+export const JOB_ATTEMPTS = Math.max(Number(process.env.JOB_ATTEMPTS ?? 3), 1);
+const JOB_BACKOFF_MS = Number(process.env.JOB_BACKOFF_MS ?? 10000);
+
+export const JOB_OPTIONS = {
+  attempts: JOB_ATTEMPTS,
+  backoff: { type: 'exponential', delay: JOB_BACKOFF_MS },
+  // Failed jobs stay in their queue for inspection until they are retried or discarded
+  removeOnFail: false
+};
+
+export const DEAD_LETTER_QUEUE = 'dead-letter-queue';
+
+export function createDeadLetterQueue(connection) {
+  return new Queue(DEAD_LETTER_QUEUE, { connection });
+}
+
+// Inside the processor: { attempt, maxAttempts, final } for the attempt that is running.
+// UnrecoverableError marks failures that no retry can fix.
+export function attemptInfo(job, error = null) {
+  const maxAttempts = job.opts?.attempts ?? 1;
+  const attempt = job.attemptsMade + 1;
+  const unrecoverable = error instanceof UnrecoverableError || error?.name === 'UnrecoverableError';
+  return { attempt, maxAttempts, final: unrecoverable || attempt >= maxAttempts };
+}
+
+// From a worker's 'failed' listener: jobs that will not run again are parked in the dead-letter queue,
+// one entry per job (re-failing after an admin retry replaces the old entry)
+export async function moveToDeadLetter(deadLetterQueue, job, error) {
+  // BullMQ sets finishedOn only when the job is moved to the failed set for good
+  if (!job?.finishedOn) return;
+
+  const id = `${job.queueName}-${job.id}`;
+  try {
+    const previous = await deadLetterQueue.getJob(id);
+    await previous?.remove();
+    await deadLetterQueue.add(job.name, {
+      queue: job.queueName,
+      jobId: job.id,
+      name: job.name,
+      data: job.data,
+      failedReason: error?.message ?? job.failedReason,
+      stacktrace: job.stacktrace,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date(job.finishedOn).toISOString()
+    }, { jobId: id });
+    logger.warn('Job moved to the dead-letter queue', { deadLetterId: id, attemptsMade: job.attemptsMade, requestId: job.data?.requestId });
+  } catch (err) {
+    logger.error('Could not move job to the dead-letter queue', { deadLetterId: id, requestId: job.data?.requestId, err });
+  }
+}
+
+// Thrown by documentGuard when the document was deleted while its job ran; nothing is left to retry or report
+export class DocumentDeletedError extends UnrecoverableError {
+  constructor(documentId) {
+    super(`Document ${documentId} was deleted`);
+    this.name = 'DocumentDeletedError';
+  }
+}
+
+// Returns a check the processor runs before and between upsert batches: it throws DocumentDeletedError once
+// the document's registry entry is gone (DELETE /documents/:id removes it first). Jobs queued before document
+// ids existed have nothing to check.
+export function documentGuard(fileRegistry, type, { sessionId, documentId }) {
+  return async () => {
+    if (!documentId) return;
+    if (!await fileRegistry.get(type, sessionId, documentId)) throw new DocumentDeletedError(documentId);
+  };
+}
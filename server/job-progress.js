@@ -0,0 +1,122 @@
+// job-progress.js - fine-grained ingestion progress, pushed from the workers to the browser
+//
+// Workers call job.updateProgress() (via reportProgress); every server process listens with BullMQ QueueEvents
+// and fans the updates out to the SSE subscribers of the matching session, so it works behind cluster.js.
+import { QueueEvents } from "bullmq";
+import { logger } from "./logger.js";
+
+// Worker side: { stage, percent, message } plus the ids the server needs to route the update
+export async function reportProgress(job, stage, percent, message) {
+  const { sessionId, documentId } = job.data || {};
+  try {
+    await job.updateProgress({ sessionId, documentId, stage, percent: Math.round(percent), message });
+  } catch (err) {
+    // Progress is cosmetic; never fail an ingestion because of it
+    logger.warn('Could not report progress', { err });
+  }
+}
+
+// Chunks an earlier attempt of this job already stored (see saveCheckpoint); 0 if there was none or that
+// attempt chunked the file differently
+export function resumeFrom(job, chunkCount) {
+  const checkpoint = job.data?.checkpoint;
+  return checkpoint?.chunkCount === chunkCount ? Math.min(checkpoint.stored, chunkCount) : 0;
+}
+
+// Records in the job itself how many chunks are stored, so a retry of the job can skip them
+export async function saveCheckpoint(job, stored, chunkCount) {
+  try {
+    await job.updateData({ ...job.data, checkpoint: { chunkCount, stored } });
+  } catch (err) {
+    logger.warn('Could not save checkpoint', { err });
+  }
+}
+
+// Scales `done / total` into the [from, to] percent range of a stage
+export function stagePercent(from, to, done, total) {
+  return from + (to - from) * (total > 0 ? done / total : 1);
+}
+
+// Server side: subscribe(sessionId, send) -> unsubscribe, where send(event, data) is an SSE sender
+export function createProgressHub({ documentTypes, fileRegistry, connection }) {
+  const subscribers = new Map(); // sessionId -> Set<send>
+  const listeners = [];
+
+  function publish(sessionId, event, data) {
+    for (const send of subscribers.get(sessionId) || []) send(event, data);
+  }
+
+  // Final status comes from the registry, which the completion callback has updated by the time the job ends
+  async function publishFinalStatus(type, job) {
+    const { sessionId, documentId } = job?.data || {};
+    if (!sessionId || !documentId || !subscribers.has(sessionId)) return;
+
+    const doc = await fileRegistry.get(type, sessionId, documentId);
+    if (!doc) return;
+    publish(sessionId, 'document', {
+      id: documentId,
+      type,
+      filename: doc.filename,
+      status: doc.status,
+      chunkCount: doc.chunkCount ?? null,
+      error: doc.error ?? null
+    });
+  }
+
+  // QueueEvents block on XREAD and BullMQ refuses blocking clients with maxRetriesPerRequest set, which the
+  // shared client has; hand it the client's options instead so it opens a connection of its own
+  const eventsConnection = { ...connection.options, maxRetriesPerRequest: null };
+
+  for (const [type, { queue }] of Object.entries(documentTypes)) {
+    const events = new QueueEvents(queue.name, { connection: eventsConnection });
+    listeners.push(events);
+
+    events.on('progress', ({ data }) => {
+      if (!data?.sessionId || !data.documentId) return;
+      publish(data.sessionId, 'progress', {
+        id: data.documentId,
+        type,
+        stage: data.stage,
+        percent: data.percent,
+        message: data.message
+      });
+    });
+
+    for (const name of ['completed', 'failed']) {
+      events.on(name, async ({ jobId }) => {
+        try {
+          const job = await queue.getJob(jobId);
+          await publishFinalStatus(type, job);
+        } catch (err) {
+          logger.warn(`Could not publish ${name} status`, { jobId, queue: queue.name, err });
+        }
+      });
+    }
+
+    events.on('error', err => logger.error('QueueEvents error', { queue: queue.name, err }));
+  }
+
+  return {
+    subscribe(sessionId, send) {
+      if (!subscribers.has(sessionId)) subscribers.set(sessionId, new Set());
+      subscribers.get(sessionId).add(send);
+
+      return () => {
+        const set = subscribers.get(sessionId);
+        set?.delete(send);
+        if (set?.size === 0) subscribers.delete(sessionId);
+      };
+    },
+
+    close() {
+      return Promise.all(listeners.map(events => events.close()));
+    }
+  };
+}
+
+// Latest reported progress of a document's job, or null if it has none
+export async function currentProgress(queue, jobId) {
+  if (!jobId) return null;
+  const job = await queue.getJob(jobId);
+  return job && typeof job.progress === 'object' ? job.progress : null;
+}
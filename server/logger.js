@@ -0,0 +1,118 @@
+// logger.js - structured logging, one JSON object per line on stdout
+//
+// LOG_LEVEL (debug, info, warn, error; default info) sets the minimum level, LOG_FORMAT=pretty prints
+// readable lines for local development instead. Every line carries the fields of the current context
+// (see withContext): the server opens one per request with its requestId, which travels in the job data to the
+// worker and back in the completion callback's X-Request-Id header, so one upload can be followed end to end.
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import { basename } from "path";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+// Incoming ids are reused only when they look like ids, anything else gets a fresh one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const REQUEST_ID_HEADER = 'x-request-id';
+
+const context = new AsyncLocalStorage();
+
+export const currentContext = () => context.getStore() || {};
+
+// Runs fn with fields added to the current context
+export function withContext(fields, fn) {
+  return context.run({ ...currentContext(), ...fields }, fn);
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.status !== undefined && { status: err.status }),
+    stack: err.stack
+  };
+}
+
+// `fields` may be an Error, or hold one under `err`
+function normalize(fields) {
+  if (!fields) return {};
+  if (fields instanceof Error) return { err: serializeError(fields) };
+  if (fields.err instanceof Error) return { ...fields, err: serializeError(fields.err) };
+  return fields;
+}
+
+function format(entry) {
+  if (!PRETTY) return JSON.stringify(entry);
+  const { time, level, service, msg, err, ...rest } = entry;
+  const extra = Object.entries(rest)
+    .filter(([key, value]) => key !== 'pid' && value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  const line = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${service}] ${msg}${extra ? ` ${extra}` : ''}`;
+  return err ? `${line}\n${err.stack || err.message}` : line;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = { time: new Date().toISOString(), level, ...bindings, msg, ...currentContext(), ...normalize(fields) };
+  process.stdout.write(`${format(entry)}\n`);
+}
+
+// log.info(msg, fields?) etc.; child(bindings) adds fixed fields
+export function createLogger(bindings = {}) {
+  const log = { child: (more) => createLogger({ ...bindings, ...more }) };
+  for (const level of Object.keys(LEVELS)) {
+    log[level] = (msg, fields) => write(level, bindings, msg, fields);
+  }
+  return log;
+}
+
+// Cluster children are named by WORKER_TYPE, processes started directly by their script
+export const logger = createLogger({
+  service: process.env.WORKER_TYPE || basename(process.argv[1] || 'node', '.js'),
+  pid: process.pid
+});
+
+// Express middleware, first in the chain: assigns the requestId (echoed in X-Request-Id), opens the request's
+// context and writes an access log line once the response is done (or the client went away)
+export function requestContext({ quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const incoming = req.headers[REQUEST_ID_HEADER];
+    req.requestId = REQUEST_ID_PATTERN.test(incoming || '') ? incoming : randomUUID();
+    res.set('X-Request-Id', req.requestId);
+
+    const started = process.hrtime.bigint();
+    res.on('close', () => {
+      const level = quietPaths.includes(req.path) ? 'debug' : res.statusCode >= 500 ? 'warn' : 'info';
+      logger[level]('Request handled', {
+        requestId: req.requestId,
+        method: req.method,
+        path: req.path,
+        route: req.route?.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+        userId: req.auth?.userId
+      });
+    });
+
+    withContext({ requestId: req.requestId }, next);
+  };
+}
+
+// Middleware that parses the body from stream events (multer) calls next outside the request's context;
+// wrapping them restores it for the handlers that follow
+export function keepRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, (err) => withContext({ requestId: req.requestId }, () => next(err)));
+}
+
+// BullMQ processor wrapper: everything the job logs carries its id, queue and the requestId it was queued under
+export function withJobContext(processor) {
+  return (job, token) => withContext({
+    requestId: job.data?.requestId,
+    jobId: job.id,
+    queue: job.queueName,
+    documentId: job.data?.documentId
+  }, () => processor(job, token));
+}
@@ -0,0 +1,120 @@
+// metrics.js - Prometheus metrics for GET /metrics (text exposition format, no client library needed)
+//
+// Values live in the process that records them: the server covers HTTP traffic, retrieval and LLM calls, and
+// ingestion jobs from the workers' completion callbacks (callbackStatus in index.js, once per job), so the queue
+// workers need no endpoint of their own.
+// Gauges that are cheaper to read than to track (queue depth) are filled in by collectors right before each scrape.
+
+const registry = new Map(); // name -> metric
+const collectors = [];
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const JOB_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+const labelKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+function renderLabels(labelNames, key, extra = {}) {
+  const values = JSON.parse(key);
+  const pairs = labelNames.map((name, i) => [name, values[i]]).concat(Object.entries(extra));
+  if (pairs.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function register(metric) {
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name, help, type: 'counter',
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) ?? 0) + amount);
+    },
+    render: () => [...values].map(([key, value]) => `${name}${renderLabels(labelNames, key)} ${value}`)
+  });
+}
+
+export function gauge(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name, help, type: 'gauge',
+    set(labels, value) {
+      values.set(labelKey(labelNames, labels), value);
+    },
+    render: () => [...values].map(([key, value]) => `${name}${renderLabels(labelNames, key)} ${value}`)
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map(); // key -> { counts, sum, count }
+
+  function observe(labels, value) {
+    const key = labelKey(labelNames, labels);
+    if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+    const entry = series.get(key);
+    buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  return register({
+    name, help, type: 'histogram',
+    observe,
+    // -> stop(extraLabels?), which observes the seconds since startTimer
+    startTimer(labels) {
+      const started = process.hrtime.bigint();
+      return (extra = {}) => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - started) / 1e9);
+    },
+    render: () => [...series].flatMap(([key, { counts, sum, count }]) => [
+      ...buckets.map((bound, i) => `${name}_bucket${renderLabels(labelNames, key, { le: bound })} ${counts[i]}`),
+      `${name}_bucket${renderLabels(labelNames, key, { le: '+Inf' })} ${count}`,
+      `${name}_sum${renderLabels(labelNames, key)} ${sum}`,
+      `${name}_count${renderLabels(labelNames, key)} ${count}`
+    ])
+  });
+}
+
+const scrapeErrors = counter('metrics_collector_errors_total', 'Collectors that failed during a scrape', ['collector']);
+
+// fn runs before every scrape; a failing collector is counted and its gauges keep their last values
+export function addCollector(fn) {
+  collectors.push(fn);
+}
+
+export async function renderMetrics() {
+  await Promise.all(collectors.map(fn => fn().catch(() => {
+    scrapeErrors.inc({ collector: fn.name || 'anonymous' });
+  })));
+  return [...registry.values()]
+    .flatMap(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()])
+    .join('\n') + '\n';
+}
+
+export const httpRequests = counter('http_requests_total', 'HTTP requests by route and status code', ['method', 'route', 'status']);
+export const httpDuration = histogram('http_request_duration_seconds', 'HTTP request duration', ['method', 'route']);
+
+export const queueJobs = gauge('queue_jobs', 'Jobs per queue and state', ['queue', 'state']);
+export const jobsFinished = counter('jobs_finished_total', 'Ingestion jobs that completed or failed for good', ['queue', 'outcome']);
+export const jobRetries = counter('job_retries_total', 'Ingestion attempts that failed and will be retried', ['type']);
+export const jobDuration = histogram('job_duration_seconds', 'Processing time of the final attempt of finished jobs', ['queue', 'outcome'], JOB_BUCKETS);
+
+export const retrievalDuration = histogram('retrieval_duration_seconds', 'Query embedding, search, reranking and neighbour expansion per chat request', ['mode']);
+export const llmDuration = histogram('llm_request_duration_seconds', 'LLM call duration', ['provider', 'model', 'operation', 'outcome']);
+export const llmTokens = counter('llm_tokens_total', 'LLM tokens by direction (reported by the provider, estimated otherwise)', ['provider', 'model', 'kind']);
+
+// Express middleware: request counts and durations labelled by route pattern, never the raw URL
+export function httpMetrics() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('close', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
@@ -0,0 +1,84 @@
+// ocr.js - text for PDF pages without a usable text layer (scanned documents)
+//
+// Pages are rendered with poppler's pdftoppm (PDFTOPPM_PATH / PDFINFO_PATH, default on PATH) and read with
+// Tesseract.js. Language data for OCR_LANGUAGES (default eng) is downloaded once into OCR_CACHE_PATH; point
+// OCR_LANG_PATH at a directory holding <lang>.traineddata.gz to run fully offline. PDF_OCR=off disables OCR.
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createWorker } from "tesseract.js";
+import { runBinary, assertBinaries } from "./exec.js";
+import { logger } from "./logger.js";
+
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const PDFINFO_PATH = process.env.PDFINFO_PATH || 'pdfinfo';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+const OCR_DPI = Number(process.env.OCR_DPI ?? 200);
+
+export const OCR_ENABLED = process.env.PDF_OCR !== 'off';
+
+// Pages with less extractable text than this are treated as scanned (override with OCR_MIN_CHARS)
+export const OCR_MIN_CHARS = Number(process.env.OCR_MIN_CHARS ?? 20);
+
+// Run by the PDF worker at startup: OCR can't work without poppler, so it refuses to start rather than
+// index scanned PDFs as empty
+export async function assertOcrAvailable() {
+  if (!OCR_ENABLED) return;
+  await assertBinaries([PDFTOPPM_PATH, PDFINFO_PATH],
+    'install poppler-utils (see Dockerfile), set PDFTOPPM_PATH / PDFINFO_PATH, or disable OCR with PDF_OCR=off');
+}
+
+export async function countPdfPages(path) {
+  const output = await runBinary(PDFINFO_PATH, [path]);
+  const match = output.match(/^Pages:\s+(\d+)/m);
+  if (!match) throw new Error(`Could not read page count of ${path}`);
+  return Number(match[1]);
+}
+
+// One page as a grayscale PNG, the input Tesseract does best with
+async function renderPage(pdfPath, pageNumber, dir) {
+  const prefix = join(dir, `page-${pageNumber}`);
+  await runBinary(PDFTOPPM_PATH, [
+    '-r', String(OCR_DPI),
+    '-gray', '-png', '-singlefile',
+    '-f', String(pageNumber),
+    '-l', String(pageNumber),
+    pdfPath,
+    prefix
+  ]);
+  return `${prefix}.png`;
+}
+
+// pageNumber -> recognized text ('' if a page could not be read); onProgress(done, total) after each page.
+// Pages are read one at a time, OCR is CPU-bound and the worker already runs one job at a time.
+export async function ocrPdfPages(pdfPath, pageNumbers, { onProgress } = {}) {
+  const texts = new Map();
+  if (pageNumbers.length === 0) return texts;
+
+  let workDir = null;
+  let worker = null;
+  try {
+    workDir = await mkdtemp(join(tmpdir(), 'ocr-'));
+    worker = await createWorker(OCR_LANGUAGES, undefined, {
+      cachePath: process.env.OCR_CACHE_PATH || tmpdir(),
+      ...(process.env.OCR_LANG_PATH ? { langPath: process.env.OCR_LANG_PATH } : {})
+    });
+
+    for (const [i, pageNumber] of pageNumbers.entries()) {
+      try {
+        const image = await renderPage(pdfPath, pageNumber, workDir);
+        const { data } = await worker.recognize(image);
+        texts.set(pageNumber, data.text.trim());
+      } catch (err) {
+        logger.warn('OCR failed for page', { pageNumber, err });
+        texts.set(pageNumber, '');
+      }
+      await onProgress?.(i + 1, pageNumbers.length);
+    }
+  } finally {
+    // createWorker fails when the language data can't be downloaded; the directory still goes
+    await worker?.terminate();
+    if (workDir) await rm(workDir, { recursive: true, force: true });
+  }
+  return texts;
+}
@@ -1,56 +1,164 @@
 // pdf-worker.js
-import { Worker } from "bullmq";
-import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
-import { QdrantVectorStore } from "@langchain/qdrant";
-import { CharacterTextSplitter } from "@langchain/textsplitters";
+import { Worker, UnrecoverableError } from "bullmq";
+import IORedis from "ioredis";
 import { QdrantClient } from "@qdrant/js-client-rest";
 import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
-import { writeFile, unlink } from "fs/promises";
+import { Document } from "@langchain/core/documents";
+import { writeFile } from "fs/promises";
 import 'dotenv/config';
+import { ensureCollection, upsertDocuments, deleteDocumentPoints } from "./qdrant.js";
+import { createEmbeddings, assertEmbeddingDimension } from "./providers.js";
+import { createBlobStore, downloadBlob, createTempPath, removeTempPath, BLOB_RETENTION } from "./blob-store.js";
+import { sendSignedCallback } from "./callback-auth.js";
+import { reportProgress, stagePercent, resumeFrom, saveCheckpoint } from "./job-progress.js";
+import { createEmbeddingService } from "./embeddings.js";
+import { attemptInfo, createDeadLetterQueue, moveToDeadLetter, documentGuard, DocumentDeletedError } from "./job-policy.js";
+import { createFileRegistry } from "./file-registry.js";
+import { OCR_ENABLED, OCR_MIN_CHARS, countPdfPages, ocrPdfPages, assertOcrAvailable } from "./ocr.js";
+import { startHeartbeat } from "./health.js";
+import { onShutdown } from "./shutdown.js";
+import { logger, withJobContext } from "./logger.js";
+import { chunkDocuments } from "./chunking.js";
 
-// Helper to notify server
-async function notifyServerComplete(sessionId, filename, status = 'ready') {
-  const serverUrl = process.env.SERVER_URL;
+// Helper to notify server (signed with CALLBACK_SECRET)
+// `details` is { pageCount, ocrPageCount, unreadablePageCount } once the PDF has been read,
+// or { attempt, maxAttempts, error } when an attempt failed; both with the attempt's durationMs for /metrics
+async function notifyServerComplete(sessionId, documentId, filename, status = 'ready', chunkCount = null, details = {}) {
   try {
-    await fetch(`${serverUrl}/pdf/complete`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ sessionId, filename, status })
-    });
-    console.log('Notified server of PDF completion for', filename);
+    await sendSignedCallback('/pdf/complete', { sessionId, documentId, filename, status, chunkCount, ...details });
+    logger.info('Notified server of PDF completion', { filename, status });
   } catch (err) {
-    console.error('Failed to notify server of PDF completion:', err);
+    logger.error('Failed to notify server of PDF completion', { filename, err });
   }
 }
 
+// Shared by the BullMQ worker, the embedding cache and the heartbeat
+const connection = {
+  host: process.env.REDIS_HOST,
+  port: Number(process.env.REDIS_PORT),
+  username: process.env.REDIS_USERNAME,
+  password: process.env.REDIS_PASSWORD,
+  tls: {} // Upstash requires TLS
+};
+const redis = new IORedis(connection);
+
+// Jobs out of attempts are parked here for the admin routes
+const deadLetterQueue = createDeadLetterQueue(connection);
+
+// Embedding backend from EMBEDDING_PROVIDER; the HuggingFace default keeps using the worker's own key.
+// Batched, retried on rate limits and cached in Redis (see embeddings.js)
+const embeddings = createEmbeddingService(createEmbeddings({ apiKey: process.env.HUGGINGFACEHUB_AUDIO_KEY }), {
+  redis
+});
+const blobStore = createBlobStore();
+const fileRegistry = createFileRegistry(redis);
+
+const qClient = new QdrantClient({
+  url: process.env.QDRANT_URL,
+  apiKey: process.env.QDRANT_API_KEY
+});
+const collectionName = 'pdf-docs';
+
+// Page documents with OCR text filled in for pages whose text layer is missing or nearly empty.
+// OCR text replaces the extracted text when it is longer (it covers the whole rendered page) and
+// marks the page `ocr: true`; pages that end up with no text at all are dropped as unreadable.
+async function readPages(pdfPath, docs, { onOcrProgress }) {
+  const pageCount = docs[0]?.metadata.pdf?.totalPages ?? await countPdfPages(pdfPath).catch(() => 0);
+  const byPage = new Map(docs.map(doc => [doc.metadata.loc?.pageNumber, doc]));
+
+  const textOf = (pageNumber) => byPage.get(pageNumber)?.pageContent.trim() || '';
+  const needsOcr = [];
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    if (textOf(pageNumber).length < OCR_MIN_CHARS) needsOcr.push(pageNumber);
+  }
+
+  let ocrTexts = new Map();
+  if (OCR_ENABLED && needsOcr.length > 0) {
+    logger.info('Running OCR on pages without a text layer', { pages: needsOcr.length, pageCount });
+    try {
+      ocrTexts = await ocrPdfPages(pdfPath, needsOcr, { onProgress: onOcrProgress });
+    } catch (err) {
+      // e.g. language data can't be downloaded; index whatever text the PDF has
+      logger.warn('OCR unavailable, continuing with extracted text only', { err });
+    }
+  }
+
+  const pages = [];
+  let ocrPageCount = 0;
+  let unreadablePageCount = 0;
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const extracted = textOf(pageNumber);
+    const ocrText = ocrTexts.get(pageNumber) || '';
+
+    if (ocrText.length > extracted.length) {
+      ocrPageCount++;
+      pages.push(new Document({
+        pageContent: ocrText,
+        metadata: {
+          ...(byPage.get(pageNumber)?.metadata || { pdf: docs[0]?.metadata.pdf, loc: { pageNumber } }),
+          ocr: true
+        }
+      }));
+    } else if (extracted) {
+      pages.push(byPage.get(pageNumber));
+    } else {
+      unreadablePageCount++;
+    }
+  }
+
+  return { pages, pageCount, ocrPageCount, unreadablePageCount, ocrAttempted: ocrTexts.size > 0 };
+}
+
+// Missing poppler fails here, before the worker takes any job
+try {
+  await assertOcrAvailable();
+} catch (err) {
+  logger.error('PDF worker cannot start', { err });
+  process.exit(1);
+}
+
 const worker = new Worker(
   "file-upload-queue",
-  async (job) => {
+  withJobContext(async (job) => {
     let tempPath = null;
     try {
       // console.log("PDF job received:", job.data);
       const data = typeof job.data === "string" ? JSON.parse(job.data) : job.data;
       // console.log("Parsed PDF data:", data);
-      const { sessionId, filename, base64Data } = data;
+      const { sessionId, documentId, filename, blobKey, base64Data } = data;
 
-      if (!base64Data) {
-        throw new Error('No PDF data received');
+      if (!blobKey && !base64Data) {
+        throw new UnrecoverableError('No PDF data received');
       }
 
-      // Convert base64 to buffer and save temporarily
-      const fileBuffer = Buffer.from(base64Data, 'base64');
-      tempPath = `/tmp/${Date.now()}-${filename}`;
-      await writeFile(tempPath, fileBuffer);
-      console.log("Saved PDF to temporary file:", tempPath);
+      // Fetch the upload from blob storage (jobs queued before blob storage carry base64 data)
+      tempPath = await createTempPath(filename);
+      if (blobKey) {
+        await downloadBlob(blobStore, blobKey, tempPath);
+      } else {
+        await writeFile(tempPath, Buffer.from(base64Data, 'base64'));
+      }
+      logger.debug('Saved PDF to temporary file', { path: tempPath });
+      await reportProgress(job, 'downloaded', 5, 'File received');
 
-      // 1️⃣ Load PDF document
+      // 1️⃣ Load PDF document, falling back to OCR for scanned pages
       const loader = new PDFLoader(tempPath);
-      const docs = await loader.load();
+      const { pages: docs, ocrAttempted, ...pageStats } = await readPages(tempPath, await loader.load(), {
+        onOcrProgress: (done, total) => reportProgress(job, 'ocr', stagePercent(20, 50, done, total), `OCR ${done}/${total} pages`)
+      });
       // console.log(`Loaded ${docs.length} pages from PDF`);
 
       if (docs.length === 0) {
-        throw new Error('PDF is empty or could not be read');
+        throw new UnrecoverableError(pageStats.pageCount === 0
+          ? 'PDF is empty or could not be read'
+          : `None of the ${pageStats.pageCount} pages has readable text${OCR_ENABLED ? ', even after OCR' : ''}`);
+      }
+      if (pageStats.unreadablePageCount > 0) {
+        logger.warn('Pages without readable text', { unreadable: pageStats.unreadablePageCount, pageCount: pageStats.pageCount });
       }
+      // Embedding progress starts after OCR when it ran
+      const embedFrom = ocrAttempted ? 55 : 25;
+      await reportProgress(job, 'parsed', ocrAttempted ? 50 : 20, `Parsed ${docs.length} pages${pageStats.ocrPageCount ? ` (${pageStats.ocrPageCount} with OCR)` : ''}`);
 
       // 2️⃣ Add session ID to metadata for each document
       docs.forEach(doc => {
@@ -59,17 +167,14 @@ const worker = new Worker(
           source: filename,
           type: 'pdf',
           sessionId: sessionId,
+          documentId: documentId,
           processedAt: new Date().toISOString()
         };
       });
 
-      // 3️⃣ Split documents into chunks
-      const splitter = new CharacterTextSplitter({ 
-        chunkSize: 1000, 
-        chunkOverlap: 200 
-      });
-      
-      const splitDocs = await splitter.splitDocuments(docs);
+      // 3️⃣ Split pages into chunks, starting new chunks at detected headings
+      const splitDocs = chunkDocuments(docs, { detectHeadings: true });
+      await reportProgress(job, 'chunked', embedFrom, `Split into ${splitDocs.length} chunks`);
       // console.log(`Split PDF into ${splitDocs.length} chunks.`);
 
       // console.log('PDF document metadata:', splitDocs.map(doc => ({
@@ -77,56 +182,58 @@ const worker = new Worker(
       //   metadata: doc.metadata
       // })));
 
-      // 4️⃣ Initialize Qdrant
-      const qClient = new QdrantClient({ 
-        url: process.env.QDRANT_URL,
-        apiKey: process.env.QDRANT_API_KEY
-      });
-      
-      const collectionName = 'pdf-docs';
-      try {
-        await qClient.getCollection(collectionName);
-        console.log('PDF Qdrant collection exists');
-      } catch (err) {
-        if (err.status === 404) {
-          await qClient.createCollection(collectionName, { 
-            vectors: { size: 768, distance: 'Cosine' } 
-          });
-          console.log('Created PDF Qdrant collection');
-        } else {
-          throw err;
-        }
-      }
+      // Stops here, between batches and before reporting back once the document has been deleted
+      const assertNotDeleted = documentGuard(fileRegistry, 'pdf', { sessionId, documentId });
+      await assertNotDeleted();
+      await ensureCollection(qClient, collectionName);
 
       // 5️⃣ Add documents to Qdrant
-      const embeddings = new HuggingFaceInferenceEmbeddings({
-        apiKey: process.env.HUGGINGFACEHUB_AUDIO_KEY,
-        model: "BAAI/bge-base-en-v1.5",
-      });
+      await assertEmbeddingDimension(embeddings);
 
-      const vectorStore = await QdrantVectorStore.fromExistingCollection(embeddings, {
-        client: qClient,
-        collectionName,
+      // Dense embedding plus BM25 keyword vector per chunk, for hybrid retrieval; a retried job
+      // continues after the last batch its previous attempt stored
+      await upsertDocuments(qClient, collectionName, embeddings, splitDocs, {
+        startAt: resumeFrom(job, splitDocs.length),
+        onProgress: async (done, total) => {
+          await assertNotDeleted();
+          await saveCheckpoint(job, done, total);
+          await reportProgress(job, 'embedding', stagePercent(embedFrom, 95, done, total), `Embedded ${done}/${total} chunks`);
+        }
       });
-
-      await vectorStore.addDocuments(splitDocs);
+      await assertNotDeleted();
       // console.log(`All ${splitDocs.length} PDF chunks added to Qdrant!`);
 
       // 6️⃣ Notify server that processing is done
-      await notifyServerComplete(sessionId, filename, 'ready');
+      await reportProgress(job, 'indexed', 100, 'Ready for chatting');
+      await notifyServerComplete(sessionId, documentId, filename, 'ready', splitDocs.length, { ...pageStats, durationMs: Date.now() - job.processedOn });
+
+      // Ingested: the original is no longer needed unless kept for re-indexing
+      if (blobKey && BLOB_RETENTION === 'delete') {
+        await blobStore.remove(blobKey).catch(err => logger.warn('Could not remove blob', { blobKey, err }));
+      }
 
     } catch (error) {
-      console.error("PDF worker failed:", error.message);
+      // Deleted while processing: the delete already removed what was stored before it, this removes the rest.
+      // The job completes without a callback, retry or dead-letter entry.
+      if (error instanceof DocumentDeletedError) {
+        const { sessionId, documentId } = job.data;
+        await deleteDocumentPoints(qClient, collectionName, { sessionId, documentId })
+          .catch(err => logger.warn('Could not remove points of deleted document', { documentId, err }));
+        logger.info('PDF document deleted during processing, job dropped', { documentId });
+        return;
+      }
+      logger.warn('PDF job attempt failed', { err: error });
       
-      // Notify server of failure
+      // Notify server of failure, or that another attempt follows
       if (job.data) {
         const data = typeof job.data === "string" ? JSON.parse(job.data) : job.data;
-        const sessionId = data.sessionId;
-        const filename = data.filename;
+        const { sessionId, documentId, filename } = data;
+        const { attempt, maxAttempts, final } = attemptInfo(job, error);
         
         if (sessionId && filename) {
-          await notifyServerComplete(sessionId, filename, 'failed');
+          await notifyServerComplete(sessionId, documentId, filename, final ? 'failed' : 'retrying', null, { attempt, maxAttempts, error: error.message, durationMs: Date.now() - job.processedOn });
         }
+        if (!final) await reportProgress(job, 'retrying', 0, `Retrying (${attempt + 1}/${maxAttempts}): ${error.message}`);
       }
       
       throw error; // let BullMQ handle retries
@@ -134,37 +241,42 @@ const worker = new Worker(
       // Clean up temporary file
       if (tempPath) {
         try {
-          await unlink(tempPath);
-          console.log('Cleaned up temporary PDF file:', tempPath);
-        } catch (unlinkErr) {
-          console.warn('Could not delete temporary PDF file:', unlinkErr.message);
+          await removeTempPath(tempPath);
+          logger.debug('Cleaned up temporary PDF file', { path: tempPath });
+        } catch (removeErr) {
+          logger.warn('Could not delete temporary PDF file', { path: tempPath, err: removeErr });
         }
       }
     }
-  },
+  }),
   {
     concurrency: 1,
-    connection: { 
-      host: process.env.REDIS_HOST,
-      port: Number(process.env.REDIS_PORT),
-      username: process.env.REDIS_USERNAME,
-      password: process.env.REDIS_PASSWORD,
-      tls: {} // Upstash requires TLS
-    }
+    connection
   }
 );
 
 // Add event listeners for better monitoring
 worker.on('failed', (job, err) => {
-  console.error(`PDF Job ${job?.id} failed:`, err.message);
+  logger.error('PDF job failed', { jobId: job?.id, attemptsMade: job?.attemptsMade, requestId: job?.data?.requestId, err });
+  moveToDeadLetter(deadLetterQueue, job, err);
 });
 
 worker.on('completed', (job) => {
-  console.log(`PDF Job ${job.id} completed successfully`);
+  logger.info('PDF job completed', { jobId: job.id, requestId: job.data?.requestId });
 });
 
 worker.on('error', (err) => {
-  console.error('PDF Worker error:', err);
+  logger.error('PDF worker error', { err });
 });
 
-console.log("PDF worker started...");
\ No newline at end of file
+// Lets GET /readyz see that this queue is being served
+const stopHeartbeat = startHeartbeat(redis, worker.name);
+
+// Drop out of /readyz first, then worker.close() stops taking jobs and waits for the one in flight
+onShutdown('PDF worker', [
+  ['heartbeat', stopHeartbeat],
+  ['worker', () => worker.close()],
+  ['redis', () => Promise.all([deadLetterQueue.close(), redis.quit()])]
+]);
+
+logger.info('PDF worker started');
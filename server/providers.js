@@ -0,0 +1,358 @@
+// providers.js - chat, embedding and transcription backends chosen by environment, shared by the server and workers
+//
+//   CHAT_PROVIDER / EMBEDDING_PROVIDER / TRANSCRIPTION_PROVIDER:
+//     gemini (chat only), huggingface (embeddings, transcription), openai, openai-compatible, local
+//   CHAT_MODEL / EMBEDDING_MODEL / TRANSCRIPTION_MODEL override the provider's default model
+//   OPENAI_API_KEY, OPENAI_BASE_URL (openai-compatible, e.g. Ollama at http://localhost:11434/v1)
+//
+//   DIARIZATION_PROVIDER: none (default), http (DIARIZATION_URL, optional DIARIZATION_API_KEY), local
+//
+//   RERANK_PROVIDER (RERANKER=cross-encoder): huggingface (default), local; RERANK_MODEL overrides the model,
+//   RERANK_CONCURRENCY (default 4) caps the scoring calls in flight per query
+//
+// `local` needs no network at all (synthetic embeddings, canned answers) so the pipeline can run in tests.
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
+import { InferenceClient } from "@huggingface/inference";
+import { FakeListChatModel, SyntheticEmbeddings } from "@langchain/core/utils/testing";
+import { VECTOR_CONFIG } from "./qdrant.js";
+import { tokenize } from "./bm25.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { logger } from "./logger.js";
+
+const CHAT_PROVIDERS = ['gemini', 'openai', 'openai-compatible', 'local'];
+const EMBEDDING_PROVIDERS = ['huggingface', 'openai', 'openai-compatible', 'local'];
+const TRANSCRIPTION_PROVIDERS = ['huggingface', 'openai', 'openai-compatible', 'local'];
+const DIARIZATION_PROVIDERS = ['none', 'http', 'local'];
+const RERANK_PROVIDERS = ['huggingface', 'local'];
+
+const RERANK_CONCURRENCY = Number(process.env.RERANK_CONCURRENCY ?? 4);
+
+const DEFAULT_MODELS = {
+  chat: { gemini: 'gemini-2.0-flash', openai: 'gpt-4o-mini', 'openai-compatible': 'llama3.1', local: 'local' },
+  embedding: { huggingface: 'BAAI/bge-base-en-v1.5', openai: 'text-embedding-3-small', 'openai-compatible': 'nomic-embed-text', local: 'local' },
+  transcription: { huggingface: 'openai/whisper-large-v3', openai: 'whisper-1', 'openai-compatible': 'whisper-1', local: 'local' },
+  rerank: { huggingface: 'BAAI/bge-reranker-base', local: 'local' }
+};
+
+function pickProvider(envVar, allowed, fallback) {
+  const provider = process.env[envVar] || fallback;
+  if (!allowed.includes(provider)) {
+    throw new Error(`${envVar}=${provider} is not supported, use one of: ${allowed.join(', ')}`);
+  }
+  return provider;
+}
+
+// Base URL and key for OpenAI itself or any server speaking its API (Ollama, vLLM, LM Studio...)
+function openAIConfiguration(provider) {
+  if (provider === 'openai-compatible' && !process.env.OPENAI_BASE_URL) {
+    throw new Error('OPENAI_BASE_URL is required for the openai-compatible provider');
+  }
+  return {
+    apiKey: process.env.OPENAI_API_KEY || 'not-needed', // local servers usually ignore the key
+    baseURL: provider === 'openai-compatible' ? process.env.OPENAI_BASE_URL : undefined
+  };
+}
+
+export function getProviderConfig() {
+  const chat = pickProvider('CHAT_PROVIDER', CHAT_PROVIDERS, 'gemini');
+  const embedding = pickProvider('EMBEDDING_PROVIDER', EMBEDDING_PROVIDERS, 'huggingface');
+  const transcription = pickProvider('TRANSCRIPTION_PROVIDER', TRANSCRIPTION_PROVIDERS, 'huggingface');
+  const diarization = pickProvider('DIARIZATION_PROVIDER', DIARIZATION_PROVIDERS, 'none');
+  const rerank = pickProvider('RERANK_PROVIDER', RERANK_PROVIDERS, 'huggingface');
+  return {
+    chat: { provider: chat, model: process.env.CHAT_MODEL || DEFAULT_MODELS.chat[chat] },
+    embedding: { provider: embedding, model: process.env.EMBEDDING_MODEL || DEFAULT_MODELS.embedding[embedding] },
+    transcription: { provider: transcription, model: process.env.TRANSCRIPTION_MODEL || DEFAULT_MODELS.transcription[transcription] },
+    diarization: { provider: diarization },
+    rerank: { provider: rerank, model: process.env.RERANK_MODEL || DEFAULT_MODELS.rerank[rerank] }
+  };
+}
+
+export function createChatModel({ maxTokens = 2000, temperature = 0.1 } = {}) {
+  const { provider, model } = getProviderConfig().chat;
+
+  switch (provider) {
+    case 'gemini':
+      return new ChatGoogleGenerativeAI({
+        model,
+        apiKey: process.env.GOOGLE_API_KEY,
+        maxTokens,
+        temperature,
+      });
+    case 'openai':
+    case 'openai-compatible': {
+      const { apiKey, baseURL } = openAIConfiguration(provider);
+      return new ChatOpenAI({
+        model,
+        apiKey,
+        maxTokens,
+        temperature,
+        configuration: baseURL ? { baseURL } : undefined,
+      });
+    }
+    default:
+      return new FakeListChatModel({
+        responses: [process.env.LOCAL_CHAT_RESPONSE || 'This is a local test answer based on the provided context [1].']
+      });
+  }
+}
+
+// `apiKey` lets the workers keep using their own HuggingFace key
+export function createEmbeddings({ apiKey } = {}) {
+  const { provider, model } = getProviderConfig().embedding;
+
+  switch (provider) {
+    case 'huggingface':
+      return new HuggingFaceInferenceEmbeddings({
+        apiKey: apiKey || process.env.HUGGINGFACEHUB_API_TOKEN,
+        model,
+      });
+    case 'openai':
+    case 'openai-compatible': {
+      const { apiKey: openAIKey, baseURL } = openAIConfiguration(provider);
+      return new OpenAIEmbeddings({
+        model,
+        apiKey: openAIKey,
+        // text-embedding-3-* can be shortened to the collection size; other models must already match
+        dimensions: model.startsWith('text-embedding-3') ? VECTOR_CONFIG.size : undefined,
+        configuration: baseURL ? { baseURL } : undefined,
+      });
+    }
+    default:
+      return new SyntheticEmbeddings({ vectorSize: VECTOR_CONFIG.size });
+  }
+}
+
+// Embeddings instances that already passed the dimension check
+const checkedEmbeddings = new WeakSet();
+
+// The Qdrant collections are created with 768-dim vectors; a mismatching model would fail every upsert
+export async function assertEmbeddingDimension(embeddings) {
+  if (checkedEmbeddings.has(embeddings)) return VECTOR_CONFIG.size;
+
+  const vector = await embeddings.embedQuery('dimension check');
+  if (vector.length !== VECTOR_CONFIG.size) {
+    const { provider, model } = getProviderConfig().embedding;
+    throw new Error(
+      `Embedding model ${provider}/${model} returns ${vector.length}-dimensional vectors, ` +
+      `but the collections expect ${VECTOR_CONFIG.size}. Choose a ${VECTOR_CONFIG.size}-dimensional model.`
+    );
+  }
+  checkedEmbeddings.add(embeddings);
+  return vector.length;
+}
+
+// [{ start, end, text }] with empty segments dropped; end may be null when the provider doesn't report it
+function normalizeSegments(segments) {
+  return (segments || [])
+    .map(({ start, end, text }) => ({
+      start: Number(start) || 0,
+      end: Number.isFinite(Number(end)) && end !== null ? Number(end) : null,
+      text: (text || '').trim()
+    }))
+    .filter(segment => segment.text);
+}
+
+// HuggingFace Whisper over the raw inference API, waiting out cold starts (503) and retrying with backoff
+async function transcribeWithHuggingFace(model, audioBlob, { apiKey, maxRetries }) {
+  const API_URL = `https://api-inference.huggingface.co/models/${model}`;
+  const headers = {
+    "Authorization": `Bearer ${apiKey || process.env.HUGGINGFACEHUB_AUDIO_KEY}`,
+    "Content-Type": "application/json"
+  };
+  // JSON body so segment timestamps can be requested
+  const body = JSON.stringify({
+    inputs: Buffer.from(await audioBlob.arrayBuffer()).toString('base64'),
+    parameters: { return_timestamps: true }
+  });
+
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      logger.debug('Transcription attempt', { attempt, model });
+
+      const response = await fetch(API_URL, {
+        method: "POST",
+        headers: headers,
+        body,
+      });
+
+      if (!response.ok) {
+        if (response.status === 503) {
+          // Model is loading, wait and retry
+          const result = await response.json();
+          const waitTime = result.estimated_time || 10;
+          logger.info('Transcription model loading, waiting', { waitSeconds: waitTime });
+          await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+          continue;
+        }
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const result = await response.json();
+
+      if (result.error) {
+        throw new Error(result.error);
+      }
+
+      if (result.text) {
+        const segments = (result.chunks || []).map(chunk => ({
+          start: chunk.timestamp?.[0],
+          end: chunk.timestamp?.[1],
+          text: chunk.text
+        }));
+        return { text: result.text, segments: normalizeSegments(segments) };
+      } else {
+        throw new Error('Transcription returned empty text');
+      }
+
+    } catch (error) {
+      lastError = error;
+      logger.warn('Transcription attempt failed', { attempt, err: error });
+
+      if (attempt < maxRetries) {
+        const delay = Math.pow(2, attempt) * 1000;
+        logger.info('Retrying transcription', { delayMs: delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError || new Error('All transcription attempts failed');
+}
+
+// OpenAI /audio/transcriptions (also served by faster-whisper / LocalAI style servers)
+async function transcribeWithOpenAI(provider, model, audioBlob, { filename }) {
+  const { apiKey, baseURL } = openAIConfiguration(provider);
+  const form = new FormData();
+  form.append('file', audioBlob, filename || 'audio');
+  form.append('model', model);
+  form.append('response_format', 'verbose_json');
+  form.append('timestamp_granularities[]', 'segment');
+
+  const response = await fetch(`${baseURL || 'https://api.openai.com/v1'}/audio/transcriptions`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: form
+  });
+
+  if (!response.ok) {
+    throw new Error(`Transcription failed: HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (!result.text) throw new Error('Transcription returned empty text');
+  return { text: result.text, segments: normalizeSegments(result.segments) };
+}
+
+// Returns transcribe(audioBlob, { filename, duration, maxRetries }) -> { text, segments: [{ start, end, text }] }
+// Segment times are relative to the start of `audioBlob`; `duration` is only used by the local stand-in
+export function createTranscriber({ apiKey } = {}) {
+  const { provider, model } = getProviderConfig().transcription;
+
+  return async function transcribe(audioBlob, { filename, duration = null, maxRetries = 3 } = {}) {
+    switch (provider) {
+      case 'huggingface':
+        return transcribeWithHuggingFace(model, audioBlob, { apiKey, maxRetries });
+      case 'openai':
+      case 'openai-compatible':
+        return transcribeWithOpenAI(provider, model, audioBlob, { filename });
+      default: {
+        const text = process.env.LOCAL_TRANSCRIPT || `Local transcript of ${filename || 'audio'} (${audioBlob.size} bytes).`;
+        return { text, segments: [{ start: 0, end: duration, text }] };
+      }
+    }
+  };
+}
+
+// [{ speaker, start, end }] speaker turns, sorted; entries without a label or a valid time range are dropped
+function normalizeTurns(turns) {
+  return (turns || [])
+    .map(({ speaker, label, start, end }) => ({
+      speaker: String(speaker ?? label ?? ''),
+      start: Number(start),
+      end: Number(end)
+    }))
+    .filter(turn => turn.speaker && Number.isFinite(turn.start) && Number.isFinite(turn.end) && turn.end >= turn.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Self-hosted diarization service (e.g. pyannote behind a small HTTP wrapper): multipart `file` in,
+// [{ speaker, start, end }] (or { segments: [...] }) out
+async function diarizeWithHttp(audioBlob, { filename }) {
+  if (!process.env.DIARIZATION_URL) {
+    throw new Error('DIARIZATION_URL is required for the http diarization provider');
+  }
+  const form = new FormData();
+  form.append('file', audioBlob, filename || 'audio');
+
+  const response = await fetch(process.env.DIARIZATION_URL, {
+    method: 'POST',
+    headers: process.env.DIARIZATION_API_KEY ? { Authorization: `Bearer ${process.env.DIARIZATION_API_KEY}` } : {},
+    body: form
+  });
+  if (!response.ok) {
+    throw new Error(`Diarization failed: HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  return normalizeTurns(Array.isArray(result) ? result : result.segments);
+}
+
+// Returns diarize(audioBlob, { filename, duration }) -> [{ speaker, start, end }], or null when diarization is off.
+// The local stand-in alternates two speakers every LOCAL_DIARIZATION_TURN_SECONDS (default 30).
+export function createDiarizer() {
+  const { provider } = getProviderConfig().diarization;
+
+  switch (provider) {
+    case 'none':
+      return null;
+    case 'http':
+      return diarizeWithHttp;
+    default:
+      return async function diarize(audioBlob, { duration = null } = {}) {
+        if (!duration) return [{ speaker: 'SPEAKER_00', start: 0, end: Infinity }];
+
+        const turnSeconds = Number(process.env.LOCAL_DIARIZATION_TURN_SECONDS ?? 30);
+        const turns = [];
+        for (let start = 0; start < duration; start += turnSeconds) {
+          turns.push({ speaker: `SPEAKER_0${turns.length % 2}`, start, end: Math.min(start + turnSeconds, duration) });
+        }
+        return turns;
+      };
+  }
+}
+
+// Returns score(query, passages) -> one relevance score per passage, from a cross-encoder such as bge-reranker.
+// The HuggingFace inference API takes one (query, passage) pair per call, at most RERANK_CONCURRENCY at a time.
+// The local stand-in scores the share of query terms a passage contains.
+export function createCrossEncoder({ apiKey } = {}) {
+  const { provider, model } = getProviderConfig().rerank;
+
+  switch (provider) {
+    case 'huggingface': {
+      const hf = new InferenceClient(apiKey || process.env.HUGGINGFACEHUB_API_TOKEN);
+      return function score(query, passages) {
+        return mapWithConcurrency(passages, RERANK_CONCURRENCY, async (passage) => {
+          const output = await hf.textClassification({
+            model,
+            inputs: { text: query, text_pair: passage }
+          });
+          const results = Array.isArray(output[0]) ? output[0] : output;
+          return results[0]?.score ?? 0;
+        });
+      };
+    }
+    default:
+      return async function score(query, passages) {
+        const queryTerms = [...new Set(tokenize(query))];
+        return passages.map(passage => {
+          const terms = new Set(tokenize(passage));
+          return queryTerms.filter(term => terms.has(term)).length / Math.max(queryTerms.length, 1);
+        });
+      };
+  }
+}
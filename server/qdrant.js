@@ -0,0 +1,244 @@
+// qdrant.js - collection setup and session-scoped search shared by the server and workers
+import { randomUUID, createHash } from "crypto";
+import { Document } from "@langchain/core/documents";
+import { documentSparseVector, querySparseVector } from "./bm25.js";
+import { logger } from "./logger.js";
+
+export const VECTOR_CONFIG = { size: 768, distance: 'Cosine' };
+
+// Named sparse vector holding BM25 keyword weights; the dense vector stays the unnamed default ("")
+export const SPARSE_VECTOR = 'text';
+const SPARSE_CONFIG = { [SPARSE_VECTOR]: { modifier: 'idf' } };
+
+export const RETRIEVAL_MODES = ['dense', 'sparse', 'hybrid'];
+export const DEFAULT_RETRIEVAL_MODE = RETRIEVAL_MODES.includes(process.env.RETRIEVAL_MODE)
+  ? process.env.RETRIEVAL_MODE
+  : 'hybrid';
+
+// Constant from the original RRF paper; dampens the weight of top ranks
+const RRF_K = 60;
+
+// Payload fields we filter on; indexed so filtering stays fast as tenants grow
+const PAYLOAD_INDEXES = {
+  'metadata.sessionId': 'keyword',
+  'metadata.documentId': 'keyword',
+  'metadata.source': 'keyword',
+  'metadata.type': 'keyword',
+  'metadata.speakers': 'keyword',
+  'metadata.chunkIndex': 'integer'
+};
+
+// Cosine similarity below this is treated as "not relevant" (override with RETRIEVAL_SCORE_THRESHOLD)
+export const DEFAULT_SCORE_THRESHOLD = Number(process.env.RETRIEVAL_SCORE_THRESHOLD ?? 0.45);
+
+// BM25 scores have no fixed scale, so keyword matches are cut relative to the best one: anything scoring under
+// this share of the top match is dropped (override with RETRIEVAL_KEYWORD_SCORE_THRESHOLD, 0 keeps every match)
+export const DEFAULT_KEYWORD_SCORE_THRESHOLD = Number(process.env.RETRIEVAL_KEYWORD_SCORE_THRESHOLD ?? 0.2);
+
+// Chunks embedded and upserted per request (override with UPSERT_BATCH_SIZE)
+const UPSERT_BATCH_SIZE = Number(process.env.UPSERT_BATCH_SIZE ?? 32);
+
+// collectionName -> whether it has the sparse vector (collections created before hybrid search don't)
+const sparseSupport = new Map();
+
+export async function ensureCollection(client, collectionName) {
+  let info;
+  try {
+    info = await client.getCollection(collectionName);
+    logger.debug('Collection exists', { collection: collectionName });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    await client.createCollection(collectionName, { vectors: VECTOR_CONFIG, sparse_vectors: SPARSE_CONFIG });
+    info = await client.getCollection(collectionName);
+    logger.info('Collection created', { collection: collectionName });
+  }
+
+  const sparse = Boolean(info.config?.params?.sparse_vectors?.[SPARSE_VECTOR]);
+  if (!sparse) {
+    logger.warn(`Collection has no '${SPARSE_VECTOR}' sparse vector; keyword search is disabled until it is re-created`, { collection: collectionName });
+  }
+  sparseSupport.set(collectionName, sparse);
+
+  // Creating an index that already exists is a no-op in Qdrant
+  for (const [field_name, field_schema] of Object.entries(PAYLOAD_INDEXES)) {
+    await client.createPayloadIndex(collectionName, { field_name, field_schema, wait: true });
+  }
+
+  return { sparse };
+}
+
+// Chunks get ids derived from their document and position, so storing a chunk again overwrites it
+function pointId(metadata) {
+  if (!metadata.documentId || !Number.isInteger(metadata.chunkIndex)) return randomUUID();
+  const hex = createHash('sha256').update(`${metadata.documentId}:${metadata.chunkIndex}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Embed and store chunks with both their dense and (when supported) BM25 sparse vector, in batches;
+// onProgress(done, total) is called after each batch is stored. `startAt` skips chunks an earlier attempt
+// already stored, so a failed job can resume where it stopped.
+export async function upsertDocuments(client, collectionName, embeddings, docs, {
+  batchSize = UPSERT_BATCH_SIZE,
+  startAt = 0,
+  onProgress
+} = {}) {
+  if (docs.length === 0) return;
+  const sparse = sparseSupport.get(collectionName) ?? false;
+  if (startAt > 0) logger.info('Resuming upsert', { collection: collectionName, startAt, chunks: docs.length });
+
+  for (let start = startAt; start < docs.length; start += batchSize) {
+    const batch = docs.slice(start, start + batchSize);
+    const vectors = await embeddings.embedDocuments(batch.map(doc => doc.pageContent));
+
+    const points = batch.map((doc, i) => ({
+      id: pointId(doc.metadata),
+      vector: sparse
+        ? { '': vectors[i], [SPARSE_VECTOR]: documentSparseVector(doc.pageContent) }
+        : vectors[i],
+      payload: { content: doc.pageContent, metadata: doc.metadata }
+    }));
+
+    await client.upsert(collectionName, { wait: true, points });
+    await onProgress?.(start + batch.length, docs.length);
+  }
+}
+
+// Qdrant filter: always the session, optionally a set of filenames, chunk types and/or transcript speakers
+export function buildFilter({ sessionId, filenames = [], types = [], speakers = [] }) {
+  const must = [{ key: 'metadata.sessionId', match: { value: sessionId } }];
+  if (filenames.length > 0) must.push({ key: 'metadata.source', match: { any: filenames } });
+  if (types.length > 0) must.push({ key: 'metadata.type', match: { any: types } });
+  if (speakers.length > 0) must.push({ key: 'metadata.speakers', match: { any: speakers } });
+  return { must };
+}
+
+function toDocument(point) {
+  return new Document({
+    id: point.id,
+    pageContent: point.payload?.content ?? '',
+    metadata: { ...(point.payload?.metadata || {}), score: point.score }
+  });
+}
+
+// Nearest neighbours of `vector` inside one session, dropping anything under the score threshold
+export async function searchCollection(client, collectionName, vector, {
+  sessionId,
+  k = 5,
+  scoreThreshold = DEFAULT_SCORE_THRESHOLD,
+  filenames,
+  types,
+  speakers
+}) {
+  const { points } = await client.query(collectionName, {
+    query: vector,
+    limit: k,
+    filter: buildFilter({ sessionId, filenames, types, speakers }),
+    score_threshold: scoreThreshold,
+    with_payload: true,
+    with_vector: false
+  });
+
+  return points.map(toDocument);
+}
+
+// BM25 keyword matches of `queryText` inside one session, dropping those far below the best match
+export async function keywordSearchCollection(client, collectionName, queryText, {
+  sessionId,
+  k = 5,
+  keywordScoreThreshold = DEFAULT_KEYWORD_SCORE_THRESHOLD,
+  filenames,
+  types,
+  speakers
+}) {
+  if (!sparseSupport.get(collectionName)) return [];
+
+  const sparseVector = querySparseVector(queryText);
+  if (sparseVector.indices.length === 0) return [];
+
+  const { points } = await client.query(collectionName, {
+    query: sparseVector,
+    using: SPARSE_VECTOR,
+    limit: k,
+    filter: buildFilter({ sessionId, filenames, types, speakers }),
+    with_payload: true,
+    with_vector: false
+  });
+
+  const minScore = (points[0]?.score ?? 0) * keywordScoreThreshold;
+  return points.filter(point => point.score >= minScore).map(toDocument);
+}
+
+// Merge ranked lists: score = sum of 1 / (RRF_K + rank) over every list a point appears in
+export function reciprocalRankFusion(rankedLists, k) {
+  const fused = new Map();
+  for (const list of rankedLists) {
+    list.forEach((doc, rank) => {
+      const entry = fused.get(doc.id) || { doc, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(doc.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ doc, score }) => {
+      doc.metadata.fusedScore = score;
+      return doc;
+    });
+}
+
+// Session-scoped retrieval in one of RETRIEVAL_MODES; `vector` is only needed for dense/hybrid
+export async function retrieve(client, collectionName, { mode = DEFAULT_RETRIEVAL_MODE, vector, queryText, k = 5, ...options }) {
+  if (mode === 'dense') return searchCollection(client, collectionName, vector, { k, ...options });
+  if (mode === 'sparse') return keywordSearchCollection(client, collectionName, queryText, { k, ...options });
+
+  // Hybrid: over-fetch from both sides, then fuse by rank
+  const [dense, sparse] = await Promise.all([
+    searchCollection(client, collectionName, vector, { k: k * 2, ...options }),
+    keywordSearchCollection(client, collectionName, queryText, { k: k * 2, ...options })
+  ]);
+  return reciprocalRankFusion([dense, sparse], k);
+}
+
+// Every chunk of one uploaded file carries its session and document id
+function documentFilter({ sessionId, documentId }) {
+  return {
+    must: [
+      { key: 'metadata.sessionId', match: { value: sessionId } },
+      { key: 'metadata.documentId', match: { value: documentId } }
+    ]
+  };
+}
+
+export async function deleteDocumentPoints(client, collectionName, { sessionId, documentId }) {
+  await client.delete(collectionName, {
+    wait: true,
+    filter: documentFilter({ sessionId, documentId })
+  });
+}
+
+export async function countDocumentPoints(client, collectionName, { sessionId, documentId }) {
+  const { count } = await client.count(collectionName, {
+    filter: documentFilter({ sessionId, documentId }),
+    exact: true
+  });
+  return count;
+}
+
+// Chunks of one document by position (metadata.chunkIndex), e.g. the neighbours of retrieved chunks.
+// Documents indexed before chunk indexes were recorded simply return nothing.
+export async function fetchChunks(client, collectionName, { sessionId, documentId, chunkIndexes }) {
+  if (chunkIndexes.length === 0) return [];
+
+  const filter = documentFilter({ sessionId, documentId });
+  filter.must.push({ key: 'metadata.chunkIndex', match: { any: chunkIndexes } });
+  const { points } = await client.scroll(collectionName, {
+    filter,
+    limit: chunkIndexes.length,
+    with_payload: true,
+    with_vector: false
+  });
+
+  return points.map(toDocument);
+}
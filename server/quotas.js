@@ -0,0 +1,165 @@
+// quotas.js - per-user rate limits and daily quotas, kept in Redis so every server instance shares them
+//
+//   RATE_LIMIT_CHAT_PER_MINUTE (default 20), RATE_LIMIT_UPLOADS_PER_MINUTE (default 10),
+//   QUOTA_UPLOAD_MB_PER_DAY (default 500), QUOTA_STORED_CHUNKS (default 20000),
+//   QUOTA_LLM_TOKENS_PER_DAY (default 200000); 0 turns a limit off.
+// Requests over a limit get 429 with Retry-After (except the stored-chunks quota, which only frees up when
+// documents are deleted). Days are UTC days.
+import { logger } from "./logger.js";
+
+function limitFromEnv(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+export const LIMITS = {
+  chatPerMinute: limitFromEnv('RATE_LIMIT_CHAT_PER_MINUTE', 20),
+  uploadsPerMinute: limitFromEnv('RATE_LIMIT_UPLOADS_PER_MINUTE', 10),
+  uploadMbPerDay: limitFromEnv('QUOTA_UPLOAD_MB_PER_DAY', 500),
+  storedChunks: limitFromEnv('QUOTA_STORED_CHUNKS', 20000),
+  llmTokensPerDay: limitFromEnv('QUOTA_LLM_TOKENS_PER_DAY', 200000)
+};
+
+const RATE_LIMITS = { chat: 'chatPerMinute', upload: 'uploadsPerMinute' };
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const today = () => new Date().toISOString().slice(0, 10);
+const dayKey = (userId) => `usage:${userId}:${today()}`;
+const windowStart = () => Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+const rateKey = (kind, userId) => `ratelimit:${kind}:${userId}:${windowStart()}`;
+
+// Seconds until the current minute window / UTC day ends
+const secondsUntilNextMinute = () => Math.ceil((windowStart() + MINUTE_MS - Date.now()) / 1000);
+const secondsUntilTomorrow = () => Math.ceil((Math.floor(Date.now() / DAY_MS) * DAY_MS + DAY_MS - Date.now()) / 1000);
+
+function tooMany(res, { limit, error, retryAfter }) {
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, limit, retryAfter: retryAfter ?? null });
+}
+
+// `storedChunks(userId)` counts the chunks a user's indexed documents occupy
+export function createQuotas(redis, { storedChunks }) {
+  async function dailyUsage(userId) {
+    const usage = await redis.hgetall(dayKey(userId));
+    return { uploadBytes: Number(usage.uploadBytes || 0), llmTokens: Number(usage.llmTokens || 0) };
+  }
+
+  async function addDaily(userId, field, amount) {
+    if (!amount) return;
+    const key = dayKey(userId);
+    await redis.multi().hincrby(key, field, Math.round(amount)).expire(key, 2 * DAY_MS / 1000).exec();
+  }
+
+  // Fixed one-minute windows; middleware for after authenticate
+  function rateLimit(kind) {
+    const limitName = RATE_LIMITS[kind];
+    return async (req, res, next) => {
+      const max = LIMITS[limitName];
+      if (!max) return next();
+      try {
+        const key = rateKey(kind, req.auth.userId);
+        const [[, count]] = await redis.multi().incr(key).pexpire(key, MINUTE_MS).exec();
+        if (count > max) {
+          return tooMany(res, {
+            limit: limitName,
+            error: `Too many ${kind} requests, the limit is ${max} per minute`,
+            retryAfter: secondsUntilNextMinute()
+          });
+        }
+      } catch (err) {
+        // Limits protect the paid backends, but a Redis hiccup shouldn't take the app down
+        logger.warn('Rate limit check failed', { err });
+      }
+      next();
+    };
+  }
+
+  // Before multer: the daily upload volume (using Content-Length, the upload isn't read yet) and stored chunks
+  function uploadQuota() {
+    return async (req, res, next) => {
+      const userId = req.auth.userId;
+      try {
+        if (LIMITS.uploadMbPerDay) {
+          const { uploadBytes } = await dailyUsage(userId);
+          const incoming = Number(req.headers['content-length'] || 0);
+          if (uploadBytes + incoming > LIMITS.uploadMbPerDay * 1024 * 1024) {
+            return tooMany(res, {
+              limit: 'uploadMbPerDay',
+              error: `Daily upload limit of ${LIMITS.uploadMbPerDay}MB reached`,
+              retryAfter: secondsUntilTomorrow()
+            });
+          }
+        }
+        if (LIMITS.storedChunks && await storedChunks(userId) >= LIMITS.storedChunks) {
+          return tooMany(res, {
+            limit: 'storedChunks',
+            error: `Storage limit of ${LIMITS.storedChunks} chunks reached, delete documents to upload more`
+          });
+        }
+      } catch (err) {
+        logger.warn('Upload quota check failed', { err });
+      }
+      next();
+    };
+  }
+
+  function llmQuota() {
+    return async (req, res, next) => {
+      if (!LIMITS.llmTokensPerDay) return next();
+      try {
+        const { llmTokens } = await dailyUsage(req.auth.userId);
+        if (llmTokens >= LIMITS.llmTokensPerDay) {
+          return tooMany(res, {
+            limit: 'llmTokensPerDay',
+            error: `Daily limit of ${LIMITS.llmTokensPerDay} LLM tokens reached`,
+            retryAfter: secondsUntilTomorrow()
+          });
+        }
+      } catch (err) {
+        logger.warn('LLM quota check failed', { err });
+      }
+      next();
+    };
+  }
+
+  async function record(userId, field, amount) {
+    try {
+      await addDaily(userId, field, amount);
+    } catch (err) {
+      logger.warn(`Could not record ${field} usage`, { err });
+    }
+  }
+
+  return {
+    rateLimit,
+    uploadQuota,
+    llmQuota,
+    recordUpload: (userId, bytes) => record(userId, 'uploadBytes', bytes),
+    recordLlmTokens: (userId, tokens) => record(userId, 'llmTokens', tokens),
+
+    // Everything the client shows next to the limits
+    async usage(userId) {
+      const [daily, chunks, chat, uploads] = await Promise.all([
+        dailyUsage(userId),
+        storedChunks(userId),
+        redis.get(rateKey('chat', userId)),
+        redis.get(rateKey('upload', userId))
+      ]);
+      return {
+        limits: LIMITS,
+        usage: {
+          chatThisMinute: Number(chat || 0),
+          uploadsThisMinute: Number(uploads || 0),
+          uploadMbToday: Math.round(daily.uploadBytes / (1024 * 1024) * 10) / 10,
+          storedChunks: chunks,
+          llmTokensToday: daily.llmTokens
+        },
+        resetsIn: {
+          minute: secondsUntilNextMinute(),
+          day: secondsUntilTomorrow()
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,206 @@
+// rerank.js - rescore the joint PDF + audio candidate pool and pack the best chunks into a token budget
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { tokenize } from "./bm25.js";
+import { createChatModel, createCrossEncoder } from "./providers.js";
+import { CHARS_PER_TOKEN, estimateTokens, getChunkingConfig } from "./chunking.js";
+import { logger } from "./logger.js";
+
+export const RERANKERS = ['cross-encoder', 'llm', 'lexical', 'none'];
+// Without RERANKER the candidates keep their retrieval order (fused RRF score in hybrid mode); lexical,
+// cross-encoder and llm rescoring are opt-in
+export const DEFAULT_RERANKER = RERANKERS.includes(process.env.RERANKER) ? process.env.RERANKER : 'none';
+
+export const DEFAULT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET ?? 3000);
+
+// Neighbouring chunks share up to CHUNK_OVERLAP_TOKENS of text (chunking.js); shorter shared runs are
+// treated as coincidence
+const MIN_OVERLAP = 50;
+const MAX_OVERLAP = getChunkingConfig().chunkOverlap * CHARS_PER_TOKEN + MIN_OVERLAP;
+
+// Cross-encoder from RERANK_PROVIDER (see providers.js), created on first use
+let crossEncoder = null;
+
+function crossEncoderScores(query, docs) {
+  crossEncoder ??= createCrossEncoder();
+  return crossEncoder(query, docs.map(doc => doc.pageContent));
+}
+
+// LLM scorer: asks the chat model to grade every passage 0-10 in one call. The call's tokens go to
+// onLlmTokens({ promptTokens, completionTokens }), estimated when the provider reports none.
+async function llmScores(query, docs, onLlmTokens) {
+  const llm = createChatModel({ maxTokens: 500, temperature: 0 });
+
+  const prompt = ChatPromptTemplate.fromTemplate(`Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+Return ONLY a JSON array of numbers, one per passage, in order.
+
+## QUESTION
+{question}
+
+## PASSAGES
+{passages}`);
+
+  const passages = docs
+    .map((doc, i) => `[${i + 1}] ${doc.pageContent.slice(0, 1200)}`)
+    .join('\n\n');
+  const promptInputs = { question: query, passages };
+  const result = await prompt.pipe(llm).invoke(promptInputs);
+  const text = typeof result.content === 'string' ? result.content : '';
+  await onLlmTokens?.({
+    promptTokens: result.usage_metadata?.input_tokens ?? estimateTokens(await prompt.format(promptInputs)),
+    completionTokens: result.usage_metadata?.output_tokens ?? estimateTokens(text)
+  });
+  const scores = JSON.parse(text.slice(text.indexOf('['), text.lastIndexOf(']') + 1));
+
+  if (!Array.isArray(scores) || scores.length !== docs.length) {
+    throw new Error('LLM reranker returned a malformed score list');
+  }
+  return scores.map(score => Number(score) || 0);
+}
+
+// Offline scorer: BM25 over the candidate pool itself, plus a small boost for phrase matches
+function lexicalScores(query, docs) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const docTerms = docs.map(doc => tokenize(doc.pageContent));
+  const avgLength = docTerms.reduce((sum, terms) => sum + terms.length, 0) / Math.max(docs.length, 1) || 1;
+
+  const idf = new Map(queryTerms.map(term => {
+    const df = docTerms.filter(terms => terms.includes(term)).length;
+    return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  const phrase = query.trim().toLowerCase();
+  return docTerms.map((terms, i) => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = terms.filter(t => t === term).length;
+      if (tf === 0) continue;
+      score += idf.get(term) * (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * terms.length / avgLength));
+    }
+    if (phrase.length > 3 && docs[i].pageContent.toLowerCase().includes(phrase)) score += 1;
+    return score;
+  });
+}
+
+// Retrieval order as-is (dense score or fused RRF score)
+function retrievalScores(docs) {
+  return docs.map(doc => doc.metadata?.fusedScore ?? doc.metadata?.score ?? 0);
+}
+
+async function scoreCandidates(reranker, query, docs, { onLlmTokens }) {
+  try {
+    if (reranker === 'cross-encoder') return await crossEncoderScores(query, docs);
+    if (reranker === 'llm') return await llmScores(query, docs, onLlmTokens);
+  } catch (error) {
+    logger.warn(`${reranker} reranker failed, keeping retrieval order`, { err: error });
+    return retrievalScores(docs);
+  }
+  if (reranker === 'lexical') return lexicalScores(query, docs);
+  return retrievalScores(docs);
+}
+
+// Length of the longest suffix of `a` that is also a prefix of `b`
+function overlapLength(a, b) {
+  const max = Math.min(MAX_OVERLAP, a.length, b.length);
+  for (let len = max; len >= MIN_OVERLAP; len--) {
+    if (a.endsWith(b.slice(0, len))) return len;
+  }
+  return 0;
+}
+
+function sameDocument(a, b) {
+  const ma = a.metadata || {};
+  const mb = b.metadata || {};
+  return (ma.documentId || ma.filename) === (mb.documentId || mb.filename);
+}
+
+// Drop chunks already contained in a better one, and trim the text neighbouring chunks share
+function dedupe(ranked) {
+  const kept = [];
+  for (const doc of ranked) {
+    let text = doc.pageContent;
+    let duplicate = false;
+
+    for (const other of kept) {
+      if (!sameDocument(doc, other)) continue;
+      if (other.pageContent.includes(text)) {
+        duplicate = true;
+        break;
+      }
+      const before = overlapLength(other.pageContent, text);
+      if (before > 0) text = text.slice(before);
+      const after = overlapLength(text, other.pageContent);
+      if (after > 0) text = text.slice(0, text.length - after);
+    }
+
+    if (duplicate || !text.trim()) continue;
+    doc.pageContent = text;
+    kept.push(doc);
+  }
+  return kept;
+}
+
+// True when `doc` is one of the chunks `other` was widened with (see mergeNeighbours)
+function covers(other, doc) {
+  if (!doc.metadata.documentId || other.metadata.documentId !== doc.metadata.documentId) return false;
+  return (other.metadata.chunkIndexes ?? [other.metadata.chunkIndex]).includes(doc.metadata.chunkIndex);
+}
+
+// Rescore all candidates jointly, dedupe, then fill the context up to `tokenBudget`.
+// `expand(doc, selected)` may widen each chunk before it is counted (neighbouring chunks, see mergeNeighbours),
+// so the budget covers the text that is actually sent; a candidate already merged into a selected chunk is skipped.
+// `onLlmTokens` is told what the llm reranker used, for the caller's accounting.
+export async function rerankAndSelect(query, candidates, {
+  reranker = DEFAULT_RERANKER,
+  tokenBudget = DEFAULT_TOKEN_BUDGET,
+  expand = null,
+  onLlmTokens = null
+} = {}) {
+  if (candidates.length === 0) return [];
+
+  const scores = await scoreCandidates(reranker, query, candidates, { onLlmTokens });
+  const ranked = candidates
+    .map((doc, i) => {
+      doc.metadata.rerankScore = scores[i];
+      return doc;
+    })
+    .sort((a, b) => b.metadata.rerankScore - a.metadata.rerankScore);
+
+  const selected = [];
+  let used = 0;
+  for (const candidate of dedupe(ranked)) {
+    if (selected.some(other => covers(other, candidate))) continue;
+    const doc = expand ? await expand(candidate, selected) : candidate;
+    const tokens = estimateTokens(doc.pageContent);
+    // Always keep the best chunk; after that skip anything that would overflow the budget
+    if (selected.length > 0 && used + tokens > tokenBudget) continue;
+    selected.push(doc);
+    used += tokens;
+  }
+
+  logger.debug('Reranked candidates', { reranker, candidates: candidates.length, kept: selected.length, tokens: used });
+  return selected;
+}
+
+// Widens a selected chunk with the chunks around it (same document, sorted by chunkIndex), dropping the text
+// consecutive chunks share; transcript chunks also take on the neighbours' time span
+export function mergeNeighbours(doc, neighbours) {
+  const chunks = [...neighbours, doc].sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex);
+  let text = chunks[0].pageContent;
+  for (const chunk of chunks.slice(1)) {
+    const shared = overlapLength(text, chunk.pageContent);
+    text += (shared > 0 ? '' : '\n') + chunk.pageContent.slice(shared);
+  }
+
+  doc.pageContent = text;
+  if (doc.metadata.startTime != null) {
+    const times = chunks.filter(chunk => chunk.metadata.startTime != null);
+    doc.metadata.startTime = Math.min(...times.map(chunk => chunk.metadata.startTime));
+    doc.metadata.endTime = Math.max(...times.map(chunk => chunk.metadata.endTime ?? chunk.metadata.startTime));
+  }
+  if (Array.isArray(doc.metadata.speakers)) {
+    doc.metadata.speakers = [...new Set(chunks.flatMap(chunk => chunk.metadata.speakers || []))];
+  }
+  doc.metadata.neighbours = neighbours.length;
+  doc.metadata.chunkIndexes = chunks.map(chunk => chunk.metadata.chunkIndex);
+  return doc;
+}
@@ -0,0 +1,42 @@
+// shutdown.js - graceful shutdown on SIGTERM/SIGINT for the server and the queue workers
+//
+// The registered steps run once, in order, and the process exits when they finish or after
+// SHUTDOWN_TIMEOUT_MS (default 25s), whichever comes first. A job still running at that point is not lost:
+// its lock expires and BullMQ's stalled-job check hands it to another worker.
+import { logger } from "./logger.js";
+
+export const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS ?? 25000);
+
+let shuttingDown = false;
+
+export const isShuttingDown = () => shuttingDown;
+
+// steps: [label, async fn] pairs; a failing step is logged and the rest still run. Repeated signals (Ctrl-C
+// reaches both the cluster primary and its children) are ignored.
+export function onShutdown(name, steps) {
+  async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${name} shutting down`, { signal });
+
+    const timer = setTimeout(() => {
+      logger.error(`${name} did not shut down within ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS);
+    timer.unref();
+
+    for (const [label, step] of steps) {
+      try {
+        await step();
+      } catch (err) {
+        logger.error(`${name}: ${label} failed during shutdown`, { err });
+      }
+    }
+
+    logger.info(`${name} shut down cleanly`);
+    process.exit(0);
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
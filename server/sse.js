@@ -0,0 +1,38 @@
+// sse.js - minimal Server-Sent Events helper for Express responses
+
+export function openEventStream(res) {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering (nginx, Render)
+  res.flushHeaders();
+
+  // Client went away (tab closed or generation cancelled): stop upstream work
+  res.on('close', () => {
+    closed = true;
+    controller.abort();
+  });
+
+  function send(event, data) {
+    if (closed) return false;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    res.end();
+  }
+
+  return {
+    send,
+    close,
+    signal: controller.signal,
+    get closed() { return closed; }
+  };
+}
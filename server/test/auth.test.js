@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAuthVerifier, requireAdmin, requireAuth, signLocalToken } from "../auth.js";
+
+const SECRET = 'local-secret';
+const verifier = createAuthVerifier({ AUTH_PROVIDER: 'local', AUTH_LOCAL_SECRET: SECRET });
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// -> { status, passed, auth } after running the middleware once
+async function run(middleware, req) {
+  const res = fakeResponse();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { status: res.statusCode, passed, auth: req.auth };
+}
+
+function bearer(token) {
+  return { method: 'GET', path: '/chat', headers: { authorization: `Bearer ${token}` } };
+}
+
+test('a locally signed token yields its user id', async () => {
+  const { userId, claims } = await verifier.verify(signLocalToken('user_123', SECRET));
+  assert.equal(userId, 'user_123');
+  assert.ok(claims.exp > claims.iat);
+});
+
+test('tokens with a foreign signature, a past expiry or a bad shape are rejected', async () => {
+  await assert.rejects(verifier.verify(signLocalToken('user_123', 'other-secret')), /Invalid token signature/);
+  await assert.rejects(verifier.verify(signLocalToken('user_123', SECRET, { expiresInSeconds: -60 })), /Token expired/);
+  await assert.rejects(verifier.verify('not-a-jwt'), /Malformed token/);
+
+  // Same signature, different user in the payload
+  const [header, , signature] = signLocalToken('user_123', SECRET).split('.');
+  const payload = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+  await assert.rejects(verifier.verify(`${header}.${payload}.${signature}`), /Invalid token signature/);
+});
+
+test('the verifier needs its secret and a known provider', () => {
+  assert.throws(() => createAuthVerifier({ AUTH_PROVIDER: 'local' }), /AUTH_LOCAL_SECRET is required/);
+  assert.throws(() => createAuthVerifier({}), /CLERK_JWT_KEY or CLERK_SECRET_KEY is required/);
+  assert.throws(() => createAuthVerifier({ AUTH_PROVIDER: 'basic' }), /AUTH_PROVIDER=basic is not supported/);
+});
+
+test('requireAuth sets req.auth for a valid bearer token', async () => {
+  const result = await run(requireAuth(verifier), bearer(signLocalToken('user_123', SECRET)));
+  assert.equal(result.passed, true);
+  assert.equal(result.auth.userId, 'user_123');
+});
+
+test('requireAuth answers 401 without a valid bearer token', async () => {
+  const missing = await run(requireAuth(verifier), { method: 'GET', path: '/chat', headers: {} });
+  assert.deepEqual([missing.status, missing.passed], [401, false]);
+
+  const invalid = await run(requireAuth(verifier), bearer(signLocalToken('user_123', 'other-secret')));
+  assert.deepEqual([invalid.status, invalid.passed, invalid.auth], [401, false, undefined]);
+});
+
+test('requireAdmin only lets listed users through', async () => {
+  const middleware = requireAdmin({ ADMIN_USER_IDS: 'user_admin, user_ops' });
+  assert.equal((await run(middleware, { auth: { userId: 'user_ops' } })).passed, true);
+  assert.equal((await run(middleware, { auth: { userId: 'user_123' } })).status, 403);
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm, writeFile, stat } from "fs/promises";
+import { Readable } from "stream";
+import { tmpdir } from "os";
+import { basename, dirname, join, sep } from "path";
+import { blobUploadStorage, createBlobStore, createTempPath, downloadBlob, removeTempPath } from "../blob-store.js";
+
+// Local store in a throwaway BLOB_DIR; the directory is removed after `fn`
+async function withLocalStore(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'blobs-'));
+  try {
+    return await fn(createBlobStore({ BLOB_STORAGE: 'local', BLOB_DIR: dir }), dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Calls multer's _handleFile the way multer does and resolves with what it reports
+function handleUpload(storage, file) {
+  return new Promise((resolve, reject) => {
+    storage._handleFile({}, file, (err, info) => (err ? reject(err) : resolve(info)));
+  });
+}
+
+test('the local store round-trips a blob', async () => {
+  await withLocalStore(async (store) => {
+    await store.put('pdf/a.pdf', Readable.from([Buffer.from('%PDF-1.7 ')]));
+    assert.equal(store.backend, 'local');
+    assert.equal(await store.exists('pdf/a.pdf'), true);
+    assert.equal((await store.readBuffer('pdf/a.pdf')).toString(), '%PDF-1.7 ');
+
+    const path = await createTempPath('a.pdf');
+    await downloadBlob(store, 'pdf/a.pdf', path);
+    assert.equal(await readFile(path, 'utf8'), '%PDF-1.7 ');
+    await removeTempPath(path);
+
+    await store.remove('pdf/a.pdf');
+    assert.equal(await store.exists('pdf/a.pdf'), false);
+  });
+});
+
+test('a failed write leaves no partial blob behind', async () => {
+  await withLocalStore(async (store, dir) => {
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('client went away'));
+      }
+    });
+    await assert.rejects(store.put('pdf/b.pdf', failing), /client went away/);
+    assert.deepEqual(await readdir(join(dir, 'pdf')), []);
+  });
+});
+
+test('local keys cannot escape the blob directory', async () => {
+  await withLocalStore(async (store) => {
+    await assert.rejects(store.readBuffer('../outside.pdf'), /Invalid blob key/);
+    await assert.rejects(store.getStream('missing.pdf'), { code: 'ENOENT' });
+  });
+});
+
+test('createBlobStore picks S3 in production and validates the backend', () => {
+  assert.throws(() => createBlobStore({ NODE_ENV: 'production' }), /S3_BUCKET is required/);
+  assert.equal(createBlobStore({ NODE_ENV: 'production', S3_BUCKET: 'uploads' }).backend, 's3');
+  assert.throws(() => createBlobStore({ BLOB_STORAGE: 'gcs' }), /BLOB_STORAGE=gcs is not supported/);
+});
+
+test('uploads are streamed into the store with their size and hash', async () => {
+  await withLocalStore(async (store) => {
+    const info = await handleUpload(blobUploadStorage(store), {
+      fieldname: 'pdf',
+      originalname: 'report.pdf',
+      stream: Readable.from([Buffer.from('hello')])
+    });
+    assert.match(info.blobKey, /^pdf\/[0-9a-f-]+\.pdf$/);
+    assert.equal(info.size, 5);
+    assert.equal(info.contentHash, '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    assert.equal((await store.readBuffer(info.blobKey)).toString(), 'hello');
+  });
+});
+
+test('createTempPath keeps only the extension of the uploaded filename', async () => {
+  const path = await createTempPath('../../etc/cron.d/evil.docx');
+  try {
+    assert.equal(basename(path), 'upload.docx');
+    assert.ok(dirname(path).startsWith(tmpdir() + sep));
+  } finally {
+    await removeTempPath(path);
+  }
+});
+
+test('every temp path gets its own directory, removed with everything in it', async () => {
+  const [a, b] = await Promise.all([createTempPath('talk.mp4'), createTempPath('talk.mp4')]);
+  assert.notEqual(dirname(a), dirname(b));
+
+  await writeFile(a, 'video');
+  await writeFile(`${a}.flac`, 'audio');
+  await Promise.all([removeTempPath(a), removeTempPath(b)]);
+  await assert.rejects(stat(dirname(a)), { code: 'ENOENT' });
+});
+
+test('a filename without an extension still gets a path', async () => {
+  const path = await createTempPath(undefined);
+  assert.equal(basename(path), 'upload');
+  await removeTempPath(path);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, documentSparseVector, querySparseVector } from "../bm25.js";
+
+test('tokenize lower-cases, drops stopwords and keeps compound identifiers with their parts', () => {
+  assert.deepEqual(tokenize('What is the status of INV-2024-001?'), ['status', 'inv-2024-001', 'inv', '2024', '001']);
+  assert.deepEqual(tokenize(''), []);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('tokenize handles non-ASCII letters', () => {
+  assert.deepEqual(tokenize('Größe café'), ['größe', 'café']);
+});
+
+test('query vectors weigh every distinct term once, with sorted indices', () => {
+  const vector = querySparseVector('revenue revenue growth');
+  assert.equal(vector.indices.length, 2);
+  assert.deepEqual(vector.values, [1, 1]);
+  assert.deepEqual([...vector.indices].sort((a, b) => a - b), vector.indices);
+});
+
+test('query and document vectors share term ids', () => {
+  const query = querySparseVector('revenue');
+  const doc = documentSparseVector('Quarterly revenue grew while costs fell');
+  assert.ok(doc.indices.includes(query.indices[0]));
+});
+
+test('document term weights saturate with term frequency', () => {
+  const weightOf = (text) => {
+    const vector = documentSparseVector(text);
+    const [index] = querySparseVector('revenue').indices;
+    return vector.values[vector.indices.indexOf(index)];
+  };
+  const once = weightOf('revenue report');
+  const twice = weightOf('revenue revenue report');
+  const tenTimes = weightOf(`${'revenue '.repeat(10)}report`);
+
+  assert.ok(twice > once);
+  assert.ok(tenTimes > twice);
+  assert.ok(tenTimes < 1.2 + 1, 'weight stays below k1 + 1');
+});
+
+test('longer documents give the same term less weight', () => {
+  const [index] = querySparseVector('revenue').indices;
+  const weightIn = (text) => {
+    const vector = documentSparseVector(text);
+    return vector.values[vector.indices.indexOf(index)];
+  };
+  assert.ok(weightIn('revenue report') > weightIn(`revenue ${'filler '.repeat(400)}`));
+});
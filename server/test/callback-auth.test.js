@@ -0,0 +1,103 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { sendSignedCallback, requireSignedCallback } from "../callback-auth.js";
+import { createFakeRedis } from "./helpers/fake-redis.js";
+
+const SECRET = 'test-secret';
+
+let sent;
+const originalFetch = globalThis.fetch;
+
+beforeEach(() => {
+  process.env.SERVER_URL = 'http://server.test';
+  sent = null;
+  globalThis.fetch = async (url, init) => {
+    sent = { url, ...init };
+    return { ok: true, status: 200 };
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// The request the server would see for the callback the worker just sent
+function receivedRequest(overrides = {}) {
+  const path = new URL(sent.url).pathname;
+  return {
+    method: sent.method,
+    originalUrl: path,
+    path,
+    headers: { ...sent.headers },
+    rawBody: Buffer.from(sent.body),
+    ...overrides
+  };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// -> { status, passed } after running the middleware once
+async function verify(middleware, req) {
+  const res = fakeResponse();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { status: res.statusCode, passed };
+}
+
+test('a signed callback is accepted', async () => {
+  await sendSignedCallback('/pdf/complete', { sessionId: 's', status: 'ready' }, SECRET);
+  const result = await verify(requireSignedCallback(createFakeRedis(), SECRET), receivedRequest());
+  assert.deepEqual(result, { status: 200, passed: true });
+});
+
+test('the same callback is rejected when replayed', async () => {
+  const middleware = requireSignedCallback(createFakeRedis(), SECRET);
+  await sendSignedCallback('/pdf/complete', { sessionId: 's', status: 'ready' }, SECRET);
+
+  assert.equal((await verify(middleware, receivedRequest())).passed, true);
+  assert.deepEqual(await verify(middleware, receivedRequest()), { status: 409, passed: false });
+});
+
+test('a tampered body is rejected', async () => {
+  await sendSignedCallback('/pdf/complete', { sessionId: 's', status: 'failed' }, SECRET);
+  const req = receivedRequest({ rawBody: Buffer.from(sent.body.replace('failed', 'ready')) });
+  assert.deepEqual(await verify(requireSignedCallback(createFakeRedis(), SECRET), req), { status: 401, passed: false });
+});
+
+test('a signature is only valid for the route it was made for', async () => {
+  await sendSignedCallback('/pdf/complete', { sessionId: 's', status: 'ready' }, SECRET);
+  const req = receivedRequest({ originalUrl: '/audio/complete', path: '/audio/complete' });
+  assert.deepEqual(await verify(requireSignedCallback(createFakeRedis(), SECRET), req), { status: 401, passed: false });
+});
+
+test('a wrong secret or a stale timestamp is rejected', async () => {
+  await sendSignedCallback('/pdf/complete', { sessionId: 's' }, 'other-secret');
+  assert.equal((await verify(requireSignedCallback(createFakeRedis(), SECRET), receivedRequest())).status, 401);
+
+  const realNow = Date.now;
+  Date.now = () => realNow() - 10 * 60 * 1000;
+  try {
+    await sendSignedCallback('/pdf/complete', { sessionId: 's' }, SECRET);
+  } finally {
+    Date.now = realNow;
+  }
+  assert.equal((await verify(requireSignedCallback(createFakeRedis(), SECRET), receivedRequest())).status, 401);
+});
+
+test('unsigned requests are rejected', async () => {
+  const req = { method: 'POST', originalUrl: '/pdf/complete', path: '/pdf/complete', headers: {}, rawBody: Buffer.from('{}') };
+  assert.deepEqual(await verify(requireSignedCallback(createFakeRedis(), SECRET), req), { status: 401, passed: false });
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document } from "@langchain/core/documents";
+import { chunkText, chunkDocuments, chunkTranscript, estimateTokens, isHeading } from "../chunking.js";
+
+const OPTIONS = { chunkSize: 50, chunkOverlap: 10, minChunkSize: 12 };
+
+// "Sentence 1 of paragraph 0. ..." - distinct sentences so overlap can be traced
+function paragraphs(count, sentences = 3) {
+  return Array.from({ length: count }, (_, p) =>
+    Array.from({ length: sentences }, (_, s) => `Sentence ${s} of paragraph ${p} says something.`).join(' ')
+  ).join('\n\n');
+}
+
+test('isHeading recognises numbered, upper-case and title-case lines', () => {
+  assert.equal(isHeading('2.1 Results'), true);
+  assert.equal(isHeading('METHODOLOGY'), true);
+  assert.equal(isHeading('Quarterly Revenue Overview'), true);
+  assert.equal(isHeading('This is an ordinary sentence.'), false);
+  assert.equal(isHeading('ok'), false);
+});
+
+test('chunkText keeps chunks within the token budget', () => {
+  const chunks = chunkText(paragraphs(12), OPTIONS);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(estimateTokens(chunk.text) <= OPTIONS.chunkSize, `${estimateTokens(chunk.text)} tokens`);
+  }
+});
+
+test('chunkText repeats the tail of the previous chunk as overlap', () => {
+  // One-sentence paragraphs of 11 tokens, so one of them fits in the overlap
+  const chunks = chunkText(paragraphs(6, 1), { ...OPTIONS, chunkSize: 30, chunkOverlap: 12 });
+  assert.ok(chunks.length > 1);
+  for (let i = 1; i < chunks.length; i++) {
+    const lastParagraph = chunks[i - 1].text.split('\n\n').at(-1);
+    assert.ok(chunks[i].text.startsWith(lastParagraph), `chunk ${i} does not start with the previous tail`);
+  }
+});
+
+test('chunkText splits an oversized paragraph at sentence boundaries', () => {
+  const chunks = chunkText(paragraphs(1, 20), OPTIONS);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.match(chunk.text, /\.$/);
+});
+
+test('chunkText starts a new chunk at a heading and records it as the section', () => {
+  const text = `INTRODUCTION\n${paragraphs(1)}\n\nMETHODS\n${paragraphs(1)}`;
+  const chunks = chunkText(text, { ...OPTIONS, detectHeadings: true });
+  assert.deepEqual(chunks.map(chunk => chunk.section), ['INTRODUCTION', 'METHODS']);
+  assert.ok(chunks[1].text.startsWith('METHODS'));
+});
+
+test('chunkDocuments keeps page metadata, numbers chunks and carries the heading across pages', () => {
+  const pages = [
+    new Document({ pageContent: `RESULTS\n${paragraphs(3)}`, metadata: { loc: { pageNumber: 1 } } }),
+    new Document({ pageContent: paragraphs(2), metadata: { loc: { pageNumber: 2 } } })
+  ];
+  const chunks = chunkDocuments(pages, { ...OPTIONS, detectHeadings: true });
+
+  assert.deepEqual(chunks.map(chunk => chunk.metadata.chunkIndex), chunks.map((_, i) => i));
+  assert.ok(chunks.some(chunk => chunk.metadata.loc.pageNumber === 2));
+  assert.ok(chunks.every(chunk => chunk.metadata.section === 'RESULTS'));
+  // A chunk never spans two pages
+  const pageTwo = chunks.filter(chunk => chunk.metadata.loc.pageNumber === 2);
+  assert.ok(pageTwo.every(chunk => !chunk.pageContent.includes('paragraph 2 ')));
+});
+
+// 10-second segments of ~38 tokens each
+function segments(count, speaker) {
+  return Array.from({ length: count }, (_, i) => ({
+    start: i * 10,
+    end: i * 10 + 10,
+    text: `Segment ${i} ` + 'word '.repeat(28).trim(),
+    ...(speaker ? { speaker: speaker(i) } : {})
+  }));
+}
+
+test('chunkTranscript keeps every chunk, overlap included, within the time window and token budget', () => {
+  const chunks = chunkTranscript(segments(40), { chunkSize: 200, chunkOverlap: 100, transcriptWindowSeconds: 60 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.endTime - chunk.startTime <= 60, `${chunk.startTime}-${chunk.endTime}`);
+    assert.ok(estimateTokens(chunk.text) <= 200);
+  }
+  assert.equal(chunks[0].startTime, 0);
+  assert.equal(chunks.at(-1).endTime, 400);
+});
+
+test('chunkTranscript caps the overlap at a fraction of the chunk and window', () => {
+  // A 100-token overlap on 200-token chunks would repeat half of every chunk; the cap allows one segment
+  const chunks = chunkTranscript(segments(40), { chunkSize: 200, chunkOverlap: 100, transcriptWindowSeconds: 60 });
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i - 1].endTime - chunks[i].startTime <= 15, `chunk ${i} overlaps ${chunks[i - 1].endTime - chunks[i].startTime}s`);
+  }
+});
+
+test('chunkTranscript labels speakers and numbers chunks', () => {
+  const chunks = chunkTranscript(segments(6, i => (i < 3 ? 'Speaker 1' : 'Speaker 2')), {
+    chunkSize: 400,
+    chunkOverlap: 0,
+    transcriptWindowSeconds: 600
+  });
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].speakers, ['Speaker 1', 'Speaker 2']);
+  assert.match(chunks[0].text, /^Speaker 1: Segment 0/);
+  assert.match(chunks[0].text, /\nSpeaker 2: Segment 3/);
+  assert.equal(chunks[0].chunkIndex, 0);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCitedContext, buildSources, describeSource, extractCitations, formatTimestamp } from "../citations.js";
+
+const pdfChunk = {
+  pageContent: 'Revenue grew 12% in 2023.',
+  metadata: { source: 'pdf', documentId: 'doc-1', filename: 'report.pdf', loc: { pageNumber: 3 }, section: 'Results' }
+};
+const audioChunk = {
+  pageContent: 'We agreed to ship in May.',
+  metadata: { source: 'audio', documentId: 'doc-2', filename: 'meeting.mp3', startTime: 754.2, endTime: 790, speakers: ['Speaker 1', 'Speaker 2'] }
+};
+const documentChunk = {
+  pageContent: 'Budget: 40k',
+  metadata: { source: 'document', documentId: 'doc-3', filename: 'notes.docx', section: 'Budget' }
+};
+
+test('formatTimestamp switches to hours past one hour', () => {
+  assert.equal(formatTimestamp(754.2), '12:34');
+  assert.equal(formatTimestamp(3725), '1:02:05');
+  assert.equal(formatTimestamp(-3), '0:00');
+});
+
+test('sources are numbered and carry page, section or time span by type', () => {
+  const [pdf, audio, document] = buildSources([pdfChunk, audioChunk, documentChunk]);
+
+  assert.deepEqual([pdf.id, pdf.type, pdf.page, pdf.section, pdf.startTime], [1, 'pdf', 3, 'Results', null]);
+  assert.deepEqual([audio.id, audio.type, audio.page, audio.startTime, audio.endTime], [2, 'audio', null, 754.2, 790]);
+  assert.deepEqual([document.id, document.type, document.section], [3, 'document', 'Budget']);
+
+  assert.equal(describeSource(pdf), 'report.pdf, page 3, Results');
+  assert.equal(describeSource(audio), 'meeting.mp3, 12:34–13:10, Speaker 1 & Speaker 2');
+  assert.equal(describeSource(document), 'notes.docx, Budget');
+});
+
+test('chunks without usable metadata still become sources', () => {
+  const [source] = buildSources([{ pageContent: 'x'.repeat(500), metadata: { source: 'audio', startTime: 'soon' } }]);
+  assert.equal(source.filename, 'unknown');
+  assert.equal(source.startTime, null);
+  assert.equal(source.snippet.length, 403);
+  assert.equal(describeSource(source), 'unknown');
+});
+
+test('the cited context heads every chunk with its citation number', () => {
+  const docs = [pdfChunk, audioChunk];
+  const context = buildCitedContext(docs, buildSources(docs));
+  assert.equal(context, [
+    '[1] [FROM PDF DOCUMENT: report.pdf, page 3, Results]\nRevenue grew 12% in 2023.',
+    '[2] [FROM AUDIO TRANSCRIPT: meeting.mp3, 12:34–13:10, Speaker 1 & Speaker 2]\nWe agreed to ship in May.'
+  ].join('\n\n---\n\n'));
+});
+
+test('only citations that match a source are extracted, once each', () => {
+  const sources = buildSources([pdfChunk, audioChunk]);
+  assert.deepEqual(extractCitations('Revenue grew [1], shipping in May [2][1]. See also [7].', sources), [1, 2]);
+  assert.deepEqual(extractCitations('No citations here.', sources), []);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createConversationStore, formatHistory } from "../conversation-store.js";
+import { createFakeRedis } from "./helpers/fake-redis.js";
+
+test('a conversation keeps its messages in order and its summary up to date', async () => {
+  const store = createConversationStore(createFakeRedis());
+  const { id } = await store.create('alice', 'Pricing questions');
+
+  await store.append('alice', id, { role: 'user', content: 'What does it cost?' }, { role: 'assistant', content: '$10 [1].' });
+  await store.append('alice', id, { role: 'user', content: 'Per month?' });
+
+  const conversation = await store.get('alice', id);
+  assert.equal(conversation.title, 'Pricing questions');
+  assert.equal(conversation.messageCount, 3);
+  assert.deepEqual(conversation.messages.map(m => m.content), ['What does it cost?', '$10 [1].', 'Per month?']);
+  assert.deepEqual((await store.recentMessages('alice', id, 2)).map(m => m.role), ['assistant', 'user']);
+});
+
+test('conversations are listed most recently used first and scoped to their session', async () => {
+  const store = createConversationStore(createFakeRedis());
+  const first = await store.create('alice', 'First');
+  const second = await store.create('alice', 'Second');
+  await new Promise(resolve => setTimeout(resolve, 2));
+  await store.append('alice', first.id, { role: 'user', content: 'bump' });
+
+  assert.deepEqual((await store.list('alice')).map(c => c.id), [first.id, second.id]);
+  assert.deepEqual(await store.list('bob'), []);
+  assert.equal(await store.get('bob', first.id), null);
+});
+
+test('only the last 100 messages are kept', async () => {
+  const store = createConversationStore(createFakeRedis());
+  const { id } = await store.create('alice');
+  const messages = Array.from({ length: 105 }, (_, i) => ({ role: 'user', content: `message ${i}` }));
+  await store.append('alice', id, ...messages);
+
+  const conversation = await store.get('alice', id);
+  assert.equal(conversation.messageCount, 100);
+  assert.equal(conversation.messages.length, 100);
+  assert.equal(conversation.messages[0].content, 'message 5');
+});
+
+test('appending to a missing conversation fails', async () => {
+  const store = createConversationStore(createFakeRedis());
+  await assert.rejects(store.append('alice', 'missing', { role: 'user', content: 'hi' }), /Conversation missing not found/);
+});
+
+test('removing and clearing delete the messages too', async () => {
+  const redis = createFakeRedis();
+  const store = createConversationStore(redis);
+  const a = await store.create('alice');
+  const b = await store.create('alice');
+  await store.append('alice', a.id, { role: 'user', content: 'hi' });
+  await store.append('alice', b.id, { role: 'user', content: 'hello' });
+
+  assert.equal(await store.remove('alice', a.id), true);
+  assert.equal(await store.remove('alice', a.id), false);
+  assert.deepEqual(await store.recentMessages('alice', a.id), []);
+
+  assert.equal(await store.clear('alice'), 1);
+  assert.deepEqual(await store.list('alice'), []);
+  assert.equal(await redis.exists(`conversation:alice:${b.id}`), 0);
+});
+
+test('formatHistory labels turns and trims long messages', () => {
+  const history = formatHistory([
+    { role: 'user', content: 'Summarise' },
+    { role: 'assistant', content: 'x'.repeat(12) }
+  ], 10);
+  assert.equal(history, `User: Summarise\nAssistant: ${'x'.repeat(10)}...`);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEmbeddingService, withRetry } from "../embeddings.js";
+import { createFakeRedis } from "./helpers/fake-redis.js";
+
+// Embeddings stand-in that records every call; query vectors differ from document vectors for the same text
+function countingEmbeddings() {
+  const calls = [];
+  return {
+    calls,
+    async embedDocuments(texts) {
+      calls.push(['documents', texts]);
+      return texts.map(text => [text.length, 1]);
+    },
+    async embedQuery(text) {
+      calls.push(['query', text]);
+      return [text.length, 2];
+    }
+  };
+}
+
+// A provider error asking to retry after one millisecond, so the tests don't wait out the real backoff
+function rateLimited() {
+  return Object.assign(new Error('Too many requests'), { status: 429, headers: { 'retry-after': '0.001' } });
+}
+
+test('withRetry retries rate limits until the call succeeds', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => {
+    if (++calls < 3) throw rateLimited();
+    return 'ok';
+  }, { maxRetries: 5 });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+});
+
+test('withRetry gives up after maxRetries', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw rateLimited();
+  }, { maxRetries: 2 }), /Too many requests/);
+  assert.equal(calls, 3);
+});
+
+test('withRetry does not retry errors a retry cannot fix', async () => {
+  let calls = 0;
+  const badRequest = Object.assign(new Error('Input too long'), { status: 400 });
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw badRequest;
+  }), /Input too long/);
+  assert.equal(calls, 1);
+});
+
+test('documents are embedded in batches and served from the cache afterwards', async () => {
+  const embeddings = countingEmbeddings();
+  const service = createEmbeddingService(embeddings, { redis: createFakeRedis(), batchSize: 2 });
+
+  assert.deepEqual(await service.embedDocuments(['a', 'bb', 'ccc']), [[1, 1], [2, 1], [3, 1]]);
+  assert.deepEqual(embeddings.calls, [['documents', ['a', 'bb']], ['documents', ['ccc']]]);
+
+  assert.deepEqual(await service.embedDocuments(['bb', 'dddd']), [[2, 1], [4, 1]]);
+  assert.deepEqual(embeddings.calls.at(-1), ['documents', ['dddd']]);
+});
+
+test('a query never reuses the document vector of the same text', async () => {
+  const embeddings = countingEmbeddings();
+  const service = createEmbeddingService(embeddings, { redis: createFakeRedis() });
+
+  await service.embedDocuments(['solar output']);
+  assert.deepEqual(await service.embedQuery('solar output'), [12, 2]);
+  assert.deepEqual(await service.embedQuery('solar output'), [12, 2]);
+  assert.deepEqual(await service.embedDocuments(['solar output']), [[12, 1]]);
+  assert.deepEqual(embeddings.calls.map(([kind]) => kind), ['documents', 'query']);
+});
+
+test('a failing cache falls back to embedding', async () => {
+  const redis = createFakeRedis();
+  redis.mgetBuffer = async () => { throw new Error('Connection is closed.'); };
+  redis.pipeline = () => ({ set() {}, exec: async () => { throw new Error('Connection is closed.'); } });
+  const embeddings = countingEmbeddings();
+  const service = createEmbeddingService(embeddings, { redis });
+
+  assert.deepEqual(await service.embedQuery('hello'), [5, 2]);
+  assert.equal(embeddings.calls.length, 1);
+});
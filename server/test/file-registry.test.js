@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFileRegistry } from "../file-registry.js";
+import { createFakeRedis } from "./helpers/fake-redis.js";
+
+function entry(id, fields = {}) {
+  return { id, filename: `${id}.pdf`, status: 'processing', uploadedAt: Date.now(), ...fields };
+}
+
+test('update merges changes into an existing entry', async () => {
+  const registry = createFileRegistry(createFakeRedis());
+  await registry.add('pdf', 'alice', entry('a', { contentHash: 'hash-1' }));
+
+  const updated = await registry.update('pdf', 'alice', 'a', { status: 'ready', chunkCount: 12 });
+  assert.equal(updated.status, 'ready');
+  assert.equal(updated.contentHash, 'hash-1');
+  assert.deepEqual(await registry.get('pdf', 'alice', 'a'), updated);
+  assert.equal(await registry.hasReady('pdf', 'alice'), true);
+});
+
+test('update never creates an entry', async () => {
+  const registry = createFileRegistry(createFakeRedis());
+  assert.equal(await registry.update('pdf', 'alice', 'missing', { status: 'ready' }), null);
+  assert.equal(await registry.get('pdf', 'alice', 'missing'), null);
+});
+
+test('an update racing a removal does not bring the document back', async () => {
+  const redis = createFakeRedis();
+  const registry = createFileRegistry(redis);
+  await registry.add('pdf', 'alice', entry('a'));
+
+  // The removal lands after update() has read the entry but before it writes it back
+  const hget = redis.hget;
+  redis.hget = async (...args) => {
+    const raw = await hget(...args);
+    redis.hget = hget;
+    await registry.remove('pdf', 'alice', 'a');
+    return raw;
+  };
+
+  assert.equal(await registry.update('pdf', 'alice', 'a', { status: 'ready' }), null);
+  assert.equal(await registry.get('pdf', 'alice', 'a'), null);
+  assert.deepEqual(await registry.list('pdf', 'alice'), []);
+});
+
+test('findById looks across types', async () => {
+  const registry = createFileRegistry(createFakeRedis());
+  await registry.add('audio', 'alice', entry('a'));
+  assert.equal((await registry.findById(['pdf', 'audio'], 'alice', 'a')).type, 'audio');
+  assert.equal(await registry.findById(['pdf'], 'alice', 'a'), null);
+});
+
+test('findByHash finds a byte-identical upload in the same session and type only', async () => {
+  const registry = createFileRegistry(createFakeRedis());
+  await registry.add('pdf', 'alice', entry('a', { contentHash: 'hash-1' }));
+  await registry.add('pdf', 'alice', entry('b', { contentHash: 'hash-2' }));
+
+  assert.equal((await registry.findByHash('pdf', 'alice', 'hash-2')).id, 'b');
+  assert.equal(await registry.findByHash('pdf', 'alice', 'hash-3'), null);
+  assert.equal(await registry.findByHash('pdf', 'bob', 'hash-1'), null);
+  assert.equal(await registry.findByHash('audio', 'alice', 'hash-1'), null);
+});
+
+test('a removed document is no longer found by its hash', async () => {
+  const registry = createFileRegistry(createFakeRedis());
+  await registry.add('pdf', 'alice', entry('a', { contentHash: 'hash-1' }));
+  assert.equal(await registry.remove('pdf', 'alice', 'a'), true);
+  assert.equal(await registry.findByHash('pdf', 'alice', 'hash-1'), null);
+});
@@ -0,0 +1,123 @@
+// fake-redis.js - in-memory stand-in for the few ioredis commands the server modules use
+//
+// Strings, hashes and lists only. Expiry times are recorded but never enforced; tests that need a key to
+// expire delete it themselves.
+export function createFakeRedis() {
+  const strings = new Map();
+  const hashes = new Map();
+  const lists = new Map();
+  const ttls = new Map();
+
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  // Redis list indexes are inclusive and count from the end when negative
+  const slice = (list, start, stop) => {
+    const from = start < 0 ? Math.max(list.length + start, 0) : start;
+    const to = stop < 0 ? list.length + stop : stop;
+    return list.slice(from, to + 1);
+  };
+
+  const commands = {
+    async get(key) {
+      return strings.get(key) ?? null;
+    },
+    // set(key, value, ['EX' | 'PX', ttl], ['NX'])
+    async set(key, value, ...options) {
+      if (options.includes('NX') && strings.has(key)) return null;
+      strings.set(key, Buffer.isBuffer(value) ? value : String(value));
+      const unit = options.findIndex(option => option === 'EX' || option === 'PX');
+      if (unit !== -1) ttls.set(key, options[unit] === 'EX' ? options[unit + 1] * 1000 : options[unit + 1]);
+      return 'OK';
+    },
+    // ioredis hands out slices of its socket buffer, which need not start on any particular byte boundary
+    async mgetBuffer(keys) {
+      return keys.map(key => {
+        if (!strings.has(key)) return null;
+        return Buffer.concat([Buffer.alloc(1), Buffer.from(strings.get(key))]).subarray(1);
+      });
+    },
+    async incr(key) {
+      const next = Number(strings.get(key) ?? 0) + 1;
+      strings.set(key, String(next));
+      return next;
+    },
+    async exists(...keys) {
+      return keys.filter(key => strings.has(key) || hashes.has(key) || lists.has(key)).length;
+    },
+    async del(...keys) {
+      return keys.filter(key => [strings, hashes, lists].map(store => store.delete(key)).some(Boolean)).length;
+    },
+    async expire(key, seconds) {
+      ttls.set(key, seconds * 1000);
+      return 1;
+    },
+    async pexpire(key, ms) {
+      ttls.set(key, ms);
+      return 1;
+    },
+    async hget(key, field) {
+      return hashes.get(key)?.get(field) ?? null;
+    },
+    async hgetall(key) {
+      return Object.fromEntries(hashes.get(key) ?? []);
+    },
+    async hset(key, field, value) {
+      const isNew = !hash(key).has(field);
+      hash(key).set(field, String(value));
+      return isNew ? 1 : 0;
+    },
+    async hdel(key, ...fields) {
+      const entries = hashes.get(key);
+      if (!entries) return 0;
+      const removed = fields.filter(field => entries.delete(field)).length;
+      if (entries.size === 0) hashes.delete(key);
+      return removed;
+    },
+    async hincrby(key, field, amount) {
+      const next = Number(hash(key).get(field) ?? 0) + amount;
+      hash(key).set(field, String(next));
+      return next;
+    },
+    async hkeys(key) {
+      return [...(hashes.get(key)?.keys() ?? [])];
+    },
+    async rpush(key, ...values) {
+      if (!lists.has(key)) lists.set(key, []);
+      lists.get(key).push(...values.map(String));
+      return lists.get(key).length;
+    },
+    async lrange(key, start, stop) {
+      return slice(lists.get(key) ?? [], start, stop);
+    },
+    async ltrim(key, start, stop) {
+      const kept = slice(lists.get(key) ?? [], start, stop);
+      if (kept.length > 0) lists.set(key, kept);
+      else lists.delete(key);
+      return 'OK';
+    }
+  };
+
+  // Queued commands run in order on exec() -> [[error, result], ...], like ioredis; pipeline() behaves the same
+  function multi() {
+    const queued = [];
+    const transaction = {
+      async exec() {
+        const results = [];
+        for (const [name, args] of queued) results.push([null, await commands[name](...args)]);
+        return results;
+      }
+    };
+    for (const name of Object.keys(commands)) {
+      transaction[name] = (...args) => {
+        queued.push([name, args]);
+        return transaction;
+      };
+    }
+    return transaction;
+  }
+
+  return { ...commands, multi, pipeline: multi, ttls };
+}
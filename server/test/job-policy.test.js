@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { UnrecoverableError } from "bullmq";
+import { attemptInfo, moveToDeadLetter } from "../job-policy.js";
+
+// Dead-letter queue stand-in keeping its jobs by id
+function fakeQueue() {
+  const jobs = new Map();
+  return {
+    jobs,
+    async getJob(id) {
+      return jobs.get(id) ?? null;
+    },
+    async add(name, data, { jobId }) {
+      const job = { id: jobId, name, data, remove: async () => { jobs.delete(jobId); } };
+      jobs.set(jobId, job);
+      return job;
+    }
+  };
+}
+
+function failedJob(fields = {}) {
+  return {
+    id: '42',
+    name: 'process-pdf',
+    queueName: 'file-upload-queue',
+    data: { sessionId: 'alice', documentId: 'doc-1' },
+    opts: { attempts: 3 },
+    attemptsMade: 3,
+    finishedOn: Date.UTC(2026, 0, 2),
+    stacktrace: ['Error: boom'],
+    ...fields
+  };
+}
+
+test('attemptInfo counts attempts and marks the last one final', () => {
+  assert.deepEqual(attemptInfo({ opts: { attempts: 3 }, attemptsMade: 0 }), { attempt: 1, maxAttempts: 3, final: false });
+  assert.deepEqual(attemptInfo({ opts: { attempts: 3 }, attemptsMade: 2 }), { attempt: 3, maxAttempts: 3, final: true });
+  assert.deepEqual(attemptInfo({ attemptsMade: 0 }), { attempt: 1, maxAttempts: 1, final: true });
+});
+
+test('an unrecoverable error is final on any attempt', () => {
+  const job = { opts: { attempts: 3 }, attemptsMade: 0 };
+  assert.equal(attemptInfo(job, new UnrecoverableError('Document is empty')).final, true);
+  assert.equal(attemptInfo(job, new Error('HTTP 503')).final, false);
+});
+
+test('a job that failed for good is parked in the dead-letter queue', async () => {
+  const queue = fakeQueue();
+  await moveToDeadLetter(queue, failedJob(), new Error('boom'));
+
+  const entry = queue.jobs.get('file-upload-queue-42');
+  assert.equal(entry.name, 'process-pdf');
+  assert.deepEqual(entry.data, {
+    queue: 'file-upload-queue',
+    jobId: '42',
+    name: 'process-pdf',
+    data: { sessionId: 'alice', documentId: 'doc-1' },
+    failedReason: 'boom',
+    stacktrace: ['Error: boom'],
+    attemptsMade: 3,
+    failedAt: '2026-01-02T00:00:00.000Z'
+  });
+});
+
+test('a job that will be retried stays out of the dead-letter queue', async () => {
+  const queue = fakeQueue();
+  await moveToDeadLetter(queue, failedJob({ finishedOn: undefined, attemptsMade: 1 }), new Error('boom'));
+  assert.equal(queue.jobs.size, 0);
+});
+
+test('failing again replaces the earlier dead-letter entry', async () => {
+  const queue = fakeQueue();
+  await moveToDeadLetter(queue, failedJob(), new Error('first'));
+  await moveToDeadLetter(queue, failedJob(), new Error('second'));
+  assert.equal(queue.jobs.size, 1);
+  assert.equal(queue.jobs.get('file-upload-queue-42').data.failedReason, 'second');
+});
+
+test('a dead-letter queue that is down does not throw from the failed listener', async () => {
+  const queue = fakeQueue();
+  queue.add = async () => { throw new Error('Connection is closed.'); };
+  await assert.doesNotReject(moveToDeadLetter(queue, failedJob(), new Error('boom')));
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import IORedis from "ioredis";
+import { createProgressHub, resumeFrom, stagePercent } from "../job-progress.js";
+
+// Same options as the server's shared client, which keeps ioredis' default maxRetriesPerRequest. Nothing
+// listens on port 1, so the QueueEvents only ever retry their connection.
+function sharedClient() {
+  return new IORedis('redis://127.0.0.1:1', { lazyConnect: true, retryStrategy: () => null });
+}
+
+test('progress hub builds on the shared client without a blocking-options error', async () => {
+  const connection = sharedClient();
+  const queue = { name: 'pdf-test-queue', getJob: async () => null };
+  let hub;
+  assert.doesNotThrow(() => {
+    hub = createProgressHub({
+      documentTypes: { pdf: { queue } },
+      fileRegistry: { get: async () => null },
+      connection
+    });
+  });
+
+  const unsubscribe = hub.subscribe('session-1', () => {});
+  unsubscribe();
+
+  // Closing a connection that never came up rejects; only construction is under test
+  await hub.close().catch(() => {});
+  connection.disconnect();
+});
+
+test('resumeFrom only trusts a checkpoint for the same chunking', () => {
+  const job = { data: { checkpoint: { chunkCount: 10, stored: 4 } } };
+  assert.equal(resumeFrom(job, 10), 4);
+  assert.equal(resumeFrom(job, 12), 0);
+  assert.equal(resumeFrom({ data: {} }, 10), 0);
+});
+
+test('stagePercent scales progress into the stage range', () => {
+  assert.equal(stagePercent(20, 60, 1, 4), 30);
+  assert.equal(stagePercent(20, 60, 0, 0), 60);
+});
@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document } from "@langchain/core/documents";
+
+process.env.CHAT_PROVIDER = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.TRANSCRIPTION_PROVIDER = 'local';
+process.env.DIARIZATION_PROVIDER = 'local';
+process.env.RERANK_PROVIDER = 'local';
+const {
+  assertEmbeddingDimension,
+  createChatModel,
+  createCrossEncoder,
+  createDiarizer,
+  createEmbeddings,
+  createTranscriber,
+  getProviderConfig
+} = await import("../providers.js");
+const { chunkDocuments } = await import("../chunking.js");
+const { createEmbeddingService } = await import("../embeddings.js");
+const { rerankAndSelect } = await import("../rerank.js");
+const { buildCitedContext, buildSources, extractCitations } = await import("../citations.js");
+
+// Runs `fn` with some variables changed, restoring them afterwards
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test('getProviderConfig reports the local stand-ins', () => {
+  const config = getProviderConfig();
+  assert.equal(config.chat.provider, 'local');
+  assert.equal(config.embedding.model, 'local');
+  assert.equal(config.diarization.provider, 'local');
+});
+
+test('an unsupported provider is rejected with the allowed values', async () => {
+  await withEnv({ CHAT_PROVIDER: 'mistral' }, () => {
+    assert.throws(() => getProviderConfig(), /CHAT_PROVIDER=mistral is not supported, use one of: gemini, openai/);
+  });
+});
+
+test('openai-compatible needs a base URL', async () => {
+  await withEnv({ EMBEDDING_PROVIDER: 'openai-compatible', OPENAI_BASE_URL: '' }, () => {
+    assert.throws(() => createEmbeddings(), /OPENAI_BASE_URL is required/);
+  });
+});
+
+test('the local chat model answers with LOCAL_CHAT_RESPONSE', async () => {
+  await withEnv({ LOCAL_CHAT_RESPONSE: 'Canned [2].' }, async () => {
+    const result = await createChatModel().invoke('What is in the report?');
+    assert.equal(result.content, 'Canned [2].');
+  });
+});
+
+test('local embeddings are deterministic and match the collection size', async () => {
+  const embeddings = createEmbeddings();
+  const [a, b] = await embeddings.embedDocuments(['quarterly revenue', 'quarterly revenue']);
+  assert.equal(a.length, 768);
+  assert.deepEqual(a, b);
+  assert.equal(await assertEmbeddingDimension(embeddings), 768);
+});
+
+test('assertEmbeddingDimension rejects a model of the wrong size', async () => {
+  const small = { embedQuery: async () => [0.1, 0.2, 0.3] };
+  await assert.rejects(assertEmbeddingDimension(small), /returns 3-dimensional vectors, but the collections expect 768/);
+});
+
+test('the local transcriber returns one segment spanning the recording', async () => {
+  await withEnv({ LOCAL_TRANSCRIPT: 'Hello and welcome.' }, async () => {
+    const transcribe = createTranscriber();
+    const result = await transcribe(new Blob(['audio']), { filename: 'talk.mp3', duration: 42 });
+    assert.deepEqual(result, { text: 'Hello and welcome.', segments: [{ start: 0, end: 42, text: 'Hello and welcome.' }] });
+  });
+});
+
+test('the local diarizer alternates two speakers', async () => {
+  await withEnv({ LOCAL_DIARIZATION_TURN_SECONDS: '30' }, async () => {
+    const turns = await createDiarizer()(new Blob(['audio']), { duration: 70 });
+    assert.deepEqual(turns, [
+      { speaker: 'SPEAKER_00', start: 0, end: 30 },
+      { speaker: 'SPEAKER_01', start: 30, end: 60 },
+      { speaker: 'SPEAKER_00', start: 60, end: 70 }
+    ]);
+  });
+  await withEnv({ DIARIZATION_PROVIDER: 'none' }, () => {
+    assert.equal(createDiarizer(), null);
+  });
+});
+
+test('the local cross-encoder scores the share of query terms a passage contains', async () => {
+  const scores = await createCrossEncoder()('solar panel output', ['The solar output doubled', 'Nothing relevant']);
+  assert.deepEqual(scores, [2 / 3, 0]);
+});
+
+test('the whole pipeline runs against the local stand-ins', async () => {
+  const pages = [
+    new Document({ pageContent: 'The solar farm produced 12 GWh in 2023.', metadata: { filename: 'energy.pdf', loc: { pageNumber: 1 } } }),
+    new Document({ pageContent: 'Staff numbers stayed flat over the year.', metadata: { filename: 'energy.pdf', loc: { pageNumber: 2 } } })
+  ];
+  const chunks = chunkDocuments(pages);
+  assert.equal(chunks.length, 2);
+
+  const embeddings = createEmbeddingService(createEmbeddings());
+  const vectors = await embeddings.embedDocuments(chunks.map(chunk => chunk.pageContent));
+  assert.ok(vectors.every(vector => vector.length === 768));
+
+  const selected = await rerankAndSelect('How much did the solar farm produce?', chunks, { reranker: 'cross-encoder' });
+  assert.equal(selected[0].metadata.loc.pageNumber, 1);
+
+  const sources = buildSources(selected);
+  const context = buildCitedContext(selected, sources);
+  assert.match(context, /^\[1\] \[FROM PDF DOCUMENT: energy\.pdf, page 1\]/);
+
+  const answer = await createChatModel().invoke(context);
+  assert.deepEqual(extractCitations(answer.content, sources), [1]);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ensureCollection, keywordSearchCollection, reciprocalRankFusion, SPARSE_VECTOR } from "../qdrant.js";
+
+function chunk(id, text) {
+  return { id, pageContent: text, metadata: { documentId: 'doc', chunkIndex: Number(id.slice(1)) } };
+}
+
+// Qdrant client stand-in: a collection with the sparse vector that answers every query with `points`
+function fakeClient(points) {
+  const queries = [];
+  return {
+    queries,
+    getCollection: async () => ({ config: { params: { sparse_vectors: { [SPARSE_VECTOR]: {} } } } }),
+    createPayloadIndex: async () => {},
+    query: async (collectionName, request) => {
+      queries.push(request);
+      return { points };
+    }
+  };
+}
+
+function point(id, score) {
+  return { id, score, payload: { content: `chunk ${id}`, metadata: { sessionId: 'alice' } } };
+}
+
+test('reciprocalRankFusion favours points ranked well in both lists', () => {
+  const dense = [chunk('c1', 'a'), chunk('c2', 'b'), chunk('c3', 'c')];
+  const sparse = [chunk('c2', 'b'), chunk('c4', 'd'), chunk('c5', 'e')];
+  const fused = reciprocalRankFusion([dense, sparse], 3);
+
+  assert.deepEqual(fused.map(doc => doc.id), ['c2', 'c1', 'c4']);
+  assert.equal(fused[0].metadata.fusedScore, 1 / 62 + 1 / 61);
+});
+
+test('reciprocalRankFusion keeps the top k', () => {
+  const list = Array.from({ length: 10 }, (_, i) => chunk(`c${i}`, String(i)));
+  assert.equal(reciprocalRankFusion([list], 4).length, 4);
+});
+
+test('keyword search drops matches far below the best one', async () => {
+  const client = fakeClient([point('a', 9.1), point('b', 4.2), point('c', 0.6)]);
+  await ensureCollection(client, 'pdf-keyword');
+
+  const docs = await keywordSearchCollection(client, 'pdf-keyword', 'solar output', { sessionId: 'alice', keywordScoreThreshold: 0.2 });
+  assert.deepEqual(docs.map(doc => doc.id), ['a', 'b']);
+  assert.equal(docs[0].metadata.score, 9.1);
+  assert.equal(client.queries[0].using, SPARSE_VECTOR);
+  assert.deepEqual(client.queries[0].filter.must[0], { key: 'metadata.sessionId', match: { value: 'alice' } });
+});
+
+test('a keyword threshold of 0 keeps every match', async () => {
+  const client = fakeClient([point('a', 9.1), point('c', 0.6)]);
+  await ensureCollection(client, 'pdf-keyword-all');
+
+  const docs = await keywordSearchCollection(client, 'pdf-keyword-all', 'solar', { sessionId: 'alice', keywordScoreThreshold: 0 });
+  assert.equal(docs.length, 2);
+});
+
+test('keyword search skips queries without terms and collections without the sparse vector', async () => {
+  const client = fakeClient([point('a', 1)]);
+  await ensureCollection(client, 'pdf-stopwords');
+  assert.deepEqual(await keywordSearchCollection(client, 'pdf-stopwords', 'the of and', { sessionId: 'alice' }), []);
+  assert.deepEqual(await keywordSearchCollection(client, 'never-ensured', 'solar', { sessionId: 'alice' }), []);
+  assert.equal(client.queries.length, 0);
+});
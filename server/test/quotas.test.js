@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeRedis } from "./helpers/fake-redis.js";
+
+// Limits are read when quotas.js loads
+process.env.RATE_LIMIT_CHAT_PER_MINUTE = '2';
+process.env.QUOTA_UPLOAD_MB_PER_DAY = '1';
+process.env.QUOTA_STORED_CHUNKS = '100';
+process.env.QUOTA_LLM_TOKENS_PER_DAY = '1000';
+const { createQuotas } = await import("../quotas.js");
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function run(middleware, req) {
+  const res = fakeResponse();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+const request = (userId, headers = {}) => ({ auth: { userId }, headers });
+
+test('the chat rate limit allows the configured number of requests per minute, per user', async () => {
+  const quotas = createQuotas(createFakeRedis(), { storedChunks: async () => 0 });
+  const limit = quotas.rateLimit('chat');
+
+  assert.equal((await run(limit, request('alice'))).passed, true);
+  assert.equal((await run(limit, request('alice'))).passed, true);
+  const { res, passed } = await run(limit, request('alice'));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.limit, 'chatPerMinute');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+
+  assert.equal((await run(limit, request('bob'))).passed, true);
+});
+
+test('LLM tokens add up per user until the daily quota is reached', async () => {
+  const quotas = createQuotas(createFakeRedis(), { storedChunks: async () => 0 });
+  const check = quotas.llmQuota();
+
+  await quotas.recordLlmTokens('alice', 400);
+  await quotas.recordLlmTokens('alice', 599.6); // rounded to 600
+  assert.equal((await quotas.usage('alice')).usage.llmTokensToday, 1000);
+
+  const { res, passed } = await run(check, request('alice'));
+  assert.equal(passed, false);
+  assert.equal(res.body.limit, 'llmTokensPerDay');
+
+  assert.equal((await run(check, request('bob'))).passed, true);
+});
+
+test('zero tokens are not recorded', async () => {
+  const redis = createFakeRedis();
+  const quotas = createQuotas(redis, { storedChunks: async () => 0 });
+  await quotas.recordLlmTokens('alice', 0);
+  assert.equal((await quotas.usage('alice')).usage.llmTokensToday, 0);
+});
+
+test('an upload over the daily volume is refused before it is read', async () => {
+  const quotas = createQuotas(createFakeRedis(), { storedChunks: async () => 0 });
+  const check = quotas.uploadQuota();
+
+  await quotas.recordUpload('alice', 700 * 1024);
+  assert.equal((await run(check, request('alice', { 'content-length': String(200 * 1024) }))).passed, true);
+
+  const { res, passed } = await run(check, request('alice', { 'content-length': String(400 * 1024) }));
+  assert.equal(passed, false);
+  assert.equal(res.body.limit, 'uploadMbPerDay');
+});
+
+test('uploads are refused once the stored chunks reach the quota, without Retry-After', async () => {
+  const quotas = createQuotas(createFakeRedis(), { storedChunks: async userId => (userId === 'alice' ? 100 : 10) });
+  const check = quotas.uploadQuota();
+
+  const { res, passed } = await run(check, request('alice'));
+  assert.equal(passed, false);
+  assert.equal(res.body.limit, 'storedChunks');
+  assert.equal(res.headers['Retry-After'], undefined);
+
+  assert.equal((await run(check, request('bob'))).passed, true);
+});
+
+test('a Redis failure lets requests through', async () => {
+  const broken = createFakeRedis();
+  broken.multi = () => { throw new Error('connection lost'); };
+  broken.hgetall = async () => { throw new Error('connection lost'); };
+  const quotas = createQuotas(broken, { storedChunks: async () => 0 });
+
+  assert.equal((await run(quotas.rateLimit('chat'), request('alice'))).passed, true);
+  assert.equal((await run(quotas.llmQuota(), request('alice'))).passed, true);
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rerankAndSelect, mergeNeighbours } from "../rerank.js";
+
+function chunk(id, text, metadata = {}) {
+  return { id, pageContent: text, metadata: { documentId: 'doc', chunkIndex: Number(id.slice(1)), ...metadata } };
+}
+
+test('without a reranker the retrieval order is kept', async () => {
+  const candidates = [
+    chunk('c1', 'unrelated text', { fusedScore: 0.03 }),
+    chunk('c2', 'the answer about pricing', { fusedScore: 0.01 })
+  ];
+  const selected = await rerankAndSelect('pricing', candidates, { reranker: 'none' });
+  assert.deepEqual(selected.map(doc => doc.id), ['c1', 'c2']);
+});
+
+test('the lexical reranker moves keyword matches up', async () => {
+  const candidates = [
+    chunk('c1', 'unrelated text about the weather', { fusedScore: 0.03 }),
+    chunk('c2', 'the pricing table lists every plan', { fusedScore: 0.01 })
+  ];
+  const selected = await rerankAndSelect('pricing plan', candidates, { reranker: 'lexical' });
+  assert.equal(selected[0].id, 'c2');
+});
+
+test('selection stops at the token budget but always keeps the best chunk', async () => {
+  const candidates = [
+    chunk('c1', 'x'.repeat(400), { score: 0.9 }),
+    chunk('c2', 'y'.repeat(400), { score: 0.8 }),
+    chunk('c3', 'z'.repeat(40), { score: 0.7 })
+  ];
+  // 100 + 100 + 10 tokens
+  const selected = await rerankAndSelect('q', candidates, { reranker: 'none', tokenBudget: 150 });
+  assert.deepEqual(selected.map(doc => doc.id), ['c1', 'c3']);
+
+  const tiny = await rerankAndSelect('q', candidates.slice(0, 1), { reranker: 'none', tokenBudget: 1 });
+  assert.equal(tiny.length, 1);
+});
+
+test('chunks contained in a better one are dropped and shared text is trimmed', async () => {
+  const shared = 'The shared sentence that both neighbouring chunks repeat as overlap text.';
+  const candidates = [
+    chunk('c1', `First chunk opening words. ${shared}`, { score: 0.9 }),
+    chunk('c2', `${shared} Second chunk closing words.`, { score: 0.8 }),
+    chunk('c3', 'First chunk opening words.', { score: 0.7 })
+  ];
+  const selected = await rerankAndSelect('q', candidates, { reranker: 'none' });
+
+  assert.deepEqual(selected.map(doc => doc.id), ['c1', 'c2']);
+  assert.equal(selected[1].pageContent.trim(), 'Second chunk closing words.');
+});
+
+test('the llm reranker reports its token usage', async () => {
+  process.env.CHAT_PROVIDER = 'local';
+  process.env.LOCAL_CHAT_RESPONSE = '[2, 9]';
+  const usage = [];
+  const candidates = [chunk('c1', 'first', { score: 0.9 }), chunk('c2', 'second', { score: 0.8 })];
+
+  const selected = await rerankAndSelect('q', candidates, { reranker: 'llm', onLlmTokens: tokens => usage.push(tokens) });
+
+  assert.deepEqual(selected.map(doc => doc.id), ['c2', 'c1']);
+  assert.equal(usage.length, 1);
+  assert.ok(usage[0].promptTokens > 0 && usage[0].completionTokens > 0);
+});
+
+test('a failing reranker falls back to retrieval order', async () => {
+  process.env.CHAT_PROVIDER = 'local';
+  process.env.LOCAL_CHAT_RESPONSE = 'not a score list';
+  const candidates = [chunk('c1', 'first', { score: 0.1 }), chunk('c2', 'second', { score: 0.9 })];
+  const selected = await rerankAndSelect('q', candidates, { reranker: 'llm' });
+  assert.deepEqual(selected.map(doc => doc.id), ['c2', 'c1']);
+});
+
+test('expanded neighbours count against the budget and are not selected twice', async () => {
+  const neighbours = { c1: chunk('c0', 'n'.repeat(200)) };
+  const expand = async (doc) => (neighbours[doc.id] ? mergeNeighbours(doc, [neighbours[doc.id]]) : doc);
+  const candidates = [
+    chunk('c1', 'a'.repeat(200), { score: 0.9 }),
+    chunk('c0', 'n'.repeat(200), { score: 0.8 }),
+    chunk('c5', 'b'.repeat(200), { score: 0.7 })
+  ];
+  // c1 grows to 100 tokens with c0; c0 is then covered; c5 no longer fits
+  const selected = await rerankAndSelect('q', candidates, { reranker: 'none', tokenBudget: 120, expand });
+
+  assert.deepEqual(selected.map(doc => doc.id), ['c1']);
+  assert.deepEqual(selected[0].metadata.chunkIndexes, [0, 1]);
+});
+
+test('mergeNeighbours joins chunks in order and widens transcript times', () => {
+  const doc = chunk('c2', 'middle', { startTime: 20, endTime: 30, speakers: ['Speaker 2'] });
+  mergeNeighbours(doc, [
+    chunk('c3', 'after', { startTime: 30, endTime: 40, speakers: ['Speaker 1'] }),
+    chunk('c1', 'before', { startTime: 10, endTime: 20, speakers: ['Speaker 1'] })
+  ]);
+
+  assert.equal(doc.pageContent, 'before\nmiddle\nafter');
+  assert.equal(doc.metadata.startTime, 10);
+  assert.equal(doc.metadata.endTime, 40);
+  assert.deepEqual(doc.metadata.speakers.sort(), ['Speaker 1', 'Speaker 2']);
+  assert.equal(doc.metadata.neighbours, 2);
+});
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Binaries that don't exist, so the worker's missing-ffmpeg paths run everywhere (read when ffmpeg.js loads)
+process.env.FFMPEG_PATH = 'ffmpeg-not-installed';
+process.env.FFPROBE_PATH = 'ffprobe-not-installed';
+const { assertFfmpegAvailable } = await import("../ffmpeg.js");
+const { assignSpeakers, extractVideoAudio, mediaKind, planWindows, stitchWindows } = await import("../transcription.js");
+
+test('a recording no longer than one window is sent whole', () => {
+  assert.deepEqual(planWindows(42, 60, 5), [{ index: 0, start: 0, end: 42 }]);
+  assert.deepEqual(planWindows(60, 60, 5), [{ index: 0, start: 0, end: 60 }]);
+});
+
+test('windows overlap by the configured seconds and the last one stops at the end', () => {
+  assert.deepEqual(planWindows(150, 60, 5), [
+    { index: 0, start: 0, end: 60 },
+    { index: 1, start: 55, end: 115 },
+    { index: 2, start: 110, end: 150 }
+  ]);
+});
+
+test('a window ending exactly at the end of the recording is the last one', () => {
+  assert.deepEqual(planWindows(115, 60, 5).map(w => [w.start, w.end]), [[0, 60], [55, 115]]);
+  assert.deepEqual(planWindows(116, 60, 5).map(w => [w.start, w.end]), [[0, 60], [55, 115], [110, 116]]);
+});
+
+test('an overlap as long as the window still moves forward', () => {
+  assert.deepEqual(planWindows(3, 2, 5).map(w => [w.start, w.end]), [[0, 2], [1, 3]]);
+});
+
+test('stitching keeps speech heard by two windows once and makes times absolute', () => {
+  const windows = [{ index: 0, start: 0, end: 60 }, { index: 1, start: 55, end: 115 }];
+  const results = [
+    {
+      text: 'a b c',
+      segments: [
+        { start: 0, end: 30, text: 'a' },
+        { start: 30, end: 50, text: 'b' },
+        { start: 56, end: 60, text: 'c' } // middle 58 is past the overlap midpoint 57.5: the next window's
+      ]
+    },
+    {
+      text: 'b c d',
+      segments: [
+        { start: 0, end: 2, text: 'b' }, // absolute 55-57, middle before 57.5: the previous window's
+        { start: 1, end: 5, text: 'c' },
+        { start: 5, end: null, text: 'd' }
+      ]
+    }
+  ];
+
+  assert.deepEqual(stitchWindows(windows, results), [
+    { start: 0, end: 30, text: 'a' },
+    { start: 30, end: 50, text: 'b' },
+    { start: 56, end: 60, text: 'c' },
+    { start: 60, end: 115, text: 'd' }
+  ]);
+});
+
+test('a window without segments becomes one segment spanning it', () => {
+  const windows = [{ index: 0, start: 0, end: 60 }, { index: 1, start: 55, end: 100 }];
+  const results = [
+    { text: 'first', segments: [{ start: 0, end: null, text: 'first' }] },
+    { text: 'second', segments: [] }
+  ];
+
+  assert.deepEqual(stitchWindows(windows, results), [
+    { start: 0, end: 60, text: 'first' },
+    { start: 55, end: 100, text: 'second' }
+  ]);
+});
+
+test('without speaker turns segments are left unlabelled', () => {
+  const segments = [{ start: 0, end: 5, text: 'hello' }];
+  assert.equal(assignSpeakers(segments, null), segments);
+  assert.equal(assignSpeakers(segments, []), segments);
+});
+
+test('each segment takes the speaker it overlaps most, numbered by first appearance', () => {
+  const turns = [
+    { speaker: 'SPEAKER_01', start: 0, end: 10 },
+    { speaker: 'SPEAKER_00', start: 10, end: 30 },
+    { speaker: 'SPEAKER_01', start: 30, end: 40 }
+  ];
+  const segments = [
+    { start: 0, end: 8, text: 'a' },
+    { start: 8, end: 20, text: 'b' }, // 2s with SPEAKER_01, 10s with SPEAKER_00
+    { start: 28, end: 40, text: 'c' }
+  ];
+
+  assert.deepEqual(assignSpeakers(segments, turns).map(s => s.speaker), ['Speaker 1', 'Speaker 2', 'Speaker 1']);
+});
+
+test('a segment between turns goes to the nearest one', () => {
+  const turns = [
+    { speaker: 'SPEAKER_00', start: 0, end: 10 },
+    { speaker: 'SPEAKER_01', start: 20, end: 30 }
+  ];
+  const segments = [
+    { start: 12, end: 13, text: 'closer to the first' },
+    { start: 18, end: 19, text: 'closer to the second' },
+    { start: 35, end: null, text: 'after the last turn' }
+  ];
+
+  assert.deepEqual(assignSpeakers(segments, turns).map(s => s.speaker), ['Speaker 1', 'Speaker 2', 'Speaker 2']);
+});
+
+test('a segment split evenly between two turns stays with the earlier one', () => {
+  const turns = [
+    { speaker: 'SPEAKER_00', start: 0, end: 10 },
+    { speaker: 'SPEAKER_01', start: 10, end: 20 }
+  ];
+  const [segment] = assignSpeakers([{ start: 5, end: 15, text: 'shared' }], turns);
+  assert.deepEqual(segment, { start: 5, end: 15, text: 'shared', speaker: 'Speaker 1' });
+});
+
+test('mediaKind trusts a specific MIME type over the extension', () => {
+  assert.equal(mediaKind('video/mp4', 'talk.mp4'), 'video');
+  assert.equal(mediaKind('audio/webm', 'voice-note.webm'), 'audio');
+  assert.equal(mediaKind('video/quicktime', 'clip.mp3'), 'video');
+});
+
+test('mediaKind falls back to the extension for generic or missing MIME types', () => {
+  assert.equal(mediaKind('application/octet-stream', 'Lecture.MOV'), 'video');
+  assert.equal(mediaKind('application/octet-stream', 'interview.wav'), 'audio');
+  assert.equal(mediaKind(undefined, undefined), 'audio');
+});
+
+test('a video cannot be read without ffmpeg', async () => {
+  await assert.rejects(extractVideoAudio('/nonexistent/talk.mp4'), /ffmpeg and ffprobe are required to ingest video files/);
+  await assert.rejects(assertFfmpegAvailable(), /ffmpeg-not-installed, ffprobe-not-installed not found: install ffmpeg/);
+});
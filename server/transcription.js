@@ -0,0 +1,166 @@
+// transcription.js - long recordings: overlapping windows, bounded-parallel transcription, timestamped stitching
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join, extname } from "path";
+import { Blob } from "buffer";
+import { UnrecoverableError } from "bullmq";
+import { probeDuration, extractAudioWindow, hasAudioStream, extractAudioTrack } from "./ffmpeg.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { logger } from "./logger.js";
+
+// Window length, overlap between neighbouring windows and parallel requests (all overridable)
+const WINDOW_SECONDS = Number(process.env.AUDIO_WINDOW_SECONDS ?? 60);
+const OVERLAP_SECONDS = Number(process.env.AUDIO_WINDOW_OVERLAP_SECONDS ?? 5);
+const CONCURRENCY = Number(process.env.AUDIO_TRANSCRIBE_CONCURRENCY ?? 3);
+
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm', '.mkv', '.avi'];
+
+// Upload size limits in MB; a video is far larger than its audio track (override with MAX_VIDEO_UPLOAD_MB)
+export const MAX_MEDIA_MB = {
+  audio: 50,
+  video: Number(process.env.MAX_VIDEO_UPLOAD_MB ?? 500)
+};
+
+// 'video' or 'audio'; the MIME type decides when it is specific (audio/webm is audio), else the extension
+export function mediaKind(mimetype = '', filename = '') {
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  return VIDEO_EXTENSIONS.includes(extname(filename).toLowerCase()) ? 'video' : 'audio';
+}
+
+// Writes the audio track of a video next to it and returns its path; everything downstream
+// (windows, segment timestamps, diarization) then runs on the same timeline as the video
+export async function extractVideoAudio(videoPath) {
+  let hasAudio;
+  try {
+    hasAudio = await hasAudioStream(videoPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error('ffmpeg and ffprobe are required to ingest video files');
+    throw err;
+  }
+  if (!hasAudio) throw new UnrecoverableError('Video has no audio track to transcribe');
+
+  const audioPath = `${videoPath}.flac`;
+  await extractAudioTrack(videoPath, audioPath);
+  return audioPath;
+}
+
+// [{ index, start, end }] covering [0, duration), each window overlapping the previous by `overlapSeconds`
+export function planWindows(duration, windowSeconds = WINDOW_SECONDS, overlapSeconds = OVERLAP_SECONDS) {
+  if (duration <= windowSeconds) return [{ index: 0, start: 0, end: duration }];
+
+  const step = Math.max(windowSeconds - overlapSeconds, 1);
+  const windows = [];
+  for (let start = 0; start < duration; start += step) {
+    const end = Math.min(start + windowSeconds, duration);
+    windows.push({ index: windows.length, start, end });
+    if (end >= duration) break;
+  }
+  return windows;
+}
+
+// Segments relative to their window -> absolute times; missing ends run to the next segment (or window end)
+function toAbsolute(segments, text, window) {
+  const list = segments?.length > 0 ? segments : [{ start: 0, end: null, text }];
+  return list.map((segment, i) => {
+    const start = window.start + segment.start;
+    const nextStart = list[i + 1] ? window.start + list[i + 1].start : window.end;
+    const end = segment.end !== null ? window.start + segment.end : nextStart;
+    return { start, end: Math.max(end, start), text: segment.text };
+  });
+}
+
+// Each window keeps the segments whose midpoint lies in its half of the overlaps, so speech heard
+// by two windows is kept once
+export function stitchWindows(windows, results) {
+  const segments = [];
+  windows.forEach((window, i) => {
+    const from = i === 0 ? -Infinity : (windows[i - 1].end + window.start) / 2;
+    const to = i === windows.length - 1 ? Infinity : (window.end + windows[i + 1].start) / 2;
+
+    for (const segment of toAbsolute(results[i].segments, results[i].text, window)) {
+      const middle = (segment.start + segment.end) / 2;
+      if (middle >= from && middle < to) segments.push(segment);
+    }
+  });
+  return segments;
+}
+
+// Transcribes a file of any length -> { text, segments: [{ start, end, text }], duration }
+// Without ffprobe the whole file goes out in one request, as before windowing existed.
+export async function transcribeLongAudio(transcribe, inputPath, { filename, mimetype, onProgress } = {}) {
+  let duration = null;
+  try {
+    duration = await probeDuration(inputPath);
+  } catch (err) {
+    logger.warn('Could not probe audio duration, transcribing in one request', { err });
+  }
+
+  const windows = duration ? planWindows(duration) : [{ index: 0, start: 0, end: null }];
+  let results;
+
+  if (windows.length === 1) {
+    const audioBlob = new Blob([await readFile(inputPath)], { type: mimetype || 'audio/mpeg' });
+    results = [await transcribe(audioBlob, { filename, duration })];
+    await onProgress?.(1, 1);
+  } else {
+    logger.info('Transcribing audio in windows', { durationSeconds: Math.round(duration), windows: windows.length });
+    const workDir = await mkdtemp(join(tmpdir(), 'transcribe-'));
+    let done = 0;
+    try {
+      results = await mapWithConcurrency(windows, CONCURRENCY, async (window) => {
+        const windowPath = join(workDir, `${window.index}.flac`);
+        await extractAudioWindow(inputPath, windowPath, window.start, window.end - window.start);
+        const audioBlob = new Blob([await readFile(windowPath)], { type: 'audio/flac' });
+        const result = await transcribe(audioBlob, {
+          filename: `${window.index}.flac`,
+          duration: window.end - window.start
+        });
+        await onProgress?.(++done, windows.length);
+        return result;
+      });
+    } finally {
+      await rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // A single window of unknown length has no end to run to
+  if (windows[0].end === null) {
+    const segments = results[0].segments?.length > 0
+      ? results[0].segments.map(s => ({ ...s, end: s.end ?? s.start }))
+      : [{ start: 0, end: null, text: results[0].text }];
+    return { text: results[0].text, segments, duration: segments.at(-1).end };
+  }
+
+  const segments = stitchWindows(windows, results);
+  return { text: segments.map(s => s.text).join(' '), segments, duration };
+}
+
+// Labels each segment with the speaker whose turns overlap it most (the nearest turn if none do);
+// raw diarizer labels like SPEAKER_01 become "Speaker 1", "Speaker 2"... in order of first appearance
+export function assignSpeakers(segments, turns) {
+  if (!turns?.length) return segments;
+
+  const names = new Map();
+  const nameOf = (label) => {
+    if (!names.has(label)) names.set(label, `Speaker ${names.size + 1}`);
+    return names.get(label);
+  };
+
+  return segments.map(segment => {
+    const start = segment.start;
+    const end = segment.end ?? segment.start;
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const turn of turns) {
+      const overlap = Math.min(end, turn.end) - Math.max(start, turn.start);
+      // Positive overlap wins; otherwise the smallest gap (a negative "overlap")
+      if (overlap > bestScore) {
+        best = turn;
+        bestScore = overlap;
+      }
+    }
+    return { ...segment, speaker: nameOf(best.speaker) };
+  });
+}
@@ -1,239 +1,274 @@
 // worker.js - FIXED with proper Hugging Face API usage
-import { Worker } from "bullmq";
-import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
-import { QdrantVectorStore } from "@langchain/qdrant";
-import { CharacterTextSplitter } from "@langchain/textsplitters";
+import { Worker, UnrecoverableError } from "bullmq";
+import IORedis from "ioredis";
 import { QdrantClient } from "@qdrant/js-client-rest";
-import { writeFile, unlink } from "fs/promises";
+import { writeFile, readFile, stat } from "fs/promises";
 import { Blob } from "buffer";
 import 'dotenv/config';
+import { ensureCollection, upsertDocuments, deleteDocumentPoints } from "./qdrant.js";
+import { createEmbeddings, assertEmbeddingDimension, createTranscriber, createDiarizer } from "./providers.js";
+import { createBlobStore, downloadBlob, createTempPath, removeTempPath, BLOB_RETENTION } from "./blob-store.js";
+import { sendSignedCallback } from "./callback-auth.js";
+import { reportProgress, stagePercent, resumeFrom, saveCheckpoint } from "./job-progress.js";
+import { createEmbeddingService } from "./embeddings.js";
+import { attemptInfo, createDeadLetterQueue, moveToDeadLetter, documentGuard, DocumentDeletedError } from "./job-policy.js";
+import { createFileRegistry } from "./file-registry.js";
+import { startHeartbeat } from "./health.js";
+import { onShutdown } from "./shutdown.js";
+import { logger, withJobContext } from "./logger.js";
+import { chunkTranscript } from "./chunking.js";
+import { assertFfmpegAvailable } from "./ffmpeg.js";
+import {
+  transcribeLongAudio,
+  assignSpeakers,
+  mediaKind,
+  extractVideoAudio,
+  MAX_MEDIA_MB
+} from "./transcription.js";
 
-// Helper to notify server
-async function notifyServerComplete(sessionId, filename, transcript, status = 'ready') {
-  const serverUrl = process.env.SERVER_URL;
+// Helper to notify server (signed with CALLBACK_SECRET)
+// `details` carries the transcript's { segments, duration } so the status endpoint can show timestamps,
+// or { attempt, maxAttempts, error } when an attempt failed; both with the attempt's durationMs for /metrics
+async function notifyServerComplete(sessionId, documentId, filename, transcript, status = 'ready', chunkCount = null, details = {}) {
   try {
-    await fetch(`${serverUrl}/audio/complete`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ sessionId, filename, transcript, status })
-    });
-    console.log('Notified server of completion for', filename);
+    await sendSignedCallback('/audio/complete', { sessionId, documentId, filename, transcript, status, chunkCount, ...details });
+    logger.info('Notified server of audio completion', { filename, status });
   } catch (err) {
-    console.error('Failed to notify server of audio completion:', err);
+    logger.error('Failed to notify server of audio completion', { filename, err });
   }
 }
 
-// Enhanced transcription function using direct API calls
-async function transcribeAudio(audioBlob, maxRetries = 3) {
-  const API_URL = "https://api-inference.huggingface.co/models/openai/whisper-large-v3";
-  const headers = {
-    "Authorization": `Bearer ${process.env.HUGGINGFACEHUB_AUDIO_KEY}`,
-    "Content-Type": "audio/mpeg"
-  };
+// Transcription and embedding backends from TRANSCRIPTION_PROVIDER / EMBEDDING_PROVIDER
+const transcribeAudio = createTranscriber({ apiKey: process.env.HUGGINGFACEHUB_AUDIO_KEY });
+// Optional speaker labelling from DIARIZATION_PROVIDER (null when off)
+const diarizeAudio = createDiarizer();
 
-  let lastError;
+// Shared by the BullMQ worker, the embedding cache and the heartbeat
+const connection = {
+  host: process.env.REDIS_HOST,
+  port: Number(process.env.REDIS_PORT),
+  username: process.env.REDIS_USERNAME,
+  password: process.env.REDIS_PASSWORD,
+  tls: {} // Upstash requires TLS
+};
+const redis = new IORedis(connection);
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`🎧 Transcribing attempt ${attempt} with Whisper large v3`);
-      
-      const response = await fetch(API_URL, {
-        method: "POST",
-        headers: headers,
-        body: audioBlob,
-      });
+// Jobs out of attempts are parked here for the admin routes
+const deadLetterQueue = createDeadLetterQueue(connection);
 
-      if (!response.ok) {
-        if (response.status === 503) {
-          // Model is loading, wait and retry
-          const result = await response.json();
-          const waitTime = result.estimated_time || 10;
-          console.log(`Model loading, waiting ${waitTime}s...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-          continue;
-        }
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+// Embeddings are batched, retried on rate limits and cached in Redis (see embeddings.js)
+const embeddings = createEmbeddingService(createEmbeddings({ apiKey: process.env.HUGGINGFACEHUB_AUDIO_KEY }), {
+  redis
+});
+const blobStore = createBlobStore();
+const fileRegistry = createFileRegistry(redis);
 
-      const result = await response.json();
-      
-      if (result.error) {
-        throw new Error(result.error);
-      }
+const qClient = new QdrantClient({
+  url: process.env.QDRANT_URL,
+  apiKey: process.env.QDRANT_API_KEY
+});
+const collectionName = 'audio-docs';
 
-      if (result.text) {
-        return { text: result.text };
-      } else {
-        throw new Error('Transcription returned empty text');
-      }
-      
-    } catch (error) {
-      lastError = error;
-      console.warn(`Attempt ${attempt} failed:`, error.message);
-      
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.log(`Retrying in ${delay/1000}s...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
+// Diarization is best-effort: without it the transcript is still indexed, just without speaker labels
+async function labelSpeakers(segments, path, { filename, mimetype, duration }) {
+  if (!diarizeAudio) return segments;
+  try {
+    const audioBlob = new Blob([await readFile(path)], { type: mimetype || "audio/mpeg" });
+    const turns = await diarizeAudio(audioBlob, { filename, duration });
+    logger.info('Diarization complete', { speakers: new Set(turns.map(t => t.speaker)).size });
+    return assignSpeakers(segments, turns);
+  } catch (err) {
+    logger.warn('Diarization failed, indexing without speaker labels', { err });
+    return segments;
   }
-  
-  throw lastError || new Error('All transcription attempts failed');
+}
+
+// Missing ffmpeg fails here, before the worker takes any job
+try {
+  await assertFfmpegAvailable();
+} catch (err) {
+  logger.error('Audio worker cannot start', { err });
+  process.exit(1);
 }
 
 const worker = new Worker(
   "audio-upload-queue",
-  async (job) => {
+  withJobContext(async (job) => {
     let tempPath = null;
+    let audioPath = null;
     try {
-      console.log("Audio job received:", job.data);
+      logger.info('Audio job received', { filename: job.data?.filename, attempt: job.attemptsMade + 1 });
       const data = typeof job.data === "string" ? JSON.parse(job.data) : job.data;
-      const { sessionId, filename, base64Data, mimetype } = data;
+      const { sessionId, documentId, filename, blobKey, base64Data, mimetype } = data;
 
-      if (!base64Data) {
-        throw new Error('No audio data received');
+      if (!blobKey && !base64Data) {
+        throw new UnrecoverableError('No audio data received');
       }
 
-      // Convert base64 to buffer and save temporarily
-      const fileBuffer = Buffer.from(base64Data, 'base64');
-      tempPath = `/tmp/${Date.now()}-${filename}`;
-      await writeFile(tempPath, fileBuffer);
-      console.log("Saved audio to temporary file:", tempPath);
+      // Fetch the upload from blob storage (jobs queued before blob storage carry base64 data);
+      // ffmpeg needs it on disk to cut windows
+      tempPath = await createTempPath(filename);
+      if (blobKey) {
+        await downloadBlob(blobStore, blobKey, tempPath);
+      } else {
+        await writeFile(tempPath, Buffer.from(base64Data, 'base64'));
+      }
+      await reportProgress(job, 'downloaded', 5, 'File received');
 
       // Check file size
-      const fileSizeMB = fileBuffer.length / (1024 * 1024);
-      if (fileSizeMB > 50) {
-        const errorMsg = `File too large (${fileSizeMB.toFixed(2)}MB). Maximum size is 50MB.`;
-        await notifyServerComplete(sessionId, filename, null, 'failed');
-        throw new Error(errorMsg);
+      const kind = mediaKind(mimetype, filename);
+      const fileSizeMB = (await stat(tempPath)).size / (1024 * 1024);
+      if (fileSizeMB > MAX_MEDIA_MB[kind]) {
+        throw new UnrecoverableError(`File too large (${fileSizeMB.toFixed(2)}MB). Maximum size is ${MAX_MEDIA_MB[kind]}MB.`);
       }
 
-      console.log("Transcribing:", tempPath);
-      const audioBlob = new Blob([fileBuffer], { type: mimetype || "audio/mpeg" });
+      // Videos are transcribed from their extracted audio track, which keeps the video's timeline
+      audioPath = tempPath;
+      if (kind === 'video') {
+        await reportProgress(job, 'extracting', 7, 'Extracting audio track');
+        audioPath = await extractVideoAudio(tempPath);
+        logger.info('Extracted audio track', { filename });
+      }
+      // Providers sniff the format from the name, so the extracted track is sent as .flac
+      const audioMimetype = kind === 'video' ? 'audio/flac' : mimetype;
+      const audioFilename = kind === 'video' ? `${filename}.flac` : filename;
+
+      logger.info('Transcribing', { filename });
+      await reportProgress(job, 'transcribing', 10, 'Transcribing audio');
 
-      // Use enhanced transcription
-      const transcriptionResponse = await transcribeAudio(audioBlob, 3);
+      // Long recordings are cut into overlapping windows and stitched back with segment timestamps
+      const transcriptionResponse = await transcribeLongAudio(transcribeAudio, audioPath, {
+        filename: audioFilename,
+        mimetype: audioMimetype,
+        onProgress: (done, total) => reportProgress(job, 'transcribing', stagePercent(10, 60, done, total), `Transcribed ${done}/${total} parts`)
+      });
 
       if (!transcriptionResponse || !transcriptionResponse.text) {
-        await notifyServerComplete(sessionId, filename, null, 'failed');
         throw new Error('Transcription failed: No text returned');
       }
 
-      const transcript = transcriptionResponse.text;
-      console.log("Transcription complete (length:", transcript.length, "characters)");
+      const { text: transcript, duration } = transcriptionResponse;
+      logger.info('Transcription complete', { characters: transcript.length });
+      await reportProgress(job, 'transcribed', 60, `Transcribed ${transcript.length} characters`);
 
       // Validate transcript isn't empty
       if (transcript.trim().length === 0) {
         throw new Error('Transcription returned empty content');
       }
 
-      // Split and add to Qdrant
-      const docs = [{ 
-        pageContent: transcript, 
-        metadata: { 
-          source: filename, 
+      // Who said what, when DIARIZATION_PROVIDER is set
+      if (diarizeAudio) await reportProgress(job, 'diarizing', 60, 'Identifying speakers');
+      const segments = await labelSpeakers(transcriptionResponse.segments, audioPath, { filename: audioFilename, mimetype: audioMimetype, duration });
+
+      // Chunk along segment boundaries, by size and time window, so every chunk knows where it sits in the recording
+      const processedAt = new Date().toISOString();
+      const splitDocs = chunkTranscript(segments).map(chunk => ({
+        pageContent: chunk.text,
+        metadata: {
+          source: filename,
           type: 'audio-transcript',
+          mediaType: kind,
           sessionId: sessionId,
-          processedAt: new Date().toISOString()
-        } 
-      }];
-      
-      const splitter = new CharacterTextSplitter({ 
-        chunkSize: 1000, 
-        chunkOverlap: 200 
-      });
-      
-      const splitDocs = await splitter.splitDocuments(docs);
-      console.log(`Split into ${splitDocs.length} chunks.`);
-
-      // Initialize Qdrant
-      const qClient = new QdrantClient({ 
-        url: process.env.QDRANT_URL,
-        apiKey: process.env.QDRANT_API_KEY, 
-      });
-      
-      const collectionName = 'audio-docs';
-      try {
-        await qClient.getCollection(collectionName);
-        console.log('Qdrant collection exists');
-      } catch (err) {
-        if (err.status === 404) {
-          await qClient.createCollection(collectionName, { 
-            vectors: { size: 768, distance: 'Cosine' } 
-          });
-          console.log('Created Qdrant collection');
-        } else {
-          throw err;
+          documentId: documentId,
+          startTime: chunk.startTime,
+          endTime: chunk.endTime,
+          speakers: chunk.speakers,
+          chunkIndex: chunk.chunkIndex,
+          processedAt
         }
-      }
+      }));
+      logger.info('Split transcript into chunks', { chunks: splitDocs.length });
+      await reportProgress(job, 'chunked', 65, `Split into ${splitDocs.length} chunks`);
 
-      const embeddings = new HuggingFaceInferenceEmbeddings({
-        apiKey: process.env.HUGGINGFACEHUB_AUDIO_KEY,
-        model: "BAAI/bge-base-en-v1.5",
-      });
+      // Stops here, between batches and before reporting back once the document has been deleted
+      const assertNotDeleted = documentGuard(fileRegistry, 'audio', { sessionId, documentId });
+      await assertNotDeleted();
+      await ensureCollection(qClient, collectionName);
 
-      const vectorStore = await QdrantVectorStore.fromExistingCollection(embeddings, {
-        client: qClient,
-        collectionName,
-      });
+      await assertEmbeddingDimension(embeddings);
 
-      await vectorStore.addDocuments(splitDocs);
-      console.log(`All ${splitDocs.length} chunks added to Qdrant!`);
+      // Dense embedding plus BM25 keyword vector per chunk, for hybrid retrieval; a retried job
+      // continues after the last batch its previous attempt stored
+      await upsertDocuments(qClient, collectionName, embeddings, splitDocs, {
+        startAt: resumeFrom(job, splitDocs.length),
+        onProgress: async (done, total) => {
+          await assertNotDeleted();
+          await saveCheckpoint(job, done, total);
+          await reportProgress(job, 'embedding', stagePercent(65, 95, done, total), `Embedded ${done}/${total} chunks`);
+        }
+      });
+      await assertNotDeleted();
+      logger.info('Chunks added to Qdrant', { chunks: splitDocs.length });
 
       // Notify server that processing is done
-      await notifyServerComplete(sessionId, filename, transcript, 'ready');
+      await reportProgress(job, 'indexed', 100, 'Ready for chatting');
+      await notifyServerComplete(sessionId, documentId, filename, transcript, 'ready', splitDocs.length, { segments, duration, durationMs: Date.now() - job.processedOn });
+
+      // Ingested: the original is no longer needed unless kept for re-indexing
+      if (blobKey && BLOB_RETENTION === 'delete') {
+        await blobStore.remove(blobKey).catch(err => logger.warn('Could not remove blob', { blobKey, err }));
+      }
 
     } catch (error) {
-      console.error("Audio worker failed:", error.message);
+      // Deleted while processing: the delete already removed what was stored before it, this removes the rest.
+      // The job completes without a callback, retry or dead-letter entry.
+      if (error instanceof DocumentDeletedError) {
+        const { sessionId, documentId } = job.data;
+        await deleteDocumentPoints(qClient, collectionName, { sessionId, documentId })
+          .catch(err => logger.warn('Could not remove points of deleted document', { documentId, err }));
+        logger.info('Audio document deleted during processing, job dropped', { documentId });
+        return;
+      }
+      logger.warn('Audio job attempt failed', { err: error });
       
-      // Notify server of failure
+      // Notify server of failure, or that another attempt follows
       if (job.data) {
         const data = typeof job.data === "string" ? JSON.parse(job.data) : job.data;
-        const sessionId = data.sessionId;
-        const filename = data.filename;
+        const { sessionId, documentId, filename } = data;
+        const { attempt, maxAttempts, final } = attemptInfo(job, error);
         
         if (sessionId && filename) {
-          await notifyServerComplete(sessionId, filename, null, 'failed');
+          await notifyServerComplete(sessionId, documentId, filename, null, final ? 'failed' : 'retrying', null, { attempt, maxAttempts, error: error.message, durationMs: Date.now() - job.processedOn });
         }
+        if (!final) await reportProgress(job, 'retrying', 0, `Retrying (${attempt + 1}/${maxAttempts}): ${error.message}`);
       }
       
       throw error;
     } finally {
-      // Clean up temporary file
+      // Clean up temporary files (the original and, for videos, the audio track extracted next to it)
       if (tempPath) {
-        try {
-          await unlink(tempPath);
-          console.log('Cleaned up temporary audio file:', tempPath);
-        } catch (unlinkErr) {
-          console.warn('Could not delete temporary audio file:', unlinkErr.message);
-        }
+        await removeTempPath(tempPath).catch(err => logger.warn('Could not delete temporary audio file', { path: tempPath, err }));
       }
     }
-  },
+  }),
   {
     concurrency: 1,
-    connection: { 
-      host: process.env.REDIS_HOST,
-      port: Number(process.env.REDIS_PORT),
-      username: process.env.REDIS_USERNAME,
-      password: process.env.REDIS_PASSWORD,
-      tls: {} // Upstash requires TLS
-    }
+    connection
   }
 );
 
 // Add event listeners for better monitoring
 worker.on('failed', (job, err) => {
-  console.error(`Job ${job?.id} failed:`, err.message);
+  logger.error('Audio job failed', { jobId: job?.id, attemptsMade: job?.attemptsMade, requestId: job?.data?.requestId, err });
+  moveToDeadLetter(deadLetterQueue, job, err);
 });
 
 worker.on('completed', (job) => {
-  console.log(`Job ${job.id} completed successfully`);
+  logger.info('Audio job completed', { jobId: job.id, requestId: job.data?.requestId });
 });
 
 worker.on('error', (err) => {
-  console.error('Worker error:', err);
+  logger.error('Audio worker error', { err });
 });
 
-console.log("Audio worker started...");
\ No newline at end of file
+// Lets GET /readyz see that this queue is being served
+const stopHeartbeat = startHeartbeat(redis, worker.name);
+
+// Drop out of /readyz first, then worker.close() stops taking jobs and waits for the one in flight
+onShutdown('Audio worker', [
+  ['heartbeat', stopHeartbeat],
+  ['worker', () => worker.close()],
+  ['redis', () => Promise.all([deadLetterQueue.close(), redis.quit()])]
+]);
+
+logger.info('Audio worker started');